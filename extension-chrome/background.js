@@ -11,6 +11,30 @@ const CONFIG = {
   RETRY_DELAY: 1000,
   TIMEOUT: 30000,
   POLLING_INTERVAL: 8000,
+  // Tracked jobs and replay cursor survive service worker suspension here
+  SESSION_STATE_KEY: "eventStreamState",
+  SESSION_STATE_DELAY: 1000,
+};
+
+// User messages for server error codes (see server/src/utils/errors.js)
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: "Invalid Instagram page. Please open a reel, post, or story.",
+  QUEUE_FULL: "Queue is full. Please try again later.",
+  MEMORY_LIMIT: "Server is busy processing other media. Please try again later.",
+  COOKIES_EXPIRED:
+    "Server's Instagram cookies have expired. Ask the admin to refresh cookies.txt.",
+  PRIVATE_CONTENT: "This content is private and can't be downloaded.",
+  NOT_FOUND: "Post not found. It may have been deleted.",
+  MEDIA_TOO_LARGE: "Media is too large to send to Telegram.",
+  IG_RATE_LIMITED:
+    "Instagram is rate limiting the server. Try again in a few minutes.",
+  DOWNLOAD_TIMEOUT: "Download from Instagram timed out. Please try again.",
+  TELEGRAM_FORBIDDEN:
+    "Bot can't post to the channel. Check that it is a channel admin.",
+  TELEGRAM_RATE_LIMITED: "Telegram is rate limiting the bot. Try again later.",
+  NETWORK_ERROR: "Server network error. Please try again.",
+  JOB_TIMEOUT: "Processing took too long and was stopped. Please try again.",
+  JOB_EXPIRED: "Waited too long in the server queue. Please send it again.",
 };
 
 class BackgroundService {
@@ -18,7 +42,8 @@ class BackgroundService {
     this.activeJobs = new Map();
     this.webSocketClient = new WebSocketClient();
     this.pollingInterval = null;
-    this.settings = { serverUrl: "" };
+    this.sessionStateTimer = null;
+    this.settings = { serverUrl: "", apiKey: "" };
 
     this.setupMessageListener();
     this.loadSettings();
@@ -26,17 +51,72 @@ class BackgroundService {
 
   async loadSettings() {
     try {
-      const data = await chrome.storage.local.get(["serverUrl"]);
+      const data = await chrome.storage.local.get(["serverUrl", "apiKey"]);
       this.settings = {
         serverUrl: data.serverUrl || CONFIG.DEFAULT_SERVER_URL,
+        apiKey: data.apiKey || "",
       };
 
+      await this.restoreSessionState();
       await this.initializeWebSocket();
     } catch (error) {
       console.error("Failed to load settings:", error);
     }
   }
 
+  /**
+   * Restore jobs tracked before the service worker was suspended
+   * They are resubscribed on connect and missed events are replayed by the server
+   */
+  async restoreSessionState() {
+    try {
+      const data = await chrome.storage.session.get(CONFIG.SESSION_STATE_KEY);
+      const state = data[CONFIG.SESSION_STATE_KEY];
+      if (!state || state.serverUrl !== this.settings.serverUrl) return;
+
+      this.webSocketClient.restoreCursor(state.streamId, state.lastEventId);
+      state.jobs.forEach((jobInfo) => {
+        this.activeJobs.set(jobInfo.jobId, jobInfo);
+        this.webSocketClient.subscribeToJob(jobInfo.jobId);
+      });
+
+      console.log(
+        `♻️ Restored ${state.jobs.length} tracked jobs (last event ${state.lastEventId})`
+      );
+    } catch (error) {
+      console.error("Failed to restore session state:", error);
+    }
+  }
+
+  /**
+   * Save tracked jobs and replay cursor (debounced)
+   */
+  scheduleSessionStateSave() {
+    if (this.sessionStateTimer) return;
+
+    this.sessionStateTimer = setTimeout(() => {
+      this.sessionStateTimer = null;
+      this.saveSessionState();
+    }, CONFIG.SESSION_STATE_DELAY);
+  }
+
+  saveSessionState() {
+    const { streamId, lastEventId } = this.webSocketClient.getStats();
+
+    return chrome.storage.session
+      .set({
+        [CONFIG.SESSION_STATE_KEY]: {
+          serverUrl: this.settings.serverUrl,
+          streamId,
+          lastEventId,
+          jobs: Array.from(this.activeJobs.values()),
+        },
+      })
+      .catch((error) => {
+        console.error("Failed to save session state:", error);
+      });
+  }
+
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       console.log("📨 Background received message:", request.action);
@@ -72,6 +152,8 @@ class BackgroundService {
       sendToTelegram: (req) => this.handleContentSend(req.data),
       getJobStatus: (req) => this.getJobStatus(req.jobId),
       cancelJob: (req) => this.cancelJob(req.jobId),
+      retryJob: (req) => this.retryJob(req.jobId),
+      getScheduledJobs: () => this.getScheduledJobs(),
       updateSettings: (req) => this.handleSettingsUpdate(req.settings),
       getConnectionStatus: () => this.getConnectionStatus(),
       testConnection: () => this.testConnection(),
@@ -85,7 +167,10 @@ class BackgroundService {
    */
   async initializeWebSocket() {
     try {
-      this.webSocketClient.initialize(this.settings.serverUrl);
+      this.webSocketClient.initialize(
+        this.settings.serverUrl,
+        this.settings.apiKey
+      );
       this.setupWebSocketEventListeners();
       await this.webSocketClient.connect();
     } catch (error) {
@@ -107,16 +192,38 @@ class BackgroundService {
       this.startPollingFallback();
     });
 
-    this.webSocketClient.on("jobProgress", (jobId, progress, message) => {
-      this.handleJobProgress(jobId, {
-        status: "processing",
-        progress,
-        progressMessage: message,
-      });
+    this.webSocketClient.on(
+      "jobProgress",
+      (jobId, progress, message, data = {}) => {
+        this.handleJobProgress(jobId, {
+          status: data.status || "processing",
+          progress,
+          progressMessage: message,
+          publishAt: data.publishAt,
+          queuePosition: data.queuePosition,
+          estimatedWaitTime: data.estimatedWaitTime,
+        });
+      }
+    );
+
+    this.webSocketClient.on(
+      "jobFinished",
+      (jobId, status, result, error, errorCode) => {
+        this.handleJobFinished(jobId, status, {
+          result,
+          error: this.getJobErrorMessage(errorCode, error),
+          errorCode,
+        });
+      }
+    );
+
+    this.webSocketClient.on("cursor", () => {
+      this.scheduleSessionStateSave();
     });
 
-    this.webSocketClient.on("jobFinished", (jobId, status, result, error) => {
-      this.handleJobFinished(jobId, status, { result, error });
+    // Missed events could not all be replayed, fetch the current state once
+    this.webSocketClient.on("replayIncomplete", (jobId) => {
+      this.refreshJobStatus(jobId);
     });
 
     this.webSocketClient.on("queueStats", (stats) => {
@@ -148,31 +255,7 @@ class BackgroundService {
       for (let i = 0; i < jobIds.length; i += batchSize) {
         const batch = jobIds.slice(i, i + batchSize);
 
-        await Promise.all(
-          batch.map(async (jobId) => {
-            try {
-              const status = await this.getJobStatus(jobId);
-
-              if (status.status === "completed") {
-                this.handleJobFinished(jobId, "completed", {
-                  result: status.result,
-                });
-              } else if (status.status === "failed") {
-                this.handleJobFinished(jobId, "failed", {
-                  error: status.error,
-                });
-              } else if (status.status === "processing") {
-                this.handleJobProgress(jobId, {
-                  status: "processing",
-                  progress: status.progress,
-                  progressMessage: status.progressMessage,
-                });
-              }
-            } catch (error) {
-              console.error(`Polling failed for job ${jobId}:`, error);
-            }
-          })
-        );
+        await Promise.all(batch.map((jobId) => this.refreshJobStatus(jobId)));
 
         if (i + batchSize < jobIds.length) {
           await new Promise((resolve) => setTimeout(resolve, 1000));
@@ -181,6 +264,41 @@ class BackgroundService {
     }, CONFIG.POLLING_INTERVAL);
   }
 
+  /**
+   * Fetch job state over HTTP and forward it like a WebSocket update
+   */
+  async refreshJobStatus(jobId) {
+    try {
+      const status = await this.getJobStatus(jobId);
+
+      if (status.status === "completed") {
+        this.handleJobFinished(jobId, "completed", {
+          result: status.result,
+        });
+      } else if (status.status === "failed") {
+        this.handleJobFinished(jobId, "failed", {
+          error: this.getJobErrorMessage(status.errorCode, status.error),
+          errorCode: status.errorCode,
+        });
+      } else if (status.status === "queued") {
+        this.handleJobProgress(jobId, {
+          status: "queued",
+          progressMessage: status.progressMessage,
+          queuePosition: status.queuePosition,
+          estimatedWaitTime: status.estimatedWaitTime,
+        });
+      } else if (status.status === "processing") {
+        this.handleJobProgress(jobId, {
+          status: "processing",
+          progress: status.progress,
+          progressMessage: status.progressMessage,
+        });
+      }
+    } catch (error) {
+      console.error(`Status refresh failed for job ${jobId}:`, error);
+    }
+  }
+
   stopPollingFallback() {
     if (this.pollingInterval) {
       console.log("📡 Stopping HTTP polling fallback");
@@ -191,9 +309,12 @@ class BackgroundService {
 
   async handleSettingsUpdate(newSettings) {
     const oldSettings = { ...this.settings };
-    this.settings = { ...newSettings };
+    this.settings = { ...this.settings, ...newSettings };
 
-    if (oldSettings.serverUrl !== newSettings.serverUrl) {
+    if (
+      oldSettings.serverUrl !== this.settings.serverUrl ||
+      oldSettings.apiKey !== this.settings.apiKey
+    ) {
       this.stopPollingFallback();
       this.webSocketClient.disconnect();
       await this.initializeWebSocket();
@@ -206,23 +327,28 @@ class BackgroundService {
 
       this.validatePageData(pageData);
 
-      const requestOptions = {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          pageUrl: pageData.pageUrl,
-          timestamp: pageData.timestamp || new Date().toISOString(),
-        }),
+      const submission = {
+        pageUrl: pageData.pageUrl,
+        timestamp: pageData.timestamp || new Date().toISOString(),
+        publishAt: pageData.publishAt,
+        priority: pageData.priority,
       };
 
-      const response = await this.fetchWithRetry(
-        `${this.settings.serverUrl}/api/download-video`,
-        requestOptions
-      );
-
-      const result = await response.json();
+      // Over the socket the server also subscribes us to the new job
+      let result = await this.sendSocketCommand("job:submit", submission);
+      if (!result) {
+        const response = await this.fetchWithRetry(
+          `${this.settings.serverUrl}/api/download-video`,
+          {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+            },
+            body: JSON.stringify(submission),
+          }
+        );
+        result = await response.json();
+      }
       console.log("📊 Server response:", result);
 
       if (!result.success || !result.jobId) {
@@ -232,12 +358,14 @@ class BackgroundService {
       const jobInfo = {
         jobId: result.jobId,
         pageData,
+        publishAt: result.publishAt,
         queuePosition: result.queuePosition,
         estimatedWaitTime: result.estimatedWaitTime,
         startedAt: new Date(),
       };
 
       this.activeJobs.set(result.jobId, jobInfo);
+      this.scheduleSessionStateSave();
 
       if (this.webSocketClient.isConnected()) {
         this.webSocketClient.subscribeToJob(result.jobId);
@@ -248,6 +376,9 @@ class BackgroundService {
       return {
         jobId: result.jobId,
         message: result.message,
+        status: result.status || "queued",
+        publishAt: result.publishAt || null,
+        priority: result.priority || "normal",
         queuePosition: result.queuePosition,
         estimatedWaitTime: result.estimatedWaitTime,
         realTimeUpdates: this.webSocketClient.isConnected(),
@@ -273,15 +404,55 @@ class BackgroundService {
     }
   }
 
-  async cancelJob(jobId) {
+  async getScheduledJobs() {
     try {
       const response = await this.fetchWithRetry(
-        `${this.settings.serverUrl}/api/job/${jobId}`,
-        { method: "DELETE" }
+        `${this.settings.serverUrl}/api/jobs/scheduled`,
+        { method: "GET" }
       );
 
       const result = await response.json();
 
+      // Track scheduled jobs so their progress reaches the queue panel
+      result.jobs.forEach((job) => {
+        if (!this.activeJobs.has(job.jobId)) {
+          this.activeJobs.set(job.jobId, {
+            jobId: job.jobId,
+            pageData: { pageUrl: job.pageUrl },
+            publishAt: job.publishAt,
+            startedAt: new Date(),
+          });
+          if (this.webSocketClient.isConnected()) {
+            this.webSocketClient.subscribeToJob(job.jobId);
+          }
+        }
+      });
+      this.scheduleSessionStateSave();
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get scheduled jobs: ${error.message}`);
+    }
+  }
+
+  async cancelJob(jobId) {
+    try {
+      let result;
+      try {
+        result = await this.sendSocketCommand("job:cancel", { jobId });
+      } catch (error) {
+        // Same shape as the HTTP response for jobs that can't be cancelled
+        result = { success: false, message: error.message };
+      }
+
+      if (!result) {
+        const response = await this.fetchWithRetry(
+          `${this.settings.serverUrl}/api/job/${jobId}`,
+          { method: "DELETE" }
+        );
+        result = await response.json();
+      }
+
       if (result.success) {
         this.cleanupJob(jobId, "cancelled");
       }
@@ -292,6 +463,34 @@ class BackgroundService {
     }
   }
 
+  async retryJob(jobId) {
+    try {
+      let result = await this.sendSocketCommand("job:retry", { jobId });
+      if (!result) {
+        const response = await this.fetchWithRetry(
+          `${this.settings.serverUrl}/api/job/${jobId}/retry`,
+          { method: "POST" }
+        );
+        result = await response.json();
+      }
+
+      // Track the job again, its finish dropped it from activeJobs
+      this.activeJobs.set(jobId, {
+        ...this.activeJobs.get(jobId),
+        jobId,
+        startedAt: new Date(),
+      });
+      this.scheduleSessionStateSave();
+      if (this.webSocketClient.isConnected()) {
+        this.webSocketClient.subscribeToJob(jobId);
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(this.getUserFriendlyError(error));
+    }
+  }
+
   getConnectionStatus() {
     return {
       webSocketConnected: this.webSocketClient.isConnected(),
@@ -329,6 +528,40 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Send command over the WebSocket when it is connected
+   * A missing ack (e.g. socket dropped mid-request) falls back to HTTP; a resent
+   * submission that did reach the server is then rejected as a duplicate.
+   * @returns {Promise<object|null>} ack, or null when the HTTP API should be used
+   * @throws {Error} command rejected by the server, shaped like fetchWithRetry errors
+   */
+  async sendSocketCommand(command, payload) {
+    if (!this.webSocketClient.isConnected()) return null;
+
+    let response;
+    try {
+      response = await this.webSocketClient.sendCommand(command, payload);
+    } catch (error) {
+      console.warn(`WebSocket ${command} not acknowledged, using HTTP:`, error);
+      return null;
+    }
+
+    if (response.success) return response;
+
+    let commandError;
+    if (response.code === "DUPLICATE_CONTENT") {
+      commandError = new Error(`Duplicate content: ${response.error}`);
+      commandError.duplicate = response.duplicate || null;
+    } else if (response.code === "RATE_LIMITED") {
+      commandError = new Error(`Rate limit exceeded: ${response.error}`);
+      commandError.retryAfter = response.retryAfter || null;
+    } else {
+      commandError = new Error(response.error);
+    }
+    commandError.code = response.code;
+    throw commandError;
+  }
+
   async fetchWithRetry(url, options, maxRetries = CONFIG.RETRY_ATTEMPTS) {
     let lastError;
 
@@ -339,6 +572,10 @@ class BackgroundService {
 
         const response = await fetch(url, {
           ...options,
+          headers: {
+            ...options.headers,
+            "X-API-Key": this.settings.apiKey,
+          },
           signal: controller.signal,
         });
 
@@ -349,7 +586,41 @@ class BackgroundService {
         }
 
         const errorText = await response.text();
-        throw new Error(`Server error ${response.status}: ${errorText}`);
+        let errorBody = null;
+        try {
+          errorBody = JSON.parse(errorText);
+        } catch {
+          // Non-JSON error page
+        }
+
+        if (response.status === 401) {
+          const authError = new Error(`Authentication failed: ${errorText}`);
+          authError.retryable = false;
+          throw authError;
+        }
+
+        if (response.status === 409) {
+          const duplicateError = new Error(`Duplicate content: ${errorText}`);
+          duplicateError.retryable = false;
+          duplicateError.duplicate = errorBody?.duplicate || null;
+          throw duplicateError;
+        }
+
+        if (response.status === 429) {
+          const rateError = new Error(`Rate limit exceeded: ${errorText}`);
+          rateError.retryable = false;
+          rateError.retryAfter =
+            parseInt(response.headers.get("Retry-After"), 10) || null;
+          throw rateError;
+        }
+
+        const serverError = new Error(
+          `Server error ${response.status}: ${errorText}`
+        );
+        serverError.code = errorBody?.code;
+        // Client errors won't succeed on retry
+        serverError.retryable = response.status >= 500;
+        throw serverError;
       } catch (error) {
         lastError = error;
 
@@ -357,7 +628,7 @@ class BackgroundService {
           throw new Error("Request timeout");
         }
 
-        if (i === maxRetries - 1) {
+        if (error.retryable === false || i === maxRetries - 1) {
           throw error;
         }
 
@@ -384,7 +655,11 @@ class BackgroundService {
     this.broadcastToTabs("jobFinished", { jobId, reason, details });
 
     setTimeout(() => {
-      this.activeJobs.delete(jobId);
+      // Keep jobs that were retried in the meantime
+      if (this.activeJobs.get(jobId) === jobInfo) {
+        this.activeJobs.delete(jobId);
+        this.scheduleSessionStateSave();
+      }
     }, 30000);
   }
 
@@ -392,6 +667,7 @@ class BackgroundService {
     this.webSocketClient.unsubscribeFromJob(jobId);
     this.broadcastToTabs("jobFinished", { jobId, reason, details });
     this.activeJobs.delete(jobId);
+    this.scheduleSessionStateSave();
   }
 
   broadcastConnectionStatus(isConnected, message = "") {
@@ -442,6 +718,10 @@ class BackgroundService {
     console.log("✅ Page data validation passed");
   }
 
+  getJobErrorMessage(errorCode, fallback) {
+    return ERROR_MESSAGES[errorCode] || fallback;
+  }
+
   getUserFriendlyError(error) {
     const message = error.message || error.toString();
 
@@ -452,6 +732,27 @@ class BackgroundService {
       return "Network error. Check internet connection and server status.";
     }
 
+    if (message.includes("Authentication failed")) {
+      return "Authentication failed. Check API key in extension settings.";
+    }
+
+    if (message.includes("Rate limit exceeded")) {
+      const wait = error.retryAfter
+        ? `${error.retryAfter} seconds`
+        : "a minute";
+      return `Slow down! Too many requests, try again in ${wait}.`;
+    }
+
+    if (message.includes("Duplicate content")) {
+      return error.duplicate?.status === "published"
+        ? "Already posted to Telegram channel."
+        : "Already in queue.";
+    }
+
+    if (ERROR_MESSAGES[error.code]) {
+      return ERROR_MESSAGES[error.code];
+    }
+
     if (message.includes("Queue is full")) {
       return "Queue is full. Please try again later.";
     }
@@ -472,13 +773,16 @@ class BackgroundService {
 const backgroundService = new BackgroundService();
 
 chrome.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === "local" && changes.serverUrl) {
-    const newSettings = { serverUrl: changes.serverUrl.newValue };
+  if (namespace === "local" && (changes.serverUrl || changes.apiKey)) {
+    const newSettings = {};
+    if (changes.serverUrl) newSettings.serverUrl = changes.serverUrl.newValue;
+    if (changes.apiKey) newSettings.apiKey = changes.apiKey.newValue;
     backgroundService.handleSettingsUpdate(newSettings);
   }
 });
 
 chrome.runtime.onSuspend.addListener(() => {
+  backgroundService.saveSessionState();
   backgroundService.webSocketClient.disconnect();
   backgroundService.stopPollingFallback();
 });
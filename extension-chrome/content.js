@@ -8,7 +8,13 @@
 const CONFIG = {
   UI: {
     QUEUE_PANEL_ID: "telegram-queue-panel",
+    PRIORITY_MENU_ID: "telegram-priority-menu",
   },
+  PRIORITIES: [
+    { value: "high", label: "⚡ High priority" },
+    { value: "normal", label: "Normal" },
+    { value: "low", label: "🐢 Low priority" },
+  ],
   PATHS: {
     REELS: ["/reels/", "/reel/"],
     STORIES: ["/stories/"],
@@ -172,6 +178,7 @@ class InstagramQueuePanel {
     this.urlExtractor = urlExtractor;
     this.panel = null;
     this.jobs = new Map();
+    this.removalTimers = new Map();
     this.isVisible = false;
   }
 
@@ -238,8 +245,19 @@ class InstagramQueuePanel {
         align-items: center;
         border-bottom: 1px solid #dbdbdb;
       ">
-        <div style="font-size: 16px; font-weight: 600; color: #262626;">
-          Telegram Queue
+        <div style="display: flex; align-items: center; gap: 8px;">
+          <div style="font-size: 16px; font-weight: 600; color: #262626;">
+            Telegram Queue
+          </div>
+          <span id="ig-queue-paused" style="
+            display: none;
+            padding: 2px 8px;
+            border-radius: 10px;
+            background: #fff4e5;
+            color: #b26a00;
+            font-size: 11px;
+            font-weight: 600;
+          ">⏸ Paused</span>
         </div>
         <button id="ig-queue-close" style="
           background: none;
@@ -322,7 +340,56 @@ class InstagramQueuePanel {
   }
 
   toggle() {
-    this.isVisible ? this.hide() : this.show();
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+      this.loadScheduledJobs();
+    }
+  }
+
+  async loadScheduledJobs() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getScheduledJobs",
+      });
+      if (!response?.success) return;
+
+      response.result.jobs.forEach((job) => {
+        if (!this.jobs.has(job.jobId)) {
+          this.addJob(job.jobId, {
+            pageUrl: job.pageUrl,
+            publishAt: job.publishAt,
+          });
+        }
+      });
+    } catch (error) {
+      console.warn("Failed to load scheduled jobs:", error);
+    }
+  }
+
+  formatQueueStatus(position, waitSeconds) {
+    if (!position) return "In queue";
+
+    // null wait time means the server queue is paused
+    let eta = "";
+    if (waitSeconds === 0) {
+      eta = " · starting now";
+    } else if (waitSeconds > 0) {
+      eta =
+        waitSeconds < 60
+          ? ` · ~${waitSeconds}s`
+          : ` · ~${Math.round(waitSeconds / 60)} min`;
+    }
+
+    return `In queue (position: ${position}${eta})`;
+  }
+
+  formatPublishTime(publishAt) {
+    return new Date(publishAt).toLocaleString([], {
+      dateStyle: "short",
+      timeStyle: "short",
+    });
   }
 
   addJob(jobId, jobData) {
@@ -377,10 +444,17 @@ class InstagramQueuePanel {
             width: 6px;
             height: 6px;
             border-radius: 50%;
-            background: #0095f6;
-            animation: igPulse 1.5s infinite;
+            background: ${jobData.publishAt ? "#8e8e8e" : "#0095f6"};
+            animation: ${jobData.publishAt ? "none" : "igPulse 1.5s infinite"};
           "></div>
-          <span>In queue (position: ${jobData.queuePosition || "?"})</span>
+          <span>${
+            jobData.publishAt
+              ? `🗓 Scheduled for ${this.formatPublishTime(jobData.publishAt)}`
+              : this.formatQueueStatus(
+                  jobData.queuePosition,
+                  jobData.estimatedWaitTime
+                )
+          }</span>
         </div>
         <div class="job-progress" style="display: none; margin-top: 8px;">
           <div style="
@@ -407,6 +481,22 @@ class InstagramQueuePanel {
       </div>
 
       <div class="item-actions">
+        <button class="retry-btn" title="Retry" style="
+          background: none;
+          border: none;
+          padding: 6px;
+          cursor: pointer;
+          border-radius: 50%;
+          transition: background-color 0.1s ease;
+          display: none;
+          align-items: center;
+          justify-content: center;
+        ">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#0095f6" stroke-width="1.5">
+            <polyline points="23 4 23 10 17 10"/>
+            <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+          </svg>
+        </button>
         <button class="cancel-btn" style="
           background: none;
           border: none;
@@ -431,6 +521,11 @@ class InstagramQueuePanel {
       this.cancelJob(jobId);
     });
 
+    jobElement.querySelector(".retry-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.retryJob(jobId);
+    });
+
     return jobElement;
   }
 
@@ -445,18 +540,57 @@ class InstagramQueuePanel {
     const progressBar = jobElement.querySelector(".progress-bar");
     const progressText = jobElement.querySelector(".progress-text");
     const cancelBtn = jobElement.querySelector(".cancel-btn");
+    const retryBtn = jobElement.querySelector(".retry-btn");
+
+    if (status.status !== "failed") {
+      retryBtn.style.display = "none";
+    }
 
     switch (status.status) {
+      case "queued":
+        statusDot.style.background = "#0095f6";
+        statusDot.style.animation = "igPulse 1.5s infinite";
+        statusText.textContent = status.queuePosition
+          ? this.formatQueueStatus(
+              status.queuePosition,
+              status.estimatedWaitTime
+            )
+          : status.progressMessage || "In queue";
+        progressEl.style.display = "none";
+        cancelBtn.style.display = "flex";
+        break;
+
+      case "waiting":
+        statusDot.style.background = "#8e8e8e";
+        statusDot.style.animation = "none";
+        statusText.textContent = status.progressMessage || "Waiting to publish";
+        progressEl.style.display = "none";
+        cancelBtn.style.display = "flex";
+        break;
+
+      case "scheduled":
+        statusDot.style.background = "#8e8e8e";
+        statusDot.style.animation = "none";
+        statusText.textContent = `🗓 Scheduled for ${this.formatPublishTime(
+          status.publishAt
+        )}`;
+        progressEl.style.display = "none";
+        cancelBtn.style.display = "flex";
+        break;
+
       case "processing":
         statusDot.style.background = "#0095f6";
+        statusDot.style.animation = "igPulse 1.5s infinite";
         statusText.textContent = "Processing";
         if (status.progress !== undefined) {
           progressEl.style.display = "block";
           progressBar.style.width = `${status.progress}%`;
-          progressText.textContent =
-            status.progressMessage || `${status.progress}%`;
+          // Download messages carry file, size and rate, e.g. "Downloading file 2/4: ..."
+          progressText.textContent = status.progressMessage
+            ? `${status.progress}% · ${status.progressMessage}`
+            : `${status.progress}%`;
         }
-        cancelBtn.style.display = "none";
+        cancelBtn.style.display = "flex";
         break;
 
       case "completed":
@@ -465,7 +599,7 @@ class InstagramQueuePanel {
         statusText.textContent = "Sent to Telegram";
         progressEl.style.display = "none";
         cancelBtn.style.display = "none";
-        setTimeout(() => this.removeJob(jobId), 5000);
+        this.scheduleRemoval(jobId, 5000);
         break;
 
       case "failed":
@@ -474,12 +608,35 @@ class InstagramQueuePanel {
         statusText.textContent = `Error: ${status.error || "Unknown error"}`;
         progressEl.style.display = "none";
         cancelBtn.style.display = "none";
-        setTimeout(() => this.removeJob(jobId), 10000);
+        retryBtn.style.display = "flex";
+        // Leave time to hit retry before the item goes away
+        this.scheduleRemoval(jobId, 60000);
         break;
     }
   }
 
+  updatePausedState(paused, reason) {
+    const badge = this.panel?.querySelector("#ig-queue-paused");
+    if (!badge) return;
+
+    badge.style.display = paused ? "inline-block" : "none";
+    badge.title = paused
+      ? `Server queue is paused${reason ? `: ${reason}` : ""}. New posts wait until it resumes.`
+      : "";
+  }
+
+  scheduleRemoval(jobId, delay) {
+    clearTimeout(this.removalTimers.get(jobId));
+    this.removalTimers.set(
+      jobId,
+      setTimeout(() => this.removeJob(jobId), delay)
+    );
+  }
+
   removeJob(jobId) {
+    clearTimeout(this.removalTimers.get(jobId));
+    this.removalTimers.delete(jobId);
+
     const jobElement = this.jobs.get(jobId);
     if (jobElement) {
       jobElement.style.opacity = "0";
@@ -510,6 +667,32 @@ class InstagramQueuePanel {
     }
   }
 
+  async retryJob(jobId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "retryJob",
+        jobId,
+      });
+
+      if (response.success) {
+        clearTimeout(this.removalTimers.get(jobId));
+        this.removalTimers.delete(jobId);
+        InstagramNotification.show("Job re-queued", "success");
+        this.updateJob(jobId, {
+          status: "queued",
+          progressMessage: "Re-queued",
+        });
+      } else {
+        InstagramNotification.show(
+          response.error || "Failed to retry job",
+          "error"
+        );
+      }
+    } catch (error) {
+      InstagramNotification.show("Error retrying job", "error");
+    }
+  }
+
   hideEmptyState() {
     const emptyState = this.contentContainer.querySelector("#ig-empty-queue");
     if (emptyState) {
@@ -552,7 +735,7 @@ class InstagramQueuePanel {
         .ig-queue-item:hover {
           background: #fafafa !important;
         }
-        #ig-queue-close:hover, .cancel-btn:hover {
+        #ig-queue-close:hover, .cancel-btn:hover, .retry-btn:hover {
           background: #fafafa !important;
         }
       `;
@@ -576,6 +759,7 @@ class FloatingButtonExtension {
     this.lastUrl = location.href;
     this.isInitialized = false;
     this.floatingButton = null;
+    this.closePriorityMenu = null;
 
     this.setupUrlMonitoring();
     this.setupMessageListener();
@@ -628,21 +812,41 @@ class FloatingButtonExtension {
       </svg>
     `;
 
-    this.floatingButton.title = "Send to Telegram";
+    this.floatingButton.title =
+      "Send to Telegram (Ctrl+click for high priority, right-click to pick priority, Alt+click to schedule, Shift+click for queue)";
 
     this.floatingButton.addEventListener("click", async (e) => {
       e.preventDefault();
       e.stopPropagation();
 
+      if (e.ctrlKey || e.metaKey) {
+        await this.handleTelegramSend(null, "high");
+        return;
+      }
+
       if (e.shiftKey) {
         this.queuePanel.create();
         this.queuePanel.toggle();
         return;
       }
 
+      if (e.altKey) {
+        const publishAt = this.promptPublishAt();
+        if (publishAt) {
+          await this.handleTelegramSend(publishAt);
+        }
+        return;
+      }
+
       await this.handleTelegramSend();
     });
 
+    this.floatingButton.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.togglePriorityMenu();
+    });
+
     this.floatingButton.addEventListener("mouseenter", () => {
       this.floatingButton.style.transform = "scale(1.1)";
       this.floatingButton.style.boxShadow = "0 6px 20px rgba(0, 136, 204, 0.4)";
@@ -679,13 +883,126 @@ class FloatingButtonExtension {
       existing.remove();
     }
     this.floatingButton = null;
+    this.removePriorityMenu();
   }
 
-  async handleTelegramSend() {
+  togglePriorityMenu() {
+    if (document.getElementById(this.config.UI.PRIORITY_MENU_ID)) {
+      this.removePriorityMenu();
+      return;
+    }
+
+    const menu = document.createElement("div");
+    menu.id = this.config.UI.PRIORITY_MENU_ID;
+
+    Object.assign(menu.style, {
+      position: "fixed",
+      bottom: "84px",
+      right: "20px",
+      background: "white",
+      borderRadius: "12px",
+      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.15)",
+      padding: "6px 0",
+      zIndex: "999999",
+      minWidth: "160px",
+      fontFamily:
+        "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    });
+
+    this.config.PRIORITIES.forEach(({ value, label }) => {
+      const option = document.createElement("button");
+      option.textContent = label;
+
+      Object.assign(option.style, {
+        display: "block",
+        width: "100%",
+        padding: "8px 16px",
+        background: "none",
+        border: "none",
+        textAlign: "left",
+        fontSize: "14px",
+        color: "#262626",
+        cursor: "pointer",
+      });
+
+      option.addEventListener("mouseenter", () => {
+        option.style.background = "#fafafa";
+      });
+      option.addEventListener("mouseleave", () => {
+        option.style.background = "none";
+      });
+      option.addEventListener("click", async (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.removePriorityMenu();
+        await this.handleTelegramSend(null, value);
+      });
+
+      menu.appendChild(option);
+    });
+
+    document.body.appendChild(menu);
+
+    // Any click outside closes the menu
+    this.closePriorityMenu = (e) => {
+      if (!menu.contains(e.target)) {
+        this.removePriorityMenu();
+      }
+    };
+    document.addEventListener("mousedown", this.closePriorityMenu, true);
+  }
+
+  removePriorityMenu() {
+    document.getElementById(this.config.UI.PRIORITY_MENU_ID)?.remove();
+
+    if (this.closePriorityMenu) {
+      document.removeEventListener("mousedown", this.closePriorityMenu, true);
+      this.closePriorityMenu = null;
+    }
+  }
+
+  promptPublishAt() {
+    const input = window.prompt(
+      "Publish to Telegram at (HH:MM or YYYY-MM-DD HH:MM):"
+    );
+    if (!input) return null;
+
+    const publishAt = this.parsePublishTime(input.trim());
+    if (!publishAt || publishAt <= new Date()) {
+      this.notification.show("Invalid or past publish time", "error");
+      return null;
+    }
+
+    return publishAt;
+  }
+
+  parsePublishTime(value) {
+    // "HH:MM" means the next occurrence of that time
+    const timeOnly = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (timeOnly) {
+      const date = new Date();
+      date.setHours(Number(timeOnly[1]), Number(timeOnly[2]), 0, 0);
+      if (date <= new Date()) {
+        date.setDate(date.getDate() + 1);
+      }
+      return date;
+    }
+
+    const date = new Date(value.replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  async handleTelegramSend(publishAt = null, priority = null) {
     try {
       console.log("🎭 Starting Telegram send...");
 
       const pageData = this.extractor.extractPageData();
+      if (publishAt) {
+        pageData.publishAt = publishAt.toISOString();
+      }
+      if (priority) {
+        pageData.priority = priority;
+      }
       console.log("🎭 Page data extracted:", pageData);
 
       const response = await chrome.runtime.sendMessage({
@@ -717,13 +1034,20 @@ class FloatingButtonExtension {
     console.log("🎭 Success result:", result);
 
     this.notification.show(
-      `Added to Telegram queue (position: ${result.queuePosition})`,
+      result.publishAt
+        ? `Scheduled for ${this.queuePanel.formatPublishTime(result.publishAt)}`
+        : `Added to Telegram queue (position: ${result.queuePosition}${
+            result.priority && result.priority !== "normal"
+              ? `, ${result.priority} priority`
+              : ""
+          })`,
       "success"
     );
 
     this.queuePanel.create();
     this.queuePanel.addJob(result.jobId, {
       ...pageData,
+      publishAt: result.publishAt,
       queuePosition: result.queuePosition,
       estimatedWaitTime: result.estimatedWaitTime,
       realTimeUpdates: result.realTimeUpdates,
@@ -805,7 +1129,7 @@ class FloatingButtonExtension {
   }
 
   handleQueueStatsUpdate(stats) {
-    // Handle queue stats updates if needed
+    this.queuePanel.updatePausedState(stats.paused, stats.pauseReason);
   }
 
   handleConnectionStatusChanged(request) {
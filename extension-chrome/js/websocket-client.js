@@ -12,10 +12,25 @@ class WebSocketClient {
         this.subscribedJobs = new Set();
         this.subscribedToQueue = false;
         this.serverUrl = '';
+        this.apiKey = '';
+        this.commandTimeout = 10000;
+
+        // Replay cursor: last server eventId seen and the server run it belongs to
+        this.streamId = null;
+        this.lastEventId = 0;
     }
 
-    initialize(serverUrl) {
+    initialize(serverUrl, apiKey = '') {
         this.serverUrl = serverUrl;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Continue from a cursor saved before the service worker was suspended
+     */
+    restoreCursor(streamId, lastEventId) {
+        this.streamId = streamId || null;
+        this.lastEventId = lastEventId || 0;
     }
 
     async connect() {
@@ -40,6 +55,7 @@ class WebSocketClient {
 
             this.socket = io(this.serverUrl, {
                 path: '/ws',
+                auth: { apiKey: this.apiKey },
                 transports: ['websocket', 'polling'],
                 timeout: 10000,
                 reconnection: false
@@ -91,14 +107,23 @@ class WebSocketClient {
         // Server events
         this.socket.on('connected', (data) => {
             console.log('🔌 Server connection confirmed:', data);
+
+            // Server restarted: its event IDs start over
+            if (data.streamId && data.streamId !== this.streamId) {
+                this.streamId = data.streamId;
+                this.lastEventId = 0;
+                this.emit('cursor', this.streamId, this.lastEventId);
+            }
         });
 
         this.socket.on('job:progress', (data) => {
-            this.emit('jobProgress', data.jobId, data.progress, data.message);
+            this.trackEvent(data);
+            this.emit('jobProgress', data.jobId, data.progress, data.message, data);
         });
 
         this.socket.on('job:finished', (data) => {
-            this.emit('jobFinished', data.jobId, data.status, data.result, data.error);
+            this.trackEvent(data);
+            this.emit('jobFinished', data.jobId, data.status, data.result, data.error, data.errorCode);
         });
 
         this.socket.on('queue:stats', (data) => {
@@ -115,7 +140,13 @@ class WebSocketClient {
         });
 
         this.socket.on('subscribed:job', (data) => {
-            console.log(`📱 Subscribed to job: ${data.jobId}`);
+            console.log(`📱 Subscribed to job: ${data.jobId}` +
+                (data.replayed ? ` (${data.replayed} missed events replayed)` : ''));
+
+            // Some events could not be replayed (buffer overflow or server restart)
+            if (data.replayComplete === false) {
+                this.emit('replayIncomplete', data.jobId);
+            }
         });
 
         this.socket.on('subscribed:queue', () => {
@@ -134,7 +165,12 @@ class WebSocketClient {
         this.subscribedJobs.add(jobId);
 
         if (this.isConnected()) {
-            this.socket.emit('subscribe:job', jobId);
+            // Server replays events for the job newer than our cursor
+            this.socket.emit('subscribe:job', {
+                jobId,
+                lastEventId: this.lastEventId,
+                streamId: this.streamId
+            });
             return true;
         }
         return false;
@@ -172,6 +208,26 @@ class WebSocketClient {
         });
     }
 
+    /**
+     * Send job/queue command and wait for the server acknowledgement
+     * Rejects when not connected or no ack arrives in time; a server-side
+     * failure resolves with { success: false, error, code }
+     */
+    async sendCommand(command, payload = {}) {
+        if (!this.isConnected()) {
+            throw new Error('WebSocket not connected');
+        }
+
+        return this.socket.timeout(this.commandTimeout).emitWithAck(command, payload);
+    }
+
+    trackEvent(data) {
+        if (typeof data.eventId === 'number' && data.eventId > this.lastEventId) {
+            this.lastEventId = data.eventId;
+            this.emit('cursor', this.streamId, this.lastEventId);
+        }
+    }
+
     scheduleReconnect() {
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.error('🔌 Max reconnect attempts reached');
@@ -237,6 +293,8 @@ class WebSocketClient {
             reconnectAttempts: this.reconnectAttempts,
             subscribedJobs: this.subscribedJobs.size,
             subscribedToQueue: this.subscribedToQueue,
+            streamId: this.streamId,
+            lastEventId: this.lastEventId,
             serverUrl: this.serverUrl,
             connected: this.isConnected()
         };
@@ -7,6 +7,7 @@ class EnhancedPopupManager {
   constructor() {
     this.form = document.getElementById("settingsForm");
     this.serverUrlInput = document.getElementById("serverUrl");
+    this.apiKeyInput = document.getElementById("apiKey");
     this.saveBtn = document.getElementById("saveBtn");
     this.testBtn = document.getElementById("testBtn");
     this.statusEl = document.getElementById("status");
@@ -15,6 +16,7 @@ class EnhancedPopupManager {
     this.connectionStatus = document.getElementById("connectionStatus");
     this.statusDot = document.getElementById("statusDot");
     this.statusText = document.getElementById("statusText");
+    this.pausedBanner = document.getElementById("pausedBanner");
 
     // Metrics elements
     this.metricsElements = {
@@ -57,10 +59,13 @@ class EnhancedPopupManager {
 
   async loadSettings() {
     try {
-      const data = await chrome.storage.local.get(["serverUrl"]);
+      const data = await chrome.storage.local.get(["serverUrl", "apiKey"]);
       if (data.serverUrl) {
         this.serverUrlInput.value = data.serverUrl;
       }
+      if (data.apiKey) {
+        this.apiKeyInput.value = data.apiKey;
+      }
     } catch (error) {
       this.showStatus("Error loading settings", "error");
     }
@@ -128,6 +133,7 @@ class EnhancedPopupManager {
 
       const response = await fetch(`${serverUrl}/api/queue/stats`, {
         method: "GET",
+        headers: { "X-API-Key": this.apiKeyInput.value.trim() },
         timeout: 5000,
       });
 
@@ -144,6 +150,12 @@ class EnhancedPopupManager {
   }
 
   displayQueueStats(stats) {
+    // Paused for maintenance: submissions are accepted but wait
+    this.pausedBanner.classList.toggle("show", Boolean(stats.paused));
+    this.pausedBanner.textContent = stats.paused
+      ? `⏸ Queue paused${stats.pauseReason ? `: ${stats.pauseReason}` : ""}`
+      : "";
+
     // Update metric cards with smooth animations
     this.animateMetricUpdate(this.metricsElements.queued, stats.queued || 0);
     this.animateMetricUpdate(
@@ -291,6 +303,7 @@ class EnhancedPopupManager {
     this.serverUrlInput.addEventListener("input", () =>
       this.validateServerUrl()
     );
+    this.apiKeyInput.addEventListener("input", () => this.validateApiKey());
 
     // Auto-refresh on focus
     document.addEventListener("visibilitychange", () => {
@@ -349,6 +362,19 @@ class EnhancedPopupManager {
     return true;
   }
 
+  validateApiKey() {
+    const value = this.apiKeyInput.value.trim();
+    const errorEl = document.getElementById("apiKeyError");
+
+    if (!value) {
+      this.setFieldError(this.apiKeyInput, errorEl, "API key is required");
+      return false;
+    }
+
+    this.clearFieldError(this.apiKeyInput, errorEl);
+    return true;
+  }
+
   setFieldError(input, errorEl, message) {
     input.classList.add("error");
     errorEl.textContent = message;
@@ -367,15 +393,16 @@ class EnhancedPopupManager {
     }
 
     const serverUrl = this.serverUrlInput.value.trim();
+    const apiKey = this.apiKeyInput.value.trim();
 
     try {
       this.setButtonLoading(this.saveBtn, true);
 
-      await chrome.storage.local.set({ serverUrl });
+      await chrome.storage.local.set({ serverUrl, apiKey });
 
       chrome.runtime.sendMessage({
         action: "updateSettings",
-        settings: { serverUrl },
+        settings: { serverUrl, apiKey },
       });
 
       this.showStatus("✅ Configuration saved successfully!", "success");
@@ -439,6 +466,8 @@ class EnhancedPopupManager {
 
       if (error.message.includes("Failed to fetch")) {
         errorMessage = "❌ Cannot reach server. Check URL and server status.";
+      } else if (error.message.includes("Authentication failed")) {
+        errorMessage = "❌ Authentication failed. Check your API key.";
       }
 
       this.showStatus(errorMessage, "error", 5000);
@@ -453,7 +482,9 @@ class EnhancedPopupManager {
   }
 
   validateForm() {
-    return this.validateServerUrl();
+    const urlValid = this.validateServerUrl();
+    const keyValid = this.validateApiKey();
+    return urlValid && keyValid;
   }
 
   setButtonLoading(button, loading) {
@@ -13,12 +13,33 @@ const CONFIG = {
   POLLING_INTERVAL: 8000,
 };
 
+// User messages for server error codes (see server/src/utils/errors.js)
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: "Invalid Instagram page. Please open a reel, post, or story.",
+  QUEUE_FULL: "Queue is full. Please try again later.",
+  MEMORY_LIMIT: "Server is busy processing other media. Please try again later.",
+  COOKIES_EXPIRED:
+    "Server's Instagram cookies have expired. Ask the admin to refresh cookies.txt.",
+  PRIVATE_CONTENT: "This content is private and can't be downloaded.",
+  NOT_FOUND: "Post not found. It may have been deleted.",
+  MEDIA_TOO_LARGE: "Media is too large to send to Telegram.",
+  IG_RATE_LIMITED:
+    "Instagram is rate limiting the server. Try again in a few minutes.",
+  DOWNLOAD_TIMEOUT: "Download from Instagram timed out. Please try again.",
+  TELEGRAM_FORBIDDEN:
+    "Bot can't post to the channel. Check that it is a channel admin.",
+  TELEGRAM_RATE_LIMITED: "Telegram is rate limiting the bot. Try again later.",
+  NETWORK_ERROR: "Server network error. Please try again.",
+  JOB_TIMEOUT: "Processing took too long and was stopped. Please try again.",
+  JOB_EXPIRED: "Waited too long in the server queue. Please send it again.",
+};
+
 class BackgroundServiceFirefox {
   constructor() {
     this.activeJobs = new Map();
     this.webSocketClient = new WebSocketClientFirefox();
     this.pollingInterval = null;
-    this.settings = { serverUrl: "" };
+    this.settings = { serverUrl: "", apiKey: "" };
 
     this.setupMessageListener();
     this.loadSettings();
@@ -26,9 +47,10 @@ class BackgroundServiceFirefox {
 
   async loadSettings() {
     try {
-      const data = await browserAPI.storage.local.get(["serverUrl"]);
+      const data = await browserAPI.storage.local.get(["serverUrl", "apiKey"]);
       this.settings = {
         serverUrl: data.serverUrl || CONFIG.DEFAULT_SERVER_URL,
+        apiKey: data.apiKey || "",
       };
 
       await this.initializeWebSocket();
@@ -74,6 +96,8 @@ class BackgroundServiceFirefox {
       sendToTelegram: (req) => this.handleMediaSend(req.data),
       getJobStatus: (req) => this.getJobStatus(req.jobId),
       cancelJob: (req) => this.cancelJob(req.jobId),
+      retryJob: (req) => this.retryJob(req.jobId),
+      getScheduledJobs: () => this.getScheduledJobs(),
       updateSettings: (req) => this.handleSettingsUpdate(req.settings),
       getConnectionStatus: () => this.getConnectionStatus(),
       testConnection: () => this.testConnection(),
@@ -87,7 +111,10 @@ class BackgroundServiceFirefox {
    */
   async initializeWebSocket() {
     try {
-      this.webSocketClient.initialize(this.settings.serverUrl);
+      this.webSocketClient.initialize(
+        this.settings.serverUrl,
+        this.settings.apiKey
+      );
       this.setupWebSocketEventListeners();
       await this.webSocketClient.connect();
     } catch (error) {
@@ -109,17 +136,30 @@ class BackgroundServiceFirefox {
       this.startPollingFallback();
     });
 
-    this.webSocketClient.on("jobProgress", (jobId, progress, message) => {
-      this.handleJobProgress(jobId, {
-        status: "processing",
-        progress,
-        progressMessage: message,
-      });
-    });
+    this.webSocketClient.on(
+      "jobProgress",
+      (jobId, progress, message, data = {}) => {
+        this.handleJobProgress(jobId, {
+          status: data.status || "processing",
+          progress,
+          progressMessage: message,
+          publishAt: data.publishAt,
+          queuePosition: data.queuePosition,
+          estimatedWaitTime: data.estimatedWaitTime,
+        });
+      }
+    );
 
-    this.webSocketClient.on("jobFinished", (jobId, status, result, error) => {
-      this.handleJobFinished(jobId, status, { result, error });
-    });
+    this.webSocketClient.on(
+      "jobFinished",
+      (jobId, status, result, error, errorCode) => {
+        this.handleJobFinished(jobId, status, {
+          result,
+          error: this.getJobErrorMessage(errorCode, error),
+          errorCode,
+        });
+      }
+    );
 
     this.webSocketClient.on("queueStats", (stats) => {
       this.broadcastToTabs("queueStatsUpdate", stats);
@@ -161,7 +201,18 @@ class BackgroundServiceFirefox {
                 });
               } else if (status.status === "failed") {
                 this.handleJobFinished(jobId, "failed", {
-                  error: status.error,
+                  error: this.getJobErrorMessage(
+                    status.errorCode,
+                    status.error
+                  ),
+                  errorCode: status.errorCode,
+                });
+              } else if (status.status === "queued") {
+                this.handleJobProgress(jobId, {
+                  status: "queued",
+                  progressMessage: status.progressMessage,
+                  queuePosition: status.queuePosition,
+                  estimatedWaitTime: status.estimatedWaitTime,
                 });
               } else if (status.status === "processing") {
                 this.handleJobProgress(jobId, {
@@ -193,9 +244,12 @@ class BackgroundServiceFirefox {
 
   async handleSettingsUpdate(newSettings) {
     const oldSettings = { ...this.settings };
-    this.settings = { ...newSettings };
+    this.settings = { ...this.settings, ...newSettings };
 
-    if (oldSettings.serverUrl !== newSettings.serverUrl) {
+    if (
+      oldSettings.serverUrl !== this.settings.serverUrl ||
+      oldSettings.apiKey !== this.settings.apiKey
+    ) {
       this.stopPollingFallback();
       this.webSocketClient.disconnect();
       await this.initializeWebSocket();
@@ -218,6 +272,8 @@ class BackgroundServiceFirefox {
           mediaType: mediaData.mediaType,
           pageUrl: mediaData.pageUrl,
           timestamp: mediaData.timestamp || new Date().toISOString(),
+          publishAt: mediaData.publishAt,
+          priority: mediaData.priority,
         }),
       };
 
@@ -236,6 +292,7 @@ class BackgroundServiceFirefox {
       const jobInfo = {
         jobId: result.jobId,
         mediaData,
+        publishAt: result.publishAt,
         queuePosition: result.queuePosition,
         estimatedWaitTime: result.estimatedWaitTime,
         startedAt: new Date(),
@@ -252,6 +309,9 @@ class BackgroundServiceFirefox {
       return {
         jobId: result.jobId,
         message: result.message,
+        status: result.status || "queued",
+        publishAt: result.publishAt || null,
+        priority: result.priority || "normal",
         queuePosition: result.queuePosition,
         estimatedWaitTime: result.estimatedWaitTime,
         realTimeUpdates: this.webSocketClient.isConnected(),
@@ -276,6 +336,36 @@ class BackgroundServiceFirefox {
     }
   }
 
+  async getScheduledJobs() {
+    try {
+      const response = await this.fetchWithRetry(
+        `${this.settings.serverUrl}/api/jobs/scheduled`,
+        { method: "GET" }
+      );
+
+      const result = await response.json();
+
+      // Track scheduled jobs so their progress reaches the queue panel
+      result.jobs.forEach((job) => {
+        if (!this.activeJobs.has(job.jobId)) {
+          this.activeJobs.set(job.jobId, {
+            jobId: job.jobId,
+            mediaData: { pageUrl: job.pageUrl },
+            publishAt: job.publishAt,
+            startedAt: new Date(),
+          });
+          if (this.webSocketClient.isConnected()) {
+            this.webSocketClient.subscribeToJob(job.jobId);
+          }
+        }
+      });
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get scheduled jobs: ${error.message}`);
+    }
+  }
+
   async cancelJob(jobId) {
     try {
       const response = await this.fetchWithRetry(
@@ -295,6 +385,31 @@ class BackgroundServiceFirefox {
     }
   }
 
+  async retryJob(jobId) {
+    try {
+      const response = await this.fetchWithRetry(
+        `${this.settings.serverUrl}/api/job/${jobId}/retry`,
+        { method: "POST" }
+      );
+
+      const result = await response.json();
+
+      // Track the job again, its finish dropped it from activeJobs
+      this.activeJobs.set(jobId, {
+        ...this.activeJobs.get(jobId),
+        jobId,
+        startedAt: new Date(),
+      });
+      if (this.webSocketClient.isConnected()) {
+        this.webSocketClient.subscribeToJob(jobId);
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(this.getUserFriendlyError(error));
+    }
+  }
+
   getConnectionStatus() {
     return {
       webSocketConnected: this.webSocketClient.isConnected(),
@@ -340,6 +455,10 @@ class BackgroundServiceFirefox {
 
         const response = await fetch(url, {
           ...options,
+          headers: {
+            ...options.headers,
+            "X-API-Key": this.settings.apiKey,
+          },
           signal: controller.signal,
         });
 
@@ -350,7 +469,41 @@ class BackgroundServiceFirefox {
         }
 
         const errorText = await response.text();
-        throw new Error(`Server error ${response.status}: ${errorText}`);
+        let errorBody = null;
+        try {
+          errorBody = JSON.parse(errorText);
+        } catch {
+          // Non-JSON error page
+        }
+
+        if (response.status === 401) {
+          const authError = new Error(`Authentication failed: ${errorText}`);
+          authError.retryable = false;
+          throw authError;
+        }
+
+        if (response.status === 409) {
+          const duplicateError = new Error(`Duplicate content: ${errorText}`);
+          duplicateError.retryable = false;
+          duplicateError.duplicate = errorBody?.duplicate || null;
+          throw duplicateError;
+        }
+
+        if (response.status === 429) {
+          const rateError = new Error(`Rate limit exceeded: ${errorText}`);
+          rateError.retryable = false;
+          rateError.retryAfter =
+            parseInt(response.headers.get("Retry-After"), 10) || null;
+          throw rateError;
+        }
+
+        const serverError = new Error(
+          `Server error ${response.status}: ${errorText}`
+        );
+        serverError.code = errorBody?.code;
+        // Client errors won't succeed on retry
+        serverError.retryable = response.status >= 500;
+        throw serverError;
       } catch (error) {
         lastError = error;
 
@@ -358,7 +511,7 @@ class BackgroundServiceFirefox {
           throw new Error("Request timeout");
         }
 
-        if (i === maxRetries - 1) {
+        if (error.retryable === false || i === maxRetries - 1) {
           throw error;
         }
 
@@ -385,7 +538,10 @@ class BackgroundServiceFirefox {
     this.broadcastToTabs("jobFinished", { jobId, reason, details });
 
     setTimeout(() => {
-      this.activeJobs.delete(jobId);
+      // Keep jobs that were retried in the meantime
+      if (this.activeJobs.get(jobId) === jobInfo) {
+        this.activeJobs.delete(jobId);
+      }
     }, 30000);
   }
 
@@ -437,6 +593,10 @@ class BackgroundServiceFirefox {
     console.log("✅ Media data validation passed");
   }
 
+  getJobErrorMessage(errorCode, fallback) {
+    return ERROR_MESSAGES[errorCode] || fallback;
+  }
+
   getUserFriendlyError(error) {
     const message = error.message || error.toString();
 
@@ -447,6 +607,27 @@ class BackgroundServiceFirefox {
       return "Network error. Check internet connection and server status.";
     }
 
+    if (message.includes("Authentication failed")) {
+      return "Authentication failed. Check API key in extension settings.";
+    }
+
+    if (message.includes("Rate limit exceeded")) {
+      const wait = error.retryAfter
+        ? `${error.retryAfter} seconds`
+        : "a minute";
+      return `Slow down! Too many requests, try again in ${wait}.`;
+    }
+
+    if (message.includes("Duplicate content")) {
+      return error.duplicate?.status === "published"
+        ? "Already posted to Telegram channel."
+        : "Already in queue.";
+    }
+
+    if (ERROR_MESSAGES[error.code]) {
+      return ERROR_MESSAGES[error.code];
+    }
+
     if (message.includes("Queue is full")) {
       return "Queue is full. Please try again later.";
     }
@@ -464,8 +645,10 @@ const backgroundServiceFirefox = new BackgroundServiceFirefox();
 
 // Storage change listener
 browserAPI.storage.onChanged.addListener((changes, namespace) => {
-  if (namespace === "local" && changes.serverUrl) {
-    const newSettings = { serverUrl: changes.serverUrl.newValue };
+  if (namespace === "local" && (changes.serverUrl || changes.apiKey)) {
+    const newSettings = {};
+    if (changes.serverUrl) newSettings.serverUrl = changes.serverUrl.newValue;
+    if (changes.apiKey) newSettings.apiKey = changes.apiKey.newValue;
     backgroundServiceFirefox.handleSettingsUpdate(newSettings);
   }
 });
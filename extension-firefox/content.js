@@ -39,7 +39,13 @@ const CONFIG = {
   UI: {
     BUTTON_ID: "telegram-send-button",
     QUEUE_PANEL_ID: "telegram-queue-panel",
+    PRIORITY_MENU_ID: "telegram-priority-menu",
   },
+  PRIORITIES: [
+    { value: "high", label: "⚡ High priority" },
+    { value: "normal", label: "Normal" },
+    { value: "low", label: "🐢 Low priority" },
+  ],
   PATHS: {
     REELS: ["/reels/", "/reel/"],
     STORIES: ["/stories/"],
@@ -532,6 +538,7 @@ class QueuePanel {
   constructor() {
     this.panel = null;
     this.jobs = new Map(); // jobId -> jobElement
+    this.removalTimers = new Map(); // jobId -> auto-remove timeout
     this.isVisible = false;
     this.create();
   }
@@ -576,6 +583,15 @@ class QueuePanel {
                         background: #ccc;
                         animation: pulse 2s infinite;
                     "></div>
+                    <span id="queue-paused-badge" style="
+                        display: none;
+                        padding: 2px 8px;
+                        border-radius: 10px;
+                        background: #FFF3E0;
+                        color: #E65100;
+                        font-size: 11px;
+                        font-weight: 600;
+                    ">⏸ Paused</span>
                 </div>
                 <button id="queue-panel-close" style="
                     background: none;
@@ -677,7 +693,52 @@ class QueuePanel {
       this.hide();
     } else {
       this.show();
+      this.loadScheduledJobs();
+    }
+  }
+
+  async loadScheduledJobs() {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        action: "getScheduledJobs",
+      });
+      if (!response?.success) return;
+
+      response.result.jobs.forEach((job) => {
+        if (!this.jobs.has(job.jobId)) {
+          this.addJob(job.jobId, {
+            pageUrl: job.pageUrl,
+            publishAt: job.publishAt,
+          });
+        }
+      });
+    } catch (error) {
+      console.warn("Failed to load scheduled jobs:", error);
+    }
+  }
+
+  formatQueueStatus(position, waitSeconds) {
+    if (!position) return "In queue";
+
+    // null wait time means the server queue is paused
+    let eta = "";
+    if (waitSeconds === 0) {
+      eta = " · starting now";
+    } else if (waitSeconds > 0) {
+      eta =
+        waitSeconds < 60
+          ? ` · ~${waitSeconds}s`
+          : ` · ~${Math.round(waitSeconds / 60)} min`;
     }
+
+    return `In queue (position: ${position}${eta})`;
+  }
+
+  formatPublishTime(publishAt) {
+    return new Date(publishAt).toLocaleString([], {
+      dateStyle: "short",
+      timeStyle: "short",
+    });
   }
 
   updateRealTimeIndicator(isConnected) {
@@ -690,6 +751,16 @@ class QueuePanel {
     }
   }
 
+  updatePausedState(paused, reason) {
+    const badge = this.panel?.querySelector("#queue-paused-badge");
+    if (badge) {
+      badge.style.display = paused ? "inline-block" : "none";
+      badge.title = paused
+        ? `Server queue is paused${reason ? `: ${reason}` : ""}. New posts wait until it resumes.`
+        : "";
+    }
+  }
+
   addJob(jobId, jobData) {
     // Hide empty state
     const emptyState = this.jobsContainer.querySelector("#empty-queue");
@@ -721,6 +792,18 @@ class QueuePanel {
                         ${videoTitle}
                     </div>
                 </div>
+                <button class="retry-btn" title="Retry" style="
+                    display: none;
+                    background: none;
+                    border: none;
+                    color: #2196F3;
+                    cursor: pointer;
+                    font-size: 16px;
+                    padding: 4px;
+                    border-radius: 4px;
+                    transition: all 0.2s;
+                " onmouseover="this.style.background='#f5f5f5'"
+                   onmouseout="this.style.background='none'">↻</button>
                 <button class="cancel-btn" style="
                     background: none;
                     border: none;
@@ -735,10 +818,15 @@ class QueuePanel {
             </div>
 
             <div class="job-status" style="font-size: 12px; color: #2196F3; margin-bottom: 8px; display: flex; align-items: center; gap: 6px;">
-                <span class="status-icon">⏳</span>
-                <span class="status-text">In queue (position: ${
-                  jobData.queuePosition || "?"
-                })</span>
+                <span class="status-icon">${jobData.publishAt ? "🗓" : "⏳"}</span>
+                <span class="status-text">${
+                  jobData.publishAt
+                    ? `Scheduled for ${this.formatPublishTime(jobData.publishAt)}`
+                    : this.formatQueueStatus(
+                        jobData.queuePosition,
+                        jobData.estimatedWaitTime
+                      )
+                }</span>
             </div>
 
             <div class="job-progress" style="display: none;">
@@ -772,6 +860,11 @@ class QueuePanel {
       this.cancelJob(jobId);
     });
 
+    jobElement.querySelector(".retry-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.retryJob(jobId);
+    });
+
     this.jobs.set(jobId, jobElement);
     this.jobsContainer.appendChild(jobElement);
 
@@ -790,14 +883,47 @@ class QueuePanel {
     const progressBar = jobElement.querySelector(".progress-bar");
     const progressText = jobElement.querySelector(".progress-text");
     const cancelBtn = jobElement.querySelector(".cancel-btn");
+    const retryBtn = jobElement.querySelector(".retry-btn");
+
+    if (status.status !== "failed") {
+      retryBtn.style.display = "none";
+    }
 
     switch (status.status) {
+      case "scheduled":
+        statusIcon.textContent = "🗓";
+        statusText.textContent = `Scheduled for ${this.formatPublishTime(
+          status.publishAt
+        )}`;
+        statusEl.style.color = "#666";
+        jobElement.style.borderLeftColor = "#9C27B0";
+        progressEl.style.display = "none";
+        cancelBtn.style.display = "block";
+        break;
+
       case "queued":
         statusIcon.textContent = "⏳";
-        statusText.textContent = `In queue`;
+        statusText.textContent = status.queuePosition
+          ? this.formatQueueStatus(
+              status.queuePosition,
+              status.estimatedWaitTime
+            )
+          : status.progressMessage || "In queue";
         statusEl.style.color = "#666";
         jobElement.style.borderLeftColor = "#666";
+        jobElement.style.background =
+          "linear-gradient(135deg, #f8f9fa, #ffffff)";
         progressEl.style.display = "none";
+        cancelBtn.style.display = "block";
+        break;
+
+      case "waiting":
+        statusIcon.textContent = "⏸";
+        statusText.textContent = status.progressMessage || "Waiting to publish";
+        statusEl.style.color = "#666";
+        jobElement.style.borderLeftColor = "#9C27B0";
+        progressEl.style.display = "none";
+        cancelBtn.style.display = "block";
         break;
 
       case "processing":
@@ -809,11 +935,13 @@ class QueuePanel {
         if (status.progress !== undefined) {
           progressEl.style.display = "block";
           progressBar.style.width = `${status.progress}%`;
-          progressText.textContent =
-            status.progressMessage || `${status.progress}%`;
+          // Download messages carry file, size and rate, e.g. "Downloading file 2/4: ..."
+          progressText.textContent = status.progressMessage
+            ? `${status.progress}% · ${status.progressMessage}`
+            : `${status.progress}%`;
         }
 
-        cancelBtn.style.display = "none";
+        cancelBtn.style.display = "block";
         break;
 
       case "completed":
@@ -829,9 +957,7 @@ class QueuePanel {
           "linear-gradient(135deg, #e8f5e8, #ffffff)";
 
         // Auto-remove after 5 seconds
-        setTimeout(() => {
-          this.removeJob(jobId);
-        }, 5000);
+        this.scheduleRemoval(jobId, 5000);
         break;
 
       case "failed":
@@ -846,15 +972,26 @@ class QueuePanel {
         jobElement.style.background =
           "linear-gradient(135deg, #ffeaea, #ffffff)";
 
-        // Auto-remove after 10 seconds
-        setTimeout(() => {
-          this.removeJob(jobId);
-        }, 10000);
+        retryBtn.style.display = "block";
+
+        // Leave time to hit retry before the item goes away
+        this.scheduleRemoval(jobId, 60000);
         break;
     }
   }
 
+  scheduleRemoval(jobId, delay) {
+    clearTimeout(this.removalTimers.get(jobId));
+    this.removalTimers.set(
+      jobId,
+      setTimeout(() => this.removeJob(jobId), delay)
+    );
+  }
+
   removeJob(jobId) {
+    clearTimeout(this.removalTimers.get(jobId));
+    this.removalTimers.delete(jobId);
+
     const jobElement = this.jobs.get(jobId);
     if (jobElement) {
       jobElement.style.opacity = "0";
@@ -894,6 +1031,32 @@ class QueuePanel {
     }
   }
 
+  async retryJob(jobId) {
+    try {
+      const response = await browserAPI.runtime.sendMessage({
+        action: "retryJob",
+        jobId,
+      });
+
+      if (response.success) {
+        clearTimeout(this.removalTimers.get(jobId));
+        this.removalTimers.delete(jobId);
+        NotificationManager.show("Job re-queued", "success");
+        this.updateJob(jobId, {
+          status: "queued",
+          progressMessage: "Re-queued",
+        });
+      } else {
+        NotificationManager.show(
+          response.error || "Failed to retry job",
+          "error"
+        );
+      }
+    } catch (error) {
+      NotificationManager.show("Error retrying job", "error");
+    }
+  }
+
   updateJobCount() {
     // This could update a counter somewhere
   }
@@ -926,6 +1089,7 @@ class TelegramButton {
     this.queuePanel = queuePanel;
     this.button = null;
     this.isProcessing = false;
+    this.closePriorityMenu = null;
   }
 
   create() {
@@ -963,6 +1127,9 @@ class TelegramButton {
 
     Object.assign(this.button.style, styles);
 
+    this.button.title =
+      "Send to Telegram (Ctrl+click for high priority, right-click to pick priority, Alt+click to schedule, Shift+click for queue)";
+
     this.setupEventHandlers();
     document.body.appendChild(this.button);
     return this.button;
@@ -986,13 +1153,26 @@ class TelegramButton {
 
     // Click handlers
     this.button.addEventListener("click", (e) => {
-      if (e.shiftKey) {
+      if (e.ctrlKey || e.metaKey) {
+        this.handleClick(null, "high");
+      } else if (e.shiftKey) {
         this.queuePanel.toggle();
+      } else if (e.altKey) {
+        const publishAt = this.promptPublishAt();
+        if (publishAt) {
+          this.handleClick(publishAt);
+        }
       } else {
         this.handleClick();
       }
     });
 
+    this.button.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.togglePriorityMenu();
+    });
+
     // Long press for queue panel
     let pressTimer;
     this.button.addEventListener("mousedown", () => {
@@ -1010,7 +1190,114 @@ class TelegramButton {
     });
   }
 
-  async handleClick() {
+  togglePriorityMenu() {
+    if (document.getElementById(CONFIG.UI.PRIORITY_MENU_ID)) {
+      this.removePriorityMenu();
+      return;
+    }
+
+    const menu = document.createElement("div");
+    menu.id = CONFIG.UI.PRIORITY_MENU_ID;
+
+    Object.assign(menu.style, {
+      position: "fixed",
+      bottom: "76px",
+      right: "20px",
+      background: "rgba(255, 255, 255, 0.98)",
+      border: "1px solid #e1e5e9",
+      borderRadius: "12px",
+      boxShadow: "0 8px 32px rgba(0, 0, 0, 0.15)",
+      padding: "6px 0",
+      zIndex: "99999",
+      minWidth: "160px",
+      fontFamily:
+        '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    });
+
+    CONFIG.PRIORITIES.forEach(({ value, label }) => {
+      const option = document.createElement("button");
+      option.textContent = label;
+
+      Object.assign(option.style, {
+        display: "block",
+        width: "100%",
+        padding: "8px 16px",
+        background: "none",
+        border: "none",
+        textAlign: "left",
+        fontSize: "14px",
+        color: "#333",
+        cursor: "pointer",
+      });
+
+      option.addEventListener("mouseenter", () => {
+        option.style.background = "#f5f5f5";
+      });
+      option.addEventListener("mouseleave", () => {
+        option.style.background = "none";
+      });
+      option.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.removePriorityMenu();
+        this.handleClick(null, value);
+      });
+
+      menu.appendChild(option);
+    });
+
+    document.body.appendChild(menu);
+
+    // Any click outside closes the menu
+    this.closePriorityMenu = (e) => {
+      if (!menu.contains(e.target)) {
+        this.removePriorityMenu();
+      }
+    };
+    document.addEventListener("mousedown", this.closePriorityMenu, true);
+  }
+
+  removePriorityMenu() {
+    document.getElementById(CONFIG.UI.PRIORITY_MENU_ID)?.remove();
+
+    if (this.closePriorityMenu) {
+      document.removeEventListener("mousedown", this.closePriorityMenu, true);
+      this.closePriorityMenu = null;
+    }
+  }
+
+  promptPublishAt() {
+    const input = window.prompt(
+      "Publish to Telegram at (HH:MM or YYYY-MM-DD HH:MM):"
+    );
+    if (!input) return null;
+
+    const publishAt = this.parsePublishTime(input.trim());
+    if (!publishAt || publishAt <= new Date()) {
+      NotificationManager.show("Invalid or past publish time", "error");
+      return null;
+    }
+
+    return publishAt;
+  }
+
+  parsePublishTime(value) {
+    // "HH:MM" means the next occurrence of that time
+    const timeOnly = value.match(/^(\d{1,2}):(\d{2})$/);
+    if (timeOnly) {
+      const date = new Date();
+      date.setHours(Number(timeOnly[1]), Number(timeOnly[2]), 0, 0);
+      if (date <= new Date()) {
+        date.setDate(date.getDate() + 1);
+      }
+      return date;
+    }
+
+    const date = new Date(value.replace(" ", "T"));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  async handleClick(publishAt = null, priority = null) {
     if (this.isProcessing) return;
 
     try {
@@ -1024,6 +1311,13 @@ class TelegramButton {
         return;
       }
 
+      if (publishAt) {
+        mediaData.publishAt = publishAt.toISOString();
+      }
+      if (priority) {
+        mediaData.priority = priority;
+      }
+
       this.setProcessingState(true);
       console.log("📤 Sending message to background...");
 
@@ -1045,9 +1339,17 @@ class TelegramButton {
 
         this.setSuccessState();
 
-        const message = result.realTimeUpdates
-          ? `Added to queue (position: ${result.queuePosition}) • Real-time updates`
-          : `Added to queue (position: ${result.queuePosition})`;
+        const priorityNote =
+          result.priority && result.priority !== "normal"
+            ? `, ${result.priority} priority`
+            : "";
+        const message = result.publishAt
+          ? `Scheduled for ${this.queuePanel.formatPublishTime(
+              result.publishAt
+            )}`
+          : result.realTimeUpdates
+          ? `Added to queue (position: ${result.queuePosition}${priorityNote}) • Real-time updates`
+          : `Added to queue (position: ${result.queuePosition}${priorityNote})`;
 
         NotificationManager.show(
           message,
@@ -1058,6 +1360,7 @@ class TelegramButton {
         // Add to queue panel
         this.queuePanel.addJob(result.jobId, {
           ...mediaData,
+          publishAt: result.publishAt,
           queuePosition: result.queuePosition,
           estimatedWaitTime: result.estimatedWaitTime,
           realTimeUpdates: result.realTimeUpdates,
@@ -1188,6 +1491,7 @@ class TelegramButton {
       existing.remove();
     }
     this.button = null;
+    this.removePriorityMenu();
   }
 
   updateQueueCount(count) {
@@ -1309,6 +1613,7 @@ class InstagramReelsExtensionFirefox {
   handleQueueStatsUpdate(stats) {
     // Update queue panel with latest stats
     this.queuePanel.updateRealTimeIndicator(stats.realTimeUpdates);
+    this.queuePanel.updatePausedState(stats.paused, stats.pauseReason);
 
     // Could also update button badge with queue count
     if (stats.queued > 0) {
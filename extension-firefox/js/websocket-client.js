@@ -12,10 +12,12 @@ class WebSocketClientFirefox {
     this.subscribedJobs = new Set();
     this.subscribedToQueue = false;
     this.serverUrl = "";
+    this.apiKey = "";
   }
 
-  initialize(serverUrl) {
+  initialize(serverUrl, apiKey = "") {
     this.serverUrl = serverUrl;
+    this.apiKey = apiKey;
   }
 
   async connect() {
@@ -38,6 +40,7 @@ class WebSocketClientFirefox {
 
       this.socket = io(this.serverUrl, {
         path: "/ws",
+        auth: { apiKey: this.apiKey },
         transports: ["websocket", "polling"],
         timeout: 10000,
         reconnection: false,
@@ -84,7 +87,7 @@ class WebSocketClientFirefox {
     });
 
     this.socket.on("job:progress", (data) => {
-      this.emit("jobProgress", data.jobId, data.progress, data.message);
+      this.emit("jobProgress", data.jobId, data.progress, data.message, data);
     });
 
     this.socket.on("job:finished", (data) => {
@@ -93,7 +96,8 @@ class WebSocketClientFirefox {
         data.jobId,
         data.status,
         data.result,
-        data.error
+        data.error,
+        data.errorCode
       );
     });
 
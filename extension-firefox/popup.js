@@ -9,6 +9,7 @@ class PopupManagerFirefox {
   constructor() {
     this.form = document.getElementById("settingsForm");
     this.serverUrlInput = document.getElementById("serverUrl");
+    this.apiKeyInput = document.getElementById("apiKey");
     this.saveBtn = document.getElementById("saveBtn");
     this.testBtn = document.getElementById("testBtn");
     this.statusEl = document.getElementById("status");
@@ -27,11 +28,14 @@ class PopupManagerFirefox {
 
   async loadSettings() {
     try {
-      const data = await browserAPI.storage.local.get(["serverUrl"]);
+      const data = await browserAPI.storage.local.get(["serverUrl", "apiKey"]);
 
       if (data.serverUrl) {
         this.serverUrlInput.value = data.serverUrl;
       }
+      if (data.apiKey) {
+        this.apiKeyInput.value = data.apiKey;
+      }
     } catch (error) {
       this.showStatus("Error loading settings", "error");
     }
@@ -62,6 +66,7 @@ class PopupManagerFirefox {
 
       const response = await fetch(`${serverUrl}/api/queue/stats`, {
         method: "GET",
+        headers: { "X-API-Key": this.apiKeyInput.value.trim() },
         timeout: 5000,
       });
 
@@ -204,7 +209,20 @@ class PopupManagerFirefox {
     return "#4CAF50";
   }
 
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   getQueueStatusMessage(stats) {
+    if (stats.paused) {
+      const reason = stats.pauseReason
+        ? `: ${this.escapeHtml(stats.pauseReason)}`
+        : "";
+      return `<div style="margin-top: 10px; padding: 8px; background: #FFF3E0; color: #E65100; border-radius: 4px; font-size: 11px; text-align: center;">⏸ Queue paused${reason} • New videos wait until resumed</div>`;
+    }
+
     if (stats.queued === 0 && stats.processing === 0) {
       return '<div style="margin-top: 10px; padding: 8px; background: #e8f5e8; color: #2e7d2e; border-radius: 4px; font-size: 11px; text-align: center;">🎉 Queue is empty • Ready for new videos!</div>';
     }
@@ -236,6 +254,7 @@ class PopupManagerFirefox {
     this.serverUrlInput.addEventListener("input", () =>
       this.validateServerUrl()
     );
+    this.apiKeyInput.addEventListener("input", () => this.validateApiKey());
   }
 
   validateServerUrl() {
@@ -270,6 +289,19 @@ class PopupManagerFirefox {
     return true;
   }
 
+  validateApiKey() {
+    const value = this.apiKeyInput.value.trim();
+    const errorEl = document.getElementById("apiKeyError");
+
+    if (!value) {
+      this.setFieldError(this.apiKeyInput, errorEl, "API key is required");
+      return false;
+    }
+
+    this.clearFieldError(this.apiKeyInput, errorEl);
+    return true;
+  }
+
   setFieldError(input, errorEl, message) {
     input.classList.add("error");
     errorEl.textContent = message;
@@ -288,15 +320,16 @@ class PopupManagerFirefox {
     }
 
     const serverUrl = this.serverUrlInput.value.trim();
+    const apiKey = this.apiKeyInput.value.trim();
 
     try {
       this.setButtonLoading(this.saveBtn, true);
 
-      await browserAPI.storage.local.set({ serverUrl });
+      await browserAPI.storage.local.set({ serverUrl, apiKey });
 
       browserAPI.runtime.sendMessage({
         action: "updateSettings",
-        settings: { serverUrl },
+        settings: { serverUrl, apiKey },
       });
 
       this.showStatus("✅ Settings saved!", "success");
@@ -341,6 +374,8 @@ class PopupManagerFirefox {
           "❌ Cannot reach server. Check URL and server status.",
           "error"
         );
+      } else if (error.message.includes("Authentication failed")) {
+        this.showStatus("❌ Authentication failed. Check your API key.", "error");
       } else {
         this.showStatus(`❌ Connection failed: ${error.message}`, "error");
       }
@@ -350,7 +385,9 @@ class PopupManagerFirefox {
   }
 
   validateForm() {
-    return this.validateServerUrl();
+    const urlValid = this.validateServerUrl();
+    const keyValid = this.validateApiKey();
+    return urlValid && keyValid;
   }
 
   setButtonLoading(button, loading) {
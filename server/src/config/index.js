@@ -1,5 +1,8 @@
 const Joi = require('joi');
 
+// Comma separated downloader names, e.g. "gallery-dl,yt-dlp"
+const downloaderList = Joi.string().pattern(/^\s*(gallery-dl|yt-dlp)\s*(,\s*(gallery-dl|yt-dlp)\s*)*$/);
+
 // Configuration schema validation
 const configSchema = Joi.object({
     PORT: Joi.number().default(3000),
@@ -8,6 +11,17 @@ const configSchema = Joi.object({
     // Telegram
     BOT_TOKEN: Joi.string().required(),
     CHANNEL_ID: Joi.string().required(),
+    TELEGRAM_ADMIN_IDS: Joi.string().allow('').default(''), // comma separated user IDs allowed to run /pause, /resume
+
+    // Security
+    API_KEY: Joi.string().min(32).required(),
+    JWT_SECRET: Joi.string().min(32).optional(),
+    JWT_EXPIRY: Joi.string().default('24h'),
+
+    // Rate limiting (requests per window)
+    RATE_LIMIT_MAX: Joi.number().min(1).default(500), // per 15 min
+    API_RATE_LIMIT_MAX: Joi.number().min(1).default(150), // per minute
+    DOWNLOAD_RATE_LIMIT_MAX: Joi.number().min(1).default(20), // per minute
 
     // Memory limits (bytes)
     MAX_MEMORY_PER_VIDEO: Joi.number().default(50 * 1024 * 1024), // 50MB
@@ -17,15 +31,61 @@ const configSchema = Joi.object({
     // Queue settings
     MAX_CONCURRENT_DOWNLOADS: Joi.number().min(1).max(10).default(3),
     MAX_QUEUE_SIZE: Joi.number().min(1).default(50),
-    QUEUE_TIMEOUT: Joi.number().default(10 * 60 * 1000), // 10 min
+    MAX_BATCH_SIZE: Joi.number().min(1).default(50), // URLs per POST /api/jobs/batch
+    QUEUE_TIMEOUT: Joi.number().min(0).default(10 * 60 * 1000), // 10 min of processing per job, 0 = no limit
+    QUEUE_MAX_AGE: Joi.number().min(0).default(60 * 60 * 1000), // 1h waiting in queue, 0 = no limit
     DOWNLOAD_TIMEOUT: Joi.number().default(60 * 1000), // 60 sec
 
+    // Downloaders, tried in order until one succeeds (gallery-dl, yt-dlp)
+    DOWNLOADERS: downloaderList.default('gallery-dl,yt-dlp'),
+    DOWNLOADERS_REEL: downloaderList.allow(''), // per content type, overrides DOWNLOADERS
+    DOWNLOADERS_POST: downloaderList.allow(''),
+    DOWNLOADERS_STORY: downloaderList.allow(''),
+
     // Performance
     WORKER_SPAWN_DELAY: Joi.number().default(1000),
     QUEUE_POLL_INTERVAL: Joi.number().default(2000),
     MEMORY_LOG_INTERVAL: Joi.number().default(30000),
     AUTO_CLEANUP_INTERVAL: Joi.number().default(5 * 60 * 1000), // 5 min
 
+    // Job persistence
+    JOB_STORE_ENABLED: Joi.boolean().default(true),
+    JOB_STORE_PATH: Joi.string().default('./data/jobs.jsonl'),
+    TEMP_DIR: Joi.string().default('./temp'), // per-job download workspaces
+    JOB_HISTORY_RETENTION: Joi.number().min(0).default(24 * 60 * 60 * 1000), // 24h
+    DEAD_LETTER_RETENTION: Joi.number().min(0).default(7 * 24 * 60 * 60 * 1000), // failed jobs, 7 days
+
+    // Retry policy
+    JOB_MAX_ATTEMPTS: Joi.number().min(1).max(10).default(3),
+    RETRY_BASE_DELAY: Joi.number().min(0).default(5000), // 5 sec
+    RETRY_MAX_DELAY: Joi.number().min(0).default(5 * 60 * 1000), // 5 min
+
+    // Scheduled publishing
+    MAX_SCHEDULED_JOBS: Joi.number().min(0).default(100),
+    SCHEDULE_CHECK_INTERVAL: Joi.number().min(1000).default(15000), // 15 sec
+    SCHEDULE_PREFETCH_LEAD: Joi.number().min(0).default(2 * 60 * 1000), // download 2 min before publishAt
+    SCHEDULE_MAX_AHEAD: Joi.number().min(0).default(14 * 24 * 60 * 60 * 1000), // 14 days
+
+    // Channel posting cadence
+    PUBLISH_MAX_PER_HOUR: Joi.number().min(0).default(0), // 0 = unlimited
+    PUBLISH_MIN_INTERVAL: Joi.number().min(0).default(0), // ms between posts, 0 = no spacing
+    PUBLISH_QUIET_HOURS: Joi.string().pattern(/^\d{1,2}-\d{1,2}$/).allow('').default(''), // e.g. "23-7", server local time
+    PUBLISH_MAX_WAITING: Joi.number().integer().min(0).default(10), // jobs waiting for a slot without a worker, 0 = unlimited
+
+    // Duplicate detection
+    DUPLICATE_CHECK_ENABLED: Joi.boolean().default(true),
+    DUPLICATE_INDEX_PATH: Joi.string().default('./data/published.json'),
+    DUPLICATE_RETENTION: Joi.number().min(0).default(90 * 24 * 60 * 60 * 1000), // 90 days
+
+    // Outbound webhooks
+    WEBHOOK_STORE_PATH: Joi.string().default('./data/webhooks.json'),
+    WEBHOOK_TIMEOUT: Joi.number().min(1000).default(10000), // per delivery attempt
+    WEBHOOK_MAX_ATTEMPTS: Joi.number().min(1).default(5),
+    WEBHOOK_RETRY_BASE_DELAY: Joi.number().min(0).default(10000), // doubled after every failed attempt
+    WEBHOOK_RETRY_MAX_DELAY: Joi.number().min(0).default(10 * 60 * 1000), // 10 min
+    WEBHOOK_LOG_SIZE: Joi.number().min(1).default(200), // deliveries kept for GET /api/webhooks/deliveries
+    WEBHOOK_ALLOW_PRIVATE_URLS: Joi.boolean().default(false), // allow loopback/private network targets
+
     // Features
     MEMORY_PROCESSING: Joi.boolean().default(true),
     AUTO_MEMORY_CLEANUP: Joi.boolean().default(true),
@@ -36,7 +96,13 @@ const configSchema = Joi.object({
     WEBSOCKET_ENABLED: Joi.boolean().default(true),
     WEBSOCKET_PATH: Joi.string().default('/ws'),
     WEBSOCKET_PING_TIMEOUT: Joi.number().default(60000),
-    WEBSOCKET_PING_INTERVAL: Joi.number().default(25000)
+    WEBSOCKET_PING_INTERVAL: Joi.number().default(25000),
+    WEBSOCKET_PROGRESS_INTERVAL: Joi.number().min(0).default(500), // min ms between progress updates of a job, 0 = no coalescing
+    WEBSOCKET_REPLAY_BUFFER_SIZE: Joi.number().min(0).default(1000), // job/batch events kept for replay (WebSocket and SSE)
+
+    // Server-Sent Events (GET /api/events)
+    SSE_HEARTBEAT_INTERVAL: Joi.number().min(1000).default(15000),
+    SSE_RETRY_DELAY: Joi.number().min(0).default(3000) // reconnect delay suggested to clients
 });
 
 // Load and validate configuration
@@ -46,17 +112,56 @@ function loadConfig() {
         NODE_ENV: process.env.NODE_ENV,
         BOT_TOKEN: process.env.BOT_TOKEN,
         CHANNEL_ID: process.env.CHANNEL_ID,
+        TELEGRAM_ADMIN_IDS: process.env.TELEGRAM_ADMIN_IDS,
+        API_KEY: process.env.API_KEY,
+        JWT_SECRET: process.env.JWT_SECRET,
+        JWT_EXPIRY: process.env.JWT_EXPIRY,
+        RATE_LIMIT_MAX: process.env.RATE_LIMIT_MAX,
+        API_RATE_LIMIT_MAX: process.env.API_RATE_LIMIT_MAX,
+        DOWNLOAD_RATE_LIMIT_MAX: process.env.DOWNLOAD_RATE_LIMIT_MAX,
         MAX_MEMORY_PER_VIDEO: process.env.MAX_MEMORY_PER_VIDEO,
         MAX_TOTAL_MEMORY: process.env.MAX_TOTAL_MEMORY,
         MAX_FILE_SIZE: process.env.MAX_FILE_SIZE,
         MAX_CONCURRENT_DOWNLOADS: process.env.MAX_CONCURRENT_DOWNLOADS,
         MAX_QUEUE_SIZE: process.env.MAX_QUEUE_SIZE,
+        MAX_BATCH_SIZE: process.env.MAX_BATCH_SIZE,
         QUEUE_TIMEOUT: process.env.QUEUE_TIMEOUT,
+        QUEUE_MAX_AGE: process.env.QUEUE_MAX_AGE,
         DOWNLOAD_TIMEOUT: process.env.DOWNLOAD_TIMEOUT,
+        DOWNLOADERS: process.env.DOWNLOADERS,
+        DOWNLOADERS_REEL: process.env.DOWNLOADERS_REEL,
+        DOWNLOADERS_POST: process.env.DOWNLOADERS_POST,
+        DOWNLOADERS_STORY: process.env.DOWNLOADERS_STORY,
         WORKER_SPAWN_DELAY: process.env.WORKER_SPAWN_DELAY,
         QUEUE_POLL_INTERVAL: process.env.QUEUE_POLL_INTERVAL,
         MEMORY_LOG_INTERVAL: process.env.MEMORY_LOG_INTERVAL,
         AUTO_CLEANUP_INTERVAL: process.env.AUTO_CLEANUP_INTERVAL,
+        JOB_STORE_ENABLED: process.env.JOB_STORE_ENABLED,
+        JOB_STORE_PATH: process.env.JOB_STORE_PATH,
+        TEMP_DIR: process.env.TEMP_DIR,
+        JOB_HISTORY_RETENTION: process.env.JOB_HISTORY_RETENTION,
+        DEAD_LETTER_RETENTION: process.env.DEAD_LETTER_RETENTION,
+        JOB_MAX_ATTEMPTS: process.env.JOB_MAX_ATTEMPTS,
+        RETRY_BASE_DELAY: process.env.RETRY_BASE_DELAY,
+        RETRY_MAX_DELAY: process.env.RETRY_MAX_DELAY,
+        MAX_SCHEDULED_JOBS: process.env.MAX_SCHEDULED_JOBS,
+        SCHEDULE_CHECK_INTERVAL: process.env.SCHEDULE_CHECK_INTERVAL,
+        SCHEDULE_PREFETCH_LEAD: process.env.SCHEDULE_PREFETCH_LEAD,
+        SCHEDULE_MAX_AHEAD: process.env.SCHEDULE_MAX_AHEAD,
+        PUBLISH_MAX_PER_HOUR: process.env.PUBLISH_MAX_PER_HOUR,
+        PUBLISH_MIN_INTERVAL: process.env.PUBLISH_MIN_INTERVAL,
+        PUBLISH_QUIET_HOURS: process.env.PUBLISH_QUIET_HOURS,
+        PUBLISH_MAX_WAITING: process.env.PUBLISH_MAX_WAITING,
+        DUPLICATE_CHECK_ENABLED: process.env.DUPLICATE_CHECK_ENABLED,
+        DUPLICATE_INDEX_PATH: process.env.DUPLICATE_INDEX_PATH,
+        DUPLICATE_RETENTION: process.env.DUPLICATE_RETENTION,
+        WEBHOOK_STORE_PATH: process.env.WEBHOOK_STORE_PATH,
+        WEBHOOK_TIMEOUT: process.env.WEBHOOK_TIMEOUT,
+        WEBHOOK_MAX_ATTEMPTS: process.env.WEBHOOK_MAX_ATTEMPTS,
+        WEBHOOK_RETRY_BASE_DELAY: process.env.WEBHOOK_RETRY_BASE_DELAY,
+        WEBHOOK_RETRY_MAX_DELAY: process.env.WEBHOOK_RETRY_MAX_DELAY,
+        WEBHOOK_LOG_SIZE: process.env.WEBHOOK_LOG_SIZE,
+        WEBHOOK_ALLOW_PRIVATE_URLS: process.env.WEBHOOK_ALLOW_PRIVATE_URLS,
         MEMORY_PROCESSING: process.env.MEMORY_PROCESSING,
         AUTO_MEMORY_CLEANUP: process.env.AUTO_MEMORY_CLEANUP,
         DEBUG_MEMORY: process.env.DEBUG_MEMORY,
@@ -64,7 +169,11 @@ function loadConfig() {
         WEBSOCKET_ENABLED: process.env.WEBSOCKET_ENABLED,
         WEBSOCKET_PATH: process.env.WEBSOCKET_PATH,
         WEBSOCKET_PING_TIMEOUT: process.env.WEBSOCKET_PING_TIMEOUT,
-        WEBSOCKET_PING_INTERVAL: process.env.WEBSOCKET_PING_INTERVAL
+        WEBSOCKET_PING_INTERVAL: process.env.WEBSOCKET_PING_INTERVAL,
+        WEBSOCKET_PROGRESS_INTERVAL: process.env.WEBSOCKET_PROGRESS_INTERVAL,
+        WEBSOCKET_REPLAY_BUFFER_SIZE: process.env.WEBSOCKET_REPLAY_BUFFER_SIZE,
+        SSE_HEARTBEAT_INTERVAL: process.env.SSE_HEARTBEAT_INTERVAL,
+        SSE_RETRY_DELAY: process.env.SSE_RETRY_DELAY
     };
 
     const { error, value } = configSchema.validate(rawConfig, {
@@ -84,5 +193,19 @@ const config = loadConfig();
 
 // Derived configuration
 config.SUPPORTED_DOMAINS = ['instagram.com', 'www.instagram.com'];
+config.JWT_SECRET = config.JWT_SECRET || config.API_KEY;
+config.TELEGRAM_ADMIN_IDS = config.TELEGRAM_ADMIN_IDS.split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+// Ordered downloader names per content type, "default" for the rest
+const parseDownloaders = (value) => [...new Set((value || '').split(',')
+    .map((name) => name.trim())
+    .filter(Boolean))];
+config.DOWNLOADER_CHAINS = { default: parseDownloaders(config.DOWNLOADERS) };
+for (const contentType of ['reel', 'post', 'story']) {
+    const chain = parseDownloaders(config[`DOWNLOADERS_${contentType.toUpperCase()}`]);
+    if (chain.length > 0) config.DOWNLOADER_CHAINS[contentType] = chain;
+}
 
 module.exports = config;
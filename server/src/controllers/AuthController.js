@@ -0,0 +1,62 @@
+const { extractCredentials } = require("../middleware/auth");
+
+/**
+ * Auth Controller - handles token issue and refresh endpoints
+ */
+class AuthController {
+  constructor(authService) {
+    this.authService = authService;
+  }
+
+  /**
+   * POST /api/auth/token
+   * Exchange API key for JWT
+   */
+  async issueToken(req, res) {
+    const apiKey = req.body?.apiKey || req.get("X-API-Key");
+
+    if (!this.authService.validateApiKey(apiKey)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid API key",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...this.authService.generateToken({
+        sub: this.authService.getKeyId(apiKey),
+        ip: req.ip,
+      }),
+    });
+  }
+
+  /**
+   * POST /api/auth/refresh
+   * Issue a new JWT for a valid one
+   */
+  async refreshToken(req, res) {
+    const { token } = extractCredentials(req.headers);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: "Authentication token required",
+      });
+    }
+
+    try {
+      res.json({
+        success: true,
+        ...this.authService.refreshToken(token),
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = AuthController;
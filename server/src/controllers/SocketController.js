@@ -0,0 +1,193 @@
+const {
+  validatePageData,
+  parsePublishAt,
+  parsePriority,
+} = require("../utils/validation");
+const { AppError } = require("../utils/errors");
+
+/**
+ * Socket Controller - job and queue commands sent over Socket.IO
+ * Each handler returns the ack payload; thrown errors are acked by
+ * WebSocketService as { success: false, error, code }.
+ */
+class SocketController {
+  /**
+   * @param {VideoQueue} videoQueue
+   * @param {WebSocketService} webSocketService
+   * @param {RateLimiter} [downloadLimiter] - same limiter as POST /api/download-video
+   */
+  constructor(videoQueue, webSocketService, downloadLimiter = null) {
+    this.videoQueue = videoQueue;
+    this.webSocketService = webSocketService;
+    this.downloadLimiter = downloadLimiter;
+  }
+
+  /**
+   * job:submit { pageUrl, timestamp, force, publishAt, priority }
+   * Queue content and subscribe the submitting socket to the job
+   */
+  async submitJob(socket, payload) {
+    const { pageUrl, timestamp, force, publishAt, priority } = payload;
+
+    this.checkRateLimit(socket);
+
+    console.log("\n🚀 New content request (WebSocket):", {
+      pageUrl,
+      timestamp,
+      socketId: socket.id,
+    });
+
+    const pageData = { pageUrl, timestamp };
+    validatePageData(pageData);
+    const scheduledAt = parsePublishAt(publishAt);
+    const jobPriority = parsePriority(priority);
+
+    const jobId = this.videoQueue.addJob(
+      pageData,
+      {
+        ip: socket.handshake.address,
+        userAgent: socket.handshake.headers["user-agent"],
+        requestTime: new Date(),
+        via: "websocket",
+      },
+      { force: force === true, publishAt: scheduledAt, priority: jobPriority }
+    );
+
+    this.webSocketService.subscribeToJob(socket, jobId);
+
+    if (scheduledAt) {
+      return {
+        success: true,
+        jobId,
+        status: "scheduled",
+        message: `Content scheduled for ${scheduledAt.toISOString()}`,
+        publishAt: scheduledAt,
+        priority: jobPriority,
+      };
+    }
+
+    const estimate = this.videoQueue.getJobEstimate(jobId);
+
+    return {
+      success: true,
+      jobId,
+      status: "queued",
+      message: "Content added to processing queue",
+      priority: jobPriority,
+      queuePosition: estimate?.queuePosition ?? null,
+      estimatedWaitTime: estimate?.estimatedWaitTime ?? null,
+      estimatedStartAt: estimate?.estimatedStartAt ?? null,
+      estimatedCompletionAt: estimate?.estimatedCompletionAt ?? null,
+    };
+  }
+
+  /**
+   * job:cancel { jobId }
+   */
+  async cancelJob(socket, { jobId }) {
+    this.requireJobId(jobId);
+
+    if (!this.videoQueue.cancelJob(jobId)) {
+      throw new AppError(
+        "NOT_FOUND",
+        "Job cannot be cancelled (not found or already finished)"
+      );
+    }
+
+    return { success: true, jobId, message: "Job cancelled successfully" };
+  }
+
+  /**
+   * job:retry { jobId, force }
+   * Re-queue failed job and subscribe the socket to it again
+   */
+  async retryJob(socket, { jobId, force = false }) {
+    this.requireJobId(jobId);
+
+    const job = this.videoQueue.retryFailedJob(jobId, {
+      force: force === true,
+    });
+    if (!job) {
+      throw new AppError(
+        "NOT_FOUND",
+        "Failed job not found (not failed or already cleaned up)"
+      );
+    }
+
+    this.webSocketService.subscribeToJob(socket, jobId);
+
+    return {
+      success: true,
+      jobId,
+      status: job.status,
+      manualRetries: job.manualRetries,
+      message: "Job re-queued",
+    };
+  }
+
+  /**
+   * queue:pause { reason }
+   */
+  async pauseQueue(socket, { reason }) {
+    const paused = this.videoQueue.pause(
+      typeof reason === "string" && reason.trim() ? reason.trim() : null,
+      "websocket"
+    );
+    const stats = this.videoQueue.getQueueStats();
+
+    return {
+      success: true,
+      paused: stats.paused,
+      pausedAt: stats.pausedAt,
+      pauseReason: stats.pauseReason,
+      message: paused ? "Queue paused" : "Queue is already paused",
+    };
+  }
+
+  /**
+   * queue:resume
+   */
+  async resumeQueue() {
+    const resumed = this.videoQueue.resume("websocket");
+
+    return {
+      success: true,
+      paused: false,
+      message: resumed ? "Queue resumed" : "Queue is not paused",
+    };
+  }
+
+  /**
+   * @throws {AppError} INVALID_REQUEST
+   */
+  requireJobId(jobId) {
+    if (!jobId || typeof jobId !== "string") {
+      throw new AppError("INVALID_REQUEST", "jobId is required");
+    }
+  }
+
+  /**
+   * Count submission against the download rate limit
+   * @throws {AppError} RATE_LIMITED
+   */
+  checkRateLimit(socket) {
+    if (!this.downloadLimiter) return;
+
+    const clientKey = this.downloadLimiter.getSocketKey(socket);
+    const state = this.downloadLimiter.hit(clientKey);
+    if (!state.limited) return;
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((state.resetAt - Date.now()) / 1000)
+    );
+    console.warn(
+      `🚦 ${this.downloadLimiter.name} rate limit exceeded for ${clientKey} (WebSocket)`
+    );
+    throw new AppError("RATE_LIMITED", this.downloadLimiter.message, {
+      retryAfter,
+    });
+  }
+}
+
+module.exports = SocketController;
@@ -39,7 +39,7 @@ class StatsController {
             queue: queueStats,
             features: {
                 memoryProcessing: config.MEMORY_PROCESSING,
-                zeroDiskUsage: true,
+                zeroDiskUsage: config.MEMORY_PROCESSING,
                 autoCleanup: config.AUTO_MEMORY_CLEANUP,
                 concurrentProcessing: true
             }
@@ -56,7 +56,7 @@ class StatsController {
             version: '3.0.0-memory',
             timestamp: new Date().toISOString(),
             queue: this.videoQueue.getQueueStats(),
-            features: ['memory-processing', 'zero-disk-usage', 'concurrent-queue']
+            features: ['memory-processing', ...(config.MEMORY_PROCESSING ? ['zero-disk-usage'] : []), 'concurrent-queue']
         });
     }
 
@@ -73,6 +73,7 @@ class StatsController {
                 maxConcurrentDownloads: config.MAX_CONCURRENT_DOWNLOADS,
                 maxQueueSize: config.MAX_QUEUE_SIZE,
                 queueTimeoutMinutes: config.QUEUE_TIMEOUT / 1000 / 60,
+                queueMaxAgeMinutes: config.QUEUE_MAX_AGE / 1000 / 60,
                 memoryProcessing: config.MEMORY_PROCESSING,
                 maxMemoryPerVideo: this.formatMemory(config.MAX_MEMORY_PER_VIDEO),
                 maxTotalMemory: stats.maxMemoryFormatted,
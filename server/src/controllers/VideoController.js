@@ -1,5 +1,11 @@
 const config = require("../config");
-const { validatePageData } = require("../utils/validation");
+const {
+  validatePageData,
+  parsePublishAt,
+  parsePriority,
+  getContentType,
+} = require("../utils/validation");
+const { AppError, getErrorCode } = require("../utils/errors");
 
 /**
  * Video Controller - handles content processing API endpoints
@@ -14,7 +20,7 @@ class VideoController {
    * Add content to processing queue
    */
   async downloadMedia(req, res) {
-    const { pageUrl, timestamp } = req.body;
+    const { pageUrl, timestamp, force, publishAt, priority } = req.body;
 
     console.log("\n🚀 New content request:", {
       pageUrl,
@@ -26,44 +32,70 @@ class VideoController {
       // Validate page data
       const pageData = { pageUrl, timestamp };
       validatePageData(pageData);
+      const scheduledAt = parsePublishAt(publishAt);
+      const jobPriority = parsePriority(priority);
 
-      const jobId = this.videoQueue.addJob(pageData, {
-        ip: req.ip,
-        userAgent: req.get("User-Agent"),
-        requestTime: new Date(),
-      });
+      const jobId = this.videoQueue.addJob(
+        pageData,
+        {
+          ip: req.ip,
+          userAgent: req.get("User-Agent"),
+          requestTime: new Date(),
+        },
+        { force: force === true, publishAt: scheduledAt, priority: jobPriority }
+      );
 
       const queueStats = this.videoQueue.getQueueStats();
 
+      if (scheduledAt) {
+        return res.json({
+          success: true,
+          jobId,
+          status: "scheduled",
+          message: `Content scheduled for ${scheduledAt.toISOString()}`,
+          publishAt: scheduledAt,
+          priority: jobPriority,
+          scheduledCount: queueStats.scheduled,
+        });
+      }
+
+      // Position/ETA from historical stage durations (null while paused)
+      const estimate = this.videoQueue.getJobEstimate(jobId);
+      const downloaders = this.videoQueue.videoProcessor.getChain(
+        getContentType(pageUrl)
+      );
+
       res.json({
         success: true,
         jobId,
         message: "Content added to processing queue",
-        queuePosition: queueStats.queued,
-        estimatedWaitTime:
-          Math.ceil(queueStats.queued / config.MAX_CONCURRENT_DOWNLOADS) * 45, // Увеличили время так как gallery-dl может быть медленнее
+        priority: jobPriority,
+        queuePosition: estimate?.queuePosition ?? queueStats.queued,
+        estimatedWaitTime: estimate?.estimatedWaitTime ?? null,
+        estimatedStartAt: estimate?.estimatedStartAt ?? null,
+        estimatedCompletionAt: estimate?.estimatedCompletionAt ?? null,
         processing: {
-          mode: "memory",
-          zeroDiskUsage: true,
+          mode: config.MEMORY_PROCESSING ? "memory" : "temp-files",
+          zeroDiskUsage: config.MEMORY_PROCESSING,
           currentMemoryUsage: queueStats.memoryUsageFormatted,
           memoryUtilization: queueStats.memoryUtilization,
-          processor: "gallery-dl",
+          processor: downloaders[0], // first choice, falls back in order
+          downloaders,
         },
       });
     } catch (error) {
       console.error("❌ Error adding to queue:", error.message);
 
-      const statusCode = error.message.includes("Queue is full")
-        ? 503
-        : error.message.includes("Memory")
-        ? 507
-        : error.message.includes("Invalid")
-        ? 400
-        : 500;
+      const statusCode = error.statusCode || 500;
 
       res.status(statusCode).json({
         success: false,
         error: error.message,
+        code: getErrorCode(error),
+        ...(statusCode === 409 && {
+          duplicate: error.duplicate,
+          hint: "Resend with \"force\": true to publish anyway",
+        }),
         ...(statusCode === 507 && {
           memoryInfo: {
             current: this.formatMemory(
@@ -81,6 +113,113 @@ class VideoController {
     }
   }
 
+  /**
+   * POST /api/jobs/batch
+   * Add many URLs at once; every item is validated and queued independently
+   */
+  async submitBatch(req, res) {
+    const { items, force = false, publishAt, priority } = req.body || {};
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "items must be a non-empty array of page URLs or { pageUrl, ... } objects",
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    if (items.length > config.MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch too large (${items.length}/${config.MAX_BATCH_SIZE} items)`,
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    console.log(`\n📦 New batch request: ${items.length} item(s)`, {
+      ip: req.ip,
+    });
+
+    const userInfo = {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      requestTime: new Date(),
+    };
+
+    // Batch-level force/publishAt/priority are defaults, each item may override them
+    const results = items.map((rawItem, index) => {
+      const item = typeof rawItem === "string" ? { pageUrl: rawItem } : rawItem;
+      const pageUrl = item?.pageUrl;
+
+      try {
+        const pageData = { pageUrl, timestamp: item?.timestamp };
+        validatePageData(pageData);
+        const scheduledAt = parsePublishAt(item.publishAt ?? publishAt);
+        const jobPriority = parsePriority(item.priority ?? priority);
+
+        const jobId = this.videoQueue.addJob(pageData, userInfo, {
+          force: (item.force ?? force) === true,
+          publishAt: scheduledAt,
+          priority: jobPriority,
+        });
+
+        return {
+          index,
+          pageUrl,
+          accepted: true,
+          jobId,
+          status: scheduledAt ? "scheduled" : "queued",
+          priority: jobPriority,
+          ...(scheduledAt && { publishAt: scheduledAt }),
+        };
+      } catch (error) {
+        return {
+          index,
+          pageUrl: pageUrl || null,
+          accepted: false,
+          status: "rejected",
+          error: error.message,
+          code: getErrorCode(error),
+          ...(error.duplicate && { duplicate: error.duplicate }),
+        };
+      }
+    });
+
+    if (!results.some((result) => result.accepted)) {
+      return res.status(400).json({
+        success: false,
+        error: "No items were accepted",
+        code: "INVALID_REQUEST",
+        results,
+      });
+    }
+
+    const batch = this.videoQueue.createBatch(results);
+
+    res.json({
+      success: true,
+      ...batch,
+      message: `${batch.accepted}/${batch.total} item(s) added to processing queue`,
+    });
+  }
+
+  /**
+   * GET /api/jobs/batch/:batchId
+   * Get batch summary with per-item status
+   */
+  async getBatch(req, res) {
+    const batch = this.videoQueue.getBatch(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: "Batch not found",
+      });
+    }
+
+    res.json({ success: true, ...batch });
+  }
+
   /**
    * GET /api/job/:jobId
    * Get job status
@@ -101,22 +240,38 @@ class VideoController {
       status: jobStatus.status,
       progress: jobStatus.progress || 0,
       progressMessage: jobStatus.progressMessage,
+      transfer: jobStatus.transfer || null,
       addedAt: jobStatus.addedAt,
       startedAt: jobStatus.startedAt,
       completedAt: jobStatus.completedAt,
       failedAt: jobStatus.failedAt,
+      publishAt: jobStatus.publishAt || null,
+      priority: jobStatus.priority || "normal",
+      attempts: jobStatus.attempts || 0,
+      maxAttempts: jobStatus.maxAttempts,
+      nextAttemptAt: jobStatus.nextAttemptAt || null,
+      retryHistory: jobStatus.retryHistory || [],
       processing: {
-        mode: "memory",
-        processor: "gallery-dl",
+        mode: config.MEMORY_PROCESSING ? "memory" : "temp-files",
+        // Downloader that produced the media, once completed
+        processor: jobStatus.result?.processor || null,
+        downloaders: this.videoQueue.videoProcessor.getChain(
+          getContentType(jobStatus.pageData.pageUrl)
+        ),
       },
     };
 
+    if (jobStatus.status === "queued") {
+      Object.assign(response, this.videoQueue.getJobEstimate(jobId));
+    }
+
     if (jobStatus.status === "completed") {
       response.result = jobStatus.result;
     }
 
     if (jobStatus.status === "failed") {
       response.error = jobStatus.error;
+      response.errorCode = jobStatus.errorCode;
     }
 
     res.json(response);
@@ -134,10 +289,250 @@ class VideoController {
       success: cancelled,
       message: cancelled
         ? "Job cancelled successfully"
-        : "Job cannot be cancelled (not in queue or already processing)",
+        : "Job cannot be cancelled (not found or already finished)",
     });
   }
 
+  /**
+   * GET /api/jobs/failed
+   * Dead-letter view: failed jobs with error codes and downloader output
+   */
+  async getFailedJobs(req, res) {
+    const code = req.query.code || null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const allFailed = this.videoQueue.getFailedJobs();
+    const byCode = {};
+    for (const job of allFailed) {
+      byCode[job.errorCode] = (byCode[job.errorCode] || 0) + 1;
+    }
+
+    const matching = code
+      ? allFailed.filter((job) => job.errorCode === code)
+      : allFailed;
+
+    const jobs = matching.slice(offset, offset + limit).map((job) => ({
+      jobId: job.id,
+      pageUrl: job.pageData.pageUrl,
+      error: job.error,
+      errorCode: job.errorCode,
+      stderr: job.stderr || null,
+      downloaderErrors: job.downloaderErrors || null,
+      attempts: job.attempts || 0,
+      manualRetries: job.manualRetries || 0,
+      addedAt: job.addedAt,
+      failedAt: job.failedAt,
+      retryHistory: job.retryHistory || [],
+    }));
+
+    res.json({
+      success: true,
+      jobs,
+      total: matching.length,
+      byCode,
+      limit,
+      offset,
+    });
+  }
+
+  /**
+   * POST /api/job/:jobId/retry
+   * Move failed job back into the queue
+   */
+  async retryJob(req, res) {
+    const { jobId } = req.params;
+    const { force = false } = req.body || {};
+
+    try {
+      const job = this.videoQueue.retryFailedJob(jobId, {
+        force: force === true,
+      });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Failed job not found (not failed or already cleaned up)",
+          code: "NOT_FOUND",
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        status: job.status,
+        manualRetries: job.manualRetries,
+        message: "Job re-queued",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        code: getErrorCode(error),
+        duplicate: error.duplicate,
+      });
+    }
+  }
+
+  /**
+   * POST /api/jobs/failed/retry
+   * Re-queue all failed jobs, optionally only those failed with given code
+   */
+  async retryFailedJobs(req, res) {
+    const { code = null, force = false } = req.body || {};
+
+    if (code !== null && typeof code !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "code must be a string",
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const { retried, skipped } = this.videoQueue.retryFailedJobs({
+      errorCode: code,
+      force: force === true,
+    });
+
+    res.json({
+      success: true,
+      retried,
+      skipped,
+      message: `${retried.length} job(s) re-queued, ${skipped.length} skipped`,
+    });
+  }
+
+  /**
+   * POST /api/queue/pause
+   * Stop workers from picking up new jobs (e.g. while refreshing cookies.txt)
+   */
+  async pauseQueue(req, res) {
+    const { reason } = req.body || {};
+    const paused = this.videoQueue.pause(
+      typeof reason === "string" && reason.trim() ? reason.trim() : null,
+      "api"
+    );
+    const stats = this.videoQueue.getQueueStats();
+
+    res.json({
+      success: true,
+      paused: stats.paused,
+      pausedAt: stats.pausedAt,
+      pauseReason: stats.pauseReason,
+      message: paused ? "Queue paused" : "Queue is already paused",
+    });
+  }
+
+  /**
+   * POST /api/queue/resume
+   * Let workers pick up jobs again
+   */
+  async resumeQueue(req, res) {
+    const resumed = this.videoQueue.resume("api");
+
+    res.json({
+      success: true,
+      paused: false,
+      message: resumed ? "Queue resumed" : "Queue is not paused",
+    });
+  }
+
+  /**
+   * GET /api/jobs/scheduled
+   * List scheduled jobs ordered by publish time
+   */
+  async getScheduledJobs(req, res) {
+    const jobs = this.videoQueue.getScheduledJobs().map((job) => ({
+      jobId: job.id,
+      status: job.status,
+      pageUrl: job.pageData.pageUrl,
+      publishAt: job.publishAt,
+      priority: job.priority || "normal",
+      addedAt: job.addedAt,
+    }));
+
+    res.json({
+      success: true,
+      jobs,
+      total: jobs.length,
+    });
+  }
+
+  /**
+   * PATCH /api/job/:jobId/schedule
+   * Change publish time of a scheduled job
+   */
+  async rescheduleJob(req, res) {
+    const { jobId } = req.params;
+
+    try {
+      const publishAt = parsePublishAt(req.body.publishAt);
+      if (!publishAt) {
+        throw new AppError("INVALID_REQUEST", "publishAt is required");
+      }
+
+      const job = this.videoQueue.rescheduleJob(jobId, publishAt);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Scheduled job not found (already publishing or finished)",
+          code: "NOT_FOUND",
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        status: job.status,
+        publishAt: job.publishAt,
+        message: `Job rescheduled to ${publishAt.toISOString()}`,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        code: getErrorCode(error),
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/job/:jobId/priority
+   * Change priority of a queued or scheduled job
+   */
+  async setJobPriority(req, res) {
+    const { jobId } = req.params;
+
+    try {
+      const { priority } = req.body || {};
+      if (!priority) {
+        throw new AppError("INVALID_REQUEST", "priority is required");
+      }
+
+      const job = this.videoQueue.setJobPriority(jobId, parsePriority(priority));
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: "Queued job not found (already processing or finished)",
+          code: "NOT_FOUND",
+        });
+      }
+
+      res.json({
+        success: true,
+        jobId,
+        status: job.status,
+        priority: job.priority,
+        message: `Job priority set to ${job.priority}`,
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        code: getErrorCode(error),
+      });
+    }
+  }
+
   /**
    * Format memory helper
    * @param {number} bytes
@@ -0,0 +1,104 @@
+const { getErrorCode } = require("../utils/errors");
+
+const DELIVERY_STATUSES = ["pending", "delivered", "retrying", "failed"];
+
+/**
+ * Webhook Controller - manages outbound webhook subscriptions
+ */
+class WebhookController {
+  constructor(webhookService) {
+    this.webhookService = webhookService;
+  }
+
+  /**
+   * GET /api/webhooks
+   * List subscriptions (secrets are never returned here)
+   */
+  async listWebhooks(req, res) {
+    res.json({
+      success: true,
+      webhooks: this.webhookService.getSubscriptions(),
+    });
+  }
+
+  /**
+   * POST /api/webhooks
+   * Subscribe URL to job lifecycle events
+   */
+  async createWebhook(req, res) {
+    const { url, events, secret } = req.body || {};
+
+    try {
+      const webhook = await this.webhookService.createSubscription({
+        url,
+        events,
+        secret,
+      });
+
+      // Secret is only shown once, on creation
+      res.status(201).json({
+        success: true,
+        webhook,
+        message: "Webhook created, store the secret to verify signatures",
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        code: getErrorCode(error),
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/webhooks/:webhookId
+   * Remove subscription
+   */
+  async deleteWebhook(req, res) {
+    const { webhookId } = req.params;
+
+    if (!this.webhookService.deleteSubscription(webhookId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Webhook not found",
+        code: "NOT_FOUND",
+      });
+    }
+
+    res.json({ success: true, message: "Webhook deleted" });
+  }
+
+  /**
+   * GET /api/webhooks/deliveries
+   * Recent delivery attempts, newest first
+   */
+  async getDeliveries(req, res) {
+    const subscriptionId = req.query.webhookId || null;
+    const status = req.query.status || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+        code: "INVALID_REQUEST",
+      });
+    }
+
+    const deliveries = this.webhookService.getDeliveries({
+      subscriptionId,
+      status,
+    });
+
+    res.json({
+      success: true,
+      deliveries: deliveries.slice(offset, offset + limit),
+      total: deliveries.length,
+      limit,
+      offset,
+    });
+  }
+}
+
+module.exports = WebhookController;
@@ -0,0 +1,46 @@
+/**
+ * Extract credentials from request headers
+ * @param {object} headers
+ * @returns {{token?: string, apiKey?: string}}
+ */
+function extractCredentials(headers = {}) {
+    const authorization = headers.authorization || '';
+    const [scheme, token] = authorization.split(' ');
+
+    return {
+        token: scheme === 'Bearer' && token ? token : undefined,
+        apiKey: headers['x-api-key'] || undefined
+    };
+}
+
+/**
+ * Create authentication middleware (JWT Bearer token or X-API-Key header)
+ * @param {AuthService} authService
+ * @param {object} [options]
+ * @param {boolean} [options.allowQueryToken] - also accept JWT as ?access_token=
+ *   (for clients that cannot set headers, e.g. browser EventSource)
+ * @returns {function}
+ */
+function createAuthMiddleware(authService, { allowQueryToken = false } = {}) {
+    return function authenticate(req, res, next) {
+        const credentials = extractCredentials(req.headers);
+        if (allowQueryToken && !credentials.token && typeof req.query.access_token === 'string') {
+            credentials.token = req.query.access_token;
+        }
+
+        try {
+            req.auth = authService.authenticate(credentials);
+            next();
+        } catch (error) {
+            res.status(401).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+module.exports = {
+    extractCredentials,
+    createAuthMiddleware
+};
@@ -1,3 +1,17 @@
+// Query parameters carrying credentials (EventSource cannot send headers)
+const SECRET_PARAMS = ['access_token'];
+
+/**
+ * Get request URL for logs, without credentials in the query string
+ * @param {object} req
+ * @returns {string}
+ */
+function getLogUrl(req) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+    SECRET_PARAMS.forEach(param => url.searchParams.delete(param));
+    return url.pathname + url.search;
+}
+
 /**
  * Request logging middleware
  * @param {object} req
@@ -15,7 +29,7 @@ function requestLogger(req, res, next) {
         const duration = Date.now() - start;
         const statusCode = res.statusCode;
 
-        console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} - ${statusCode} - ${duration}ms - ${req.ip}`);
+        console.log(`${new Date().toISOString()} - ${req.method} ${getLogUrl(req)} - ${statusCode} - ${duration}ms - ${req.ip}`);
 
         // Call original end function
         originalEnd.apply(this, args);
@@ -32,7 +46,7 @@ function requestLogger(req, res, next) {
  * @param {function} next
  */
 function errorLogger(error, req, res,) {
-    console.error(`${new Date().toISOString()} - ERROR ${req.method} ${req.originalUrl}:`, error.message);
+    console.error(`${new Date().toISOString()} - ERROR ${req.method} ${getLogUrl(req)}:`, error.message);
     console.error('Stack:', error.stack);
 
     const statusCode = error.statusCode || 500;
@@ -0,0 +1,193 @@
+const config = require('../config');
+
+/**
+ * Fixed-window in-memory rate limiter
+ */
+class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {string} options.name
+     * @param {number} options.windowMs
+     * @param {number} options.max
+     * @param {string} options.message
+     */
+    constructor({ name, windowMs, max, message }) {
+        this.name = name;
+        this.windowMs = windowMs;
+        this.max = max;
+        this.message = message;
+
+        this.buckets = new Map(); // client key -> { count, resetAt }
+        this.totalRequests = 0;
+        this.totalRejected = 0;
+
+        // Drop expired buckets so idle clients don't accumulate
+        setInterval(() => this.cleanup(), Math.max(windowMs, 60 * 1000));
+    }
+
+    /**
+     * Resolve limiter key: API key identity once authenticated, otherwise client IP
+     * Limiters mounted before authentication see no req.auth and count per IP,
+     * so made-up credentials cannot open fresh buckets. Tokens share the bucket
+     * of the API key they were issued for, so fetching a new one does not reset it.
+     * @param {object} req
+     * @returns {string}
+     */
+    getClientKey(req) {
+        return this.resolveKey(req.auth, req.ip);
+    }
+
+    /**
+     * Resolve limiter key for an authenticated Socket.IO client (shares buckets with its HTTP requests)
+     * @param {Socket} socket
+     * @returns {string}
+     */
+    getSocketKey(socket) {
+        return this.resolveKey(socket.data.auth, socket.handshake.address);
+    }
+
+    /**
+     * @param {object} [auth] - AuthService.authenticate() result
+     * @param {string} ip
+     * @returns {string}
+     */
+    resolveKey(auth, ip) {
+        return auth?.keyId ? `key:${auth.keyId}` : `ip:${ip}`;
+    }
+
+    /**
+     * Register a hit for the client and return bucket state
+     * @param {string} clientKey
+     * @returns {{count: number, remaining: number, resetAt: number, limited: boolean}}
+     */
+    hit(clientKey) {
+        const now = Date.now();
+        let bucket = this.buckets.get(clientKey);
+
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + this.windowMs };
+            this.buckets.set(clientKey, bucket);
+        }
+
+        bucket.count++;
+        this.totalRequests++;
+
+        const limited = bucket.count > this.max;
+        if (limited) this.totalRejected++;
+
+        return {
+            count: bucket.count,
+            remaining: Math.max(0, this.max - bucket.count),
+            resetAt: bucket.resetAt,
+            limited
+        };
+    }
+
+    /**
+     * Express middleware
+     * @returns {function}
+     */
+    middleware() {
+        return (req, res, next) => {
+            const clientKey = this.getClientKey(req);
+            const state = this.hit(clientKey);
+
+            res.set({
+                'X-RateLimit-Limit': String(this.max),
+                'X-RateLimit-Remaining': String(state.remaining),
+                'X-RateLimit-Reset': String(Math.ceil(state.resetAt / 1000))
+            });
+
+            if (!state.limited) {
+                return next();
+            }
+
+            const retryAfter = Math.max(1, Math.ceil((state.resetAt - Date.now()) / 1000));
+            res.set('Retry-After', String(retryAfter));
+
+            console.warn(`🚦 ${this.name} rate limit exceeded for ${clientKey} (${state.count}/${this.max})`);
+
+            res.status(429).json({
+                success: false,
+                error: this.message,
+                tier: this.name,
+                retryAfter
+            });
+        };
+    }
+
+    /**
+     * Remove expired buckets
+     */
+    cleanup() {
+        const now = Date.now();
+        for (const [clientKey, bucket] of this.buckets.entries()) {
+            if (bucket.resetAt <= now) {
+                this.buckets.delete(clientKey);
+            }
+        }
+    }
+
+    /**
+     * Get limiter statistics with current buckets
+     * @returns {object}
+     */
+    getStats() {
+        const now = Date.now();
+        const clients = [];
+
+        for (const [clientKey, bucket] of this.buckets.entries()) {
+            if (bucket.resetAt <= now) continue;
+            clients.push({
+                client: clientKey,
+                count: bucket.count,
+                remaining: Math.max(0, this.max - bucket.count),
+                resetAt: new Date(bucket.resetAt).toISOString(),
+                limited: bucket.count > this.max
+            });
+        }
+
+        clients.sort((a, b) => b.count - a.count);
+
+        return {
+            activeClients: clients.length,
+            totalRequests: this.totalRequests,
+            totalRejected: this.totalRejected,
+            windowMs: this.windowMs,
+            maxRequests: this.max,
+            clients: clients.slice(0, 50)
+        };
+    }
+}
+
+/**
+ * Create general, API and download tier limiters
+ * @returns {{general: RateLimiter, api: RateLimiter, download: RateLimiter}}
+ */
+function createRateLimiters() {
+    return {
+        general: new RateLimiter({
+            name: 'general',
+            windowMs: 15 * 60 * 1000,
+            max: config.RATE_LIMIT_MAX,
+            message: 'Rate limit exceeded'
+        }),
+        api: new RateLimiter({
+            name: 'api',
+            windowMs: 60 * 1000,
+            max: config.API_RATE_LIMIT_MAX,
+            message: 'API rate limit exceeded'
+        }),
+        download: new RateLimiter({
+            name: 'download',
+            windowMs: 60 * 1000,
+            max: config.DOWNLOAD_RATE_LIMIT_MAX,
+            message: 'Download rate limit exceeded'
+        })
+    };
+}
+
+module.exports = {
+    RateLimiter,
+    createRateLimiters
+};
@@ -0,0 +1,121 @@
+const { formatMemory } = require("../utils/memory");
+
+// Share of the job progress covered by the download stage
+const PROGRESS_START = 20;
+const PROGRESS_END = 60;
+
+const REPORT_INTERVAL = 500; // ms between updates without a percentage change
+
+/**
+ * Download Progress - turns transfer samples into job progress updates
+ * File i of N covers its share of the 20-60% download range. When the file
+ * count is unknown (tools that download into the workspace do not announce it)
+ * each file spans the whole range. Progress never goes backwards.
+ */
+class DownloadProgress {
+  /**
+   * @param {function} progressCallback - (progress, message, transfer)
+   * @param {number|null} [fileCount]
+   */
+  constructor(progressCallback, fileCount = null) {
+    this.progressCallback = progressCallback;
+    this.fileCount = fileCount;
+    this.fileIndex = 0;
+    this.fileStartedAt = Date.now();
+    this.lastBytes = 0;
+    this.lastProgress = PROGRESS_START;
+    this.lastReportedAt = 0;
+  }
+
+  /**
+   * Start next file
+   * @param {number} index - 0-based
+   */
+  startFile(index) {
+    if (index === this.fileIndex) return;
+
+    this.fileIndex = index;
+    this.fileStartedAt = Date.now();
+    this.lastBytes = 0;
+  }
+
+  /**
+   * Record transfer sample of the current file
+   * @param {object} sample
+   * @param {number} sample.downloadedBytes
+   * @param {number|null} [sample.totalBytes]
+   * @param {number|null} [sample.bytesPerSecond] - averaged over the file when missing
+   * @param {number} [sample.fileIndex] - 0-based; without it a byte count going down starts the next file
+   * @param {number} [sample.fileCount]
+   */
+  update({
+    downloadedBytes,
+    totalBytes = null,
+    bytesPerSecond = null,
+    fileIndex,
+    fileCount,
+  }) {
+    if (fileCount) this.fileCount = fileCount;
+    if (fileIndex !== undefined) {
+      this.startFile(fileIndex);
+    } else if (downloadedBytes < this.lastBytes) {
+      this.startFile(this.fileIndex + 1);
+    }
+    this.lastBytes = downloadedBytes;
+
+    const elapsed = (Date.now() - this.fileStartedAt) / 1000;
+    const rate = Math.round(
+      bytesPerSecond ?? (elapsed > 0 ? downloadedBytes / elapsed : 0)
+    );
+    const fraction =
+      totalBytes > 0 ? Math.min(downloadedBytes / totalBytes, 1) : 0;
+    const done = this.fileCount
+      ? (this.fileIndex + fraction) / this.fileCount
+      : fraction;
+    const progress = Math.round(
+      PROGRESS_START + done * (PROGRESS_END - PROGRESS_START)
+    );
+
+    // Byte counts arrive per chunk; only a new percentage is sent right away
+    if (
+      progress <= this.lastProgress &&
+      Date.now() - this.lastReportedAt < REPORT_INTERVAL
+    ) {
+      return;
+    }
+
+    const file = this.fileCount
+      ? `${this.fileIndex + 1}/${this.fileCount}`
+      : `${this.fileIndex + 1}`;
+    const size =
+      totalBytes > 0
+        ? `${formatMemory(downloadedBytes)} of ${formatMemory(totalBytes)}`
+        : formatMemory(downloadedBytes);
+
+    this.report(
+      progress,
+      `Downloading file ${file}: ${size} (${formatMemory(rate)}/s)`,
+      {
+        fileIndex: this.fileIndex,
+        fileCount: this.fileCount,
+        downloadedBytes,
+        totalBytes,
+        bytesPerSecond: rate,
+      }
+    );
+  }
+
+  /**
+   * Send progress update, never lower than the previous one
+   * @param {number} progress
+   * @param {string} message
+   * @param {object|null} [transfer]
+   */
+  report(progress, message, transfer = null) {
+    this.lastProgress = Math.max(this.lastProgress, progress);
+    this.lastReportedAt = Date.now();
+    this.progressCallback(this.lastProgress, message, transfer);
+  }
+}
+
+module.exports = DownloadProgress;
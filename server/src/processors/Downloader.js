@@ -0,0 +1,482 @@
+const { spawn } = require("child_process");
+const fs = require("fs").promises;
+const path = require("path");
+const config = require("../config");
+const { AppError, classifyDownloaderError } = require("../utils/errors");
+const { formatMemory } = require("../utils/memory");
+const { createWorkspace, removeWorkspace } = require("./workspace");
+const DownloadProgress = require("./DownloadProgress");
+
+/**
+ * Downloader - base class of the media downloaders used by VideoProcessor
+ * Subclasses wrap one command line tool. download() returns every media file
+ * as a buffer together with its own metadata record, reports progress through
+ * the callback and stops (killing the tool) when the signal aborts.
+ *
+ * Subclasses implement:
+ * - getStreamArgs(pageUrl) / parseStreamOutput(stdout) → [{ url, metadata, headers }]
+ *   for zero-disk mode (MEMORY_PROCESSING)
+ * - getDownloadArgs(pageUrl, workspace) / getMetadataFileName(mediaFile)
+ *   for temp-file mode, with progressPattern / parseProgress(match) → sample
+ *   for the tool's progress output
+ * - normalizeMetadata(raw) → gallery-dl style record (username, description, ...)
+ */
+class Downloader {
+  /**
+   * @param {string} name - also the command that is run
+   * @param {MemoryManager} memoryManager
+   */
+  constructor(name, memoryManager) {
+    this.name = name;
+    this.memoryManager = memoryManager;
+  }
+
+  /**
+   * Download media and metadata of a page
+   * @param {string} pageUrl
+   * @param {string} jobId
+   * @param {function} progressCallback
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{buffers: Buffer[], items: object[], jsonData: object, totalSize: number}>}
+   *   items[i] describes buffers[i]: { fileName, extension, size, metadata }
+   */
+  async download(pageUrl, jobId, progressCallback, signal) {
+    signal?.throwIfAborted();
+
+    try {
+      return config.MEMORY_PROCESSING
+        ? await this.stream(pageUrl, jobId, progressCallback, signal)
+        : await this.downloadToWorkspace(
+            pageUrl,
+            jobId,
+            progressCallback,
+            signal
+          );
+    } catch (error) {
+      console.error(`📦 ${this.name} failed for job ${jobId}:`, error.message);
+      throw error instanceof AppError
+        ? error
+        : new Error(`Failed to process content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream content into memory without touching disk
+   * Zero-disk mode: the tool only resolves media URLs and metadata (read from
+   * its stdout pipe); each file is then fetched straight into a buffer.
+   */
+  async stream(pageUrl, jobId, progressCallback, signal) {
+    progressCallback(20, `Resolving media with ${this.name}...`);
+
+    const output = await this.run(this.getStreamArgs(pageUrl), jobId, signal, {
+      captureStdout: true,
+    });
+    const entries = this.parseStreamOutput(output);
+
+    if (entries.length === 0) {
+      throw new AppError("NOT_FOUND", `No media found by ${this.name}`);
+    }
+
+    console.log(
+      `📦 ${this.name} resolved ${entries.length} media URL(s) for job ${jobId}`
+    );
+
+    const progress = new DownloadProgress(progressCallback, entries.length);
+
+    return this.loadMedia(
+      entries,
+      async ({ url, metadata, headers }, index) => {
+        progress.startFile(index);
+        return {
+          fileName: `${index + 1}.${metadata.extension || "bin"}`,
+          buffer: await this.fetchMedia(url, signal, headers, (sample) =>
+            progress.update(sample)
+          ),
+          metadata,
+        };
+      },
+      (value, message) => progress.report(value, message),
+      signal
+    );
+  }
+
+  /**
+   * Download through the job workspace
+   * Temp-file mode: the tool writes into the workspace, files are read back.
+   */
+  async downloadToWorkspace(pageUrl, jobId, progressCallback, signal) {
+    const workspace = await createWorkspace(jobId);
+
+    try {
+      progressCallback(20, `Downloading content with ${this.name}...`);
+
+      const progress = new DownloadProgress(progressCallback);
+      await this.run(this.getDownloadArgs(pageUrl, workspace), jobId, signal, {
+        onLine: (line) => {
+          const match = this.progressPattern && line.match(this.progressPattern);
+          if (!match) return line;
+
+          progress.update(this.parseProgress(match));
+          // Log output may follow a progress bar on the same line
+          return line.slice(match[0].length).trim();
+        },
+      });
+
+      const files = await fs.readdir(workspace);
+      console.log(`📦 Files in workspace of job ${jobId}:`, files);
+
+      // Media files in carousel order; metadata is matched per file
+      const mediaFiles = files
+        .filter((f) => !f.endsWith(".json"))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+      if (mediaFiles.length === 0) {
+        throw new AppError("NOT_FOUND", `No files downloaded by ${this.name}`);
+      }
+
+      console.log(`📦 Found ${mediaFiles.length} media file(s)`);
+
+      const result = await this.loadMedia(
+        mediaFiles,
+        async (mediaFile) => {
+          const raw = await this.readJsonFile(
+            path.join(workspace, this.getMetadataFileName(mediaFile))
+          );
+          return {
+            fileName: mediaFile,
+            buffer: await fs.readFile(path.join(workspace, mediaFile)),
+            metadata: raw && this.normalizeMetadata(raw),
+          };
+        },
+        (value, message) => progress.report(value, message),
+        signal
+      );
+
+      // Post metadata: record of the first file, info.json as fallback
+      const infoFile = files.find((f) => f.endsWith("info.json"));
+      if (!result.items[0].metadata && infoFile) {
+        const raw = await this.readJsonFile(path.join(workspace, infoFile));
+        result.jsonData = raw ? this.normalizeMetadata(raw) : {};
+      }
+
+      return result;
+    } finally {
+      await removeWorkspace(jobId);
+    }
+  }
+
+  /**
+   * Load media one by one into memory, skipping files that fail
+   * @param {Array} sources - files or resolved URLs, in carousel order
+   * @param {function} load - (source, index) => Promise<{fileName, buffer, metadata}>
+   * @param {function} progressCallback
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{buffers: Buffer[], items: object[], jsonData: object, totalSize: number}>}
+   */
+  async loadMedia(sources, load, progressCallback, signal) {
+    const buffers = [];
+    const items = [];
+    let totalSize = 0;
+    let lastFileError = null;
+
+    for (let i = 0; i < sources.length; i++) {
+      try {
+        const { fileName, buffer, metadata } = await load(sources[i], i);
+        console.log(`📦 Loaded ${fileName}: ${buffer.length} bytes`);
+
+        // Validate memory allocation for each file
+        this.memoryManager.validateAllocation(buffer.length);
+
+        buffers.push(buffer);
+        items.push({
+          fileName,
+          extension: path.extname(fileName).slice(1).toLowerCase(),
+          size: buffer.length,
+          metadata,
+        });
+        totalSize += buffer.length;
+
+        // Update progress
+        const progress = 20 + ((i + 1) / sources.length) * 40;
+        progressCallback(
+          Math.round(progress),
+          `Loaded ${i + 1}/${sources.length} files (${formatMemory(
+            totalSize
+          )})`
+        );
+      } catch (fileError) {
+        // A cancelled job stops here instead of trying the remaining files
+        signal?.throwIfAborted();
+        console.error(`Error processing file ${i + 1}:`, fileError);
+        lastFileError = fileError;
+        // Continue with other files
+      }
+    }
+
+    if (buffers.length === 0) {
+      // Surface the typed reason (e.g. MEDIA_TOO_LARGE) when there is one
+      throw lastFileError instanceof AppError
+        ? lastFileError
+        : new Error("Failed to load any media files");
+    }
+
+    // Post metadata: record of the first file
+    const jsonData = items[0].metadata || {};
+
+    console.log("📦 Metadata extracted from JSON:", {
+      title: jsonData.title,
+      username: jsonData.username,
+      description: jsonData.description?.substring(0, 100),
+    });
+
+    // Final memory validation
+    this.memoryManager.validateAllocation(totalSize);
+
+    progressCallback(
+      60,
+      `Loaded ${buffers.length} file(s) (${formatMemory(totalSize)} total)`
+    );
+
+    console.log(
+      `📦 Successfully processed ${buffers.length} files, total size: ${totalSize}`
+    );
+
+    return { buffers, items, jsonData, totalSize };
+  }
+
+  /**
+   * Run the tool to completion
+   * Timeout and abort kill the process; the promise settles once it has exited
+   * (on exit rather than close, as orphaned children may keep its pipes open).
+   * @param {string[]} args
+   * @param {string} jobId
+   * @param {AbortSignal} [signal]
+   * @param {object} [options]
+   * @param {boolean} [options.captureStdout] - collect stdout instead of logging it
+   * @param {function} [options.onLine] - gets every output line and returns what
+   *   is left after removing progress; that part is logged and kept as stderr
+   * @returns {Promise<string>} captured stdout
+   * @throws {AppError} classified failure, DOWNLOAD_TIMEOUT or the abort reason
+   */
+  run(args, jobId, signal, { captureStdout = false, onLine = null } = {}) {
+    return new Promise((resolve, reject) => {
+      let killReason = null;
+
+      const kill = (reason) => {
+        killReason = killReason || reason;
+        childProcess.kill("SIGKILL");
+      };
+
+      const timeout = setTimeout(() => {
+        kill(
+          new AppError("DOWNLOAD_TIMEOUT", `${this.name} timeout exceeded`)
+        );
+      }, config.DOWNLOAD_TIMEOUT);
+
+      const onAbort = () => {
+        console.log(`📦 Killing ${this.name} for aborted job ${jobId}`);
+        kill(signal.reason);
+      };
+
+      console.log(`📦 Starting ${this.name} with args:`, args);
+
+      const childProcess = spawn(this.name, args);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      const stdout = [];
+      let errorOutput = "";
+
+      const stdoutLines = this.createLineReader((line) => {
+        const output = onLine ? onLine(line) : line;
+        if (output) console.log(`📦 ${this.name} stdout:`, output);
+      });
+      const stderrLines = this.createLineReader((line) => {
+        const output = onLine ? onLine(line) : line;
+        if (!output) return;
+        errorOutput += `${output}\n`;
+        console.log(`📦 ${this.name} stderr:`, output);
+      });
+
+      childProcess.stdout.on("data", (data) => {
+        if (captureStdout) {
+          stdout.push(data);
+        } else {
+          stdoutLines.write(data);
+        }
+      });
+
+      childProcess.stderr.on("data", (data) => stderrLines.write(data));
+
+      childProcess.on("exit", () => {
+        if (killReason) {
+          clearTimeout(timeout);
+          signal?.removeEventListener("abort", onAbort);
+          reject(killReason);
+        }
+      });
+
+      childProcess.on("close", (code) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener("abort", onAbort);
+        stdoutLines.end();
+        stderrLines.end();
+        console.log(`📦 ${this.name} finished with code: ${code}`);
+
+        if (killReason) {
+          reject(killReason);
+        } else if (code !== 0) {
+          reject(classifyDownloaderError(errorOutput, code, this.name));
+        } else {
+          resolve(Buffer.concat(stdout).toString("utf8"));
+        }
+      });
+
+      childProcess.on("error", (error) => {
+        clearTimeout(timeout);
+        signal?.removeEventListener("abort", onAbort);
+        console.error(`📦 ${this.name} process error:`, error);
+        reject(
+          new AppError(
+            "DOWNLOAD_FAILED",
+            `${this.name} error: ${error.message}`,
+            { retryable: false }
+          )
+        );
+      });
+    });
+  }
+
+  /**
+   * Split output into lines
+   * Carriage returns end a line too, as progress bars redraw with "\r".
+   * @param {function} handleLine
+   * @returns {{write: function(Buffer): void, end: function(): void}}
+   */
+  createLineReader(handleLine) {
+    let partial = "";
+    const emit = (line) => {
+      if (line.trim()) handleLine(line.trim());
+    };
+
+    return {
+      write(data) {
+        const lines = (partial + data.toString()).split(/[\r\n]/);
+        partial = lines.pop();
+        lines.forEach(emit);
+      },
+      end() {
+        emit(partial);
+        partial = "";
+      },
+    };
+  }
+
+  /**
+   * Progress output of the tool, matched at the start of a line
+   * @returns {RegExp|null}
+   */
+  get progressPattern() {
+    return null;
+  }
+
+  /**
+   * Convert progressPattern match to a transfer sample
+   * @param {RegExpMatchArray} match
+   * @returns {object} sample for DownloadProgress.update()
+   */
+  parseProgress() {
+    throw new Error(`${this.name} does not report progress`);
+  }
+
+  /**
+   * Fetch media file into memory
+   * Aborts as soon as the size exceeds MAX_MEMORY_PER_VIDEO.
+   * @param {string} url
+   * @param {AbortSignal} [signal]
+   * @param {object} [headers] - request headers the tool resolved the URL with
+   * @param {function} [onProgress] - gets { downloadedBytes, totalBytes } per chunk
+   * @returns {Promise<Buffer>}
+   * @throws {AppError} DOWNLOAD_FAILED, DOWNLOAD_TIMEOUT, MEDIA_TOO_LARGE or the abort reason
+   */
+  async fetchMedia(url, signal, headers = {}, onProgress = null) {
+    const signals = [AbortSignal.timeout(config.DOWNLOAD_TIMEOUT)];
+    if (signal) signals.push(signal);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        headers: { Referer: "https://www.instagram.com/", ...headers },
+        signal: AbortSignal.any(signals),
+      });
+    } catch (error) {
+      throw this.toFetchError(error, signal);
+    }
+
+    if (!response.ok) {
+      throw new AppError(
+        "DOWNLOAD_FAILED",
+        `Media request failed with HTTP ${response.status}`,
+        { retryable: response.status >= 500 || response.status === 429 }
+      );
+    }
+
+    const declaredSize = parseInt(response.headers.get("content-length"), 10);
+    if (declaredSize > 0) {
+      this.memoryManager.validateAllocation(declaredSize);
+    }
+
+    const chunks = [];
+    let size = 0;
+    try {
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        this.memoryManager.validateAllocation(size);
+        chunks.push(chunk);
+        onProgress?.({
+          downloadedBytes: size,
+          totalBytes: declaredSize > 0 ? declaredSize : null,
+        });
+      }
+    } catch (error) {
+      response.body.cancel().catch(() => {});
+      throw error instanceof AppError ? error : this.toFetchError(error, signal);
+    }
+
+    return Buffer.concat(chunks, size);
+  }
+
+  /**
+   * Map fetch failure to the job's abort reason or a download error
+   * @param {Error} error
+   * @param {AbortSignal} [signal]
+   * @returns {Error}
+   */
+  toFetchError(error, signal) {
+    if (signal?.aborted) return signal.reason;
+    if (error.name === "TimeoutError") {
+      return new AppError("DOWNLOAD_TIMEOUT", "Media download timed out");
+    }
+    return new AppError(
+      "DOWNLOAD_FAILED",
+      `Media download failed: ${error.cause?.message || error.message}`
+    );
+  }
+
+  /**
+   * Read and parse JSON file
+   * @param {string} filePath
+   * @returns {Promise<object|null>} null when missing or invalid
+   */
+  async readJsonFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Failed to read metadata ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+}
+
+module.exports = Downloader;
@@ -0,0 +1,109 @@
+const Downloader = require("./Downloader");
+const { AppError, classifyDownloaderError } = require("../utils/errors");
+
+// Terminal progress: "[45% ]<downloaded>B <speed>B/s", values like "1.23M"
+const PROGRESS_PATTERN =
+  /^(?:(\d+)%\s+)?([\d.]+)([kMGT]?)B\s+([\d.]+)([kMGT]?)B\/s/;
+const UNITS = { "": 1, k: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+/**
+ * gallery-dl downloader - photos, videos and carousels of every content type
+ * Its metadata records are the reference format the other downloaders map to.
+ */
+class GalleryDlDownloader extends Downloader {
+  constructor(memoryManager) {
+    super("gallery-dl", memoryManager);
+  }
+
+  /**
+   * -j prints the resolved messages as JSON instead of downloading
+   */
+  getStreamArgs(pageUrl) {
+    return ["-C", "cookies.txt", "-j", "-q", pageUrl];
+  }
+
+  /**
+   * Parse gallery-dl -j output into media entries
+   * The output is a JSON array of messages: [3, url, metadata] per file,
+   * [-1, { error, message }] for an extractor error.
+   * @param {string} output
+   * @returns {{url: string, metadata: object}[]}
+   * @throws {AppError} classified extractor error
+   */
+  parseStreamOutput(output) {
+    let messages;
+    try {
+      messages = JSON.parse(output);
+    } catch (error) {
+      throw new AppError(
+        "DOWNLOAD_FAILED",
+        `Invalid gallery-dl JSON output: ${error.message}`
+      );
+    }
+
+    const failure = messages.find((message) => message[0] === -1);
+    if (failure) {
+      const { error, message } = failure[1] || {};
+      throw classifyDownloaderError(`${error}: ${message}`, 0, this.name);
+    }
+
+    return messages
+      .filter(
+        (message) => message[0] === 3 && /^https?:\/\//.test(message[1])
+      )
+      .map(([, url, metadata]) => ({
+        url,
+        metadata: this.normalizeMetadata(metadata || {}),
+      }));
+  }
+
+  /**
+   * --write-metadata stores "<file>.json" next to every media file.
+   * Terminal output mode prints download progress even though stdout is a
+   * pipe; -w instead of -q, as -q turns all output off.
+   */
+  getDownloadArgs(pageUrl, workspace) {
+    return [
+      "-C",
+      "cookies.txt",
+      "-D",
+      workspace,
+      "-f",
+      "{num}.{extension}",
+      "--write-metadata",
+      "--write-info-json",
+      "-w",
+      "-o",
+      "output.mode=terminal",
+      "-o",
+      "downloader.progress=0",
+      pageUrl,
+    ];
+  }
+
+  get progressPattern() {
+    return PROGRESS_PATTERN;
+  }
+
+  parseProgress(match) {
+    const [, percent, downloaded, downloadedUnit, speed, speedUnit] = match;
+    const downloadedBytes = Math.round(downloaded * UNITS[downloadedUnit]);
+
+    return {
+      downloadedBytes,
+      totalBytes:
+        percent > 0 ? Math.round((downloadedBytes * 100) / percent) : null,
+      bytesPerSecond: Math.round(speed * UNITS[speedUnit]),
+    };
+  }
+
+  getMetadataFileName(mediaFile) {
+    return `${mediaFile}.json`;
+  }
+
+  normalizeMetadata(raw) {
+    return raw;
+  }
+}
+
+module.exports = GalleryDlDownloader;
@@ -1,16 +1,30 @@
-const { spawn } = require("child_process");
-const fs = require("fs").promises;
-const path = require("path");
 const config = require("../config");
-const { cleanText } = require("../utils/validation");
+const { cleanText, getContentType } = require("../utils/validation");
+const { getErrorCode } = require("../utils/errors");
+const GalleryDlDownloader = require("./GalleryDlDownloader");
+const YtDlpDownloader = require("./YtDlpDownloader");
+const { removeWorkspace, sweepWorkspaces } = require("./workspace");
+
+// Retrying with another downloader cannot help with these
+const NO_FALLBACK_CODES = ["MEDIA_TOO_LARGE", "MEMORY_LIMIT"];
 
 /**
- * Video Processor - unified gallery-dl approach for all content
- * Handles both media files and metadata JSON
+ * Video Processor - downloads content through a fallback chain of downloaders
+ * Each content type (reel, post, story) has an ordered chain (DOWNLOADERS,
+ * DOWNLOADERS_<TYPE>); the next downloader is tried when one fails.
  */
 class VideoProcessor {
   constructor(memoryManager) {
     this.memoryManager = memoryManager;
+    this.downloaders = new Map(
+      [
+        new GalleryDlDownloader(memoryManager),
+        new YtDlpDownloader(memoryManager),
+      ].map((downloader) => [downloader.name, downloader])
+    );
+    this.unavailable = new Set(); // downloaders not installed
+
+    sweepWorkspaces();
   }
 
   /**
@@ -43,29 +57,33 @@ class VideoProcessor {
   }
 
   /**
-   * Process any Instagram content from URL using gallery-dl
+   * Process any Instagram content from URL
    * @param {string} pageUrl
    * @param {string} jobId
    * @param {function} progressCallback
-   * @returns {Promise<{buffers: Buffer[], metadata: object, isMultiple: boolean}>}
+   * @param {AbortSignal} [signal] - kills the downloader when the job is cancelled
+   * @returns {Promise<{buffers: Buffer[], items: object[], metadata: object, isMultiple: boolean, downloader: string}>}
    */
-  async processMedia(pageUrl, jobId, progressCallback) {
+  async processMedia(pageUrl, jobId, progressCallback, signal) {
     let allocatedMemory = 0;
 
     try {
-      // Step 1: Normalize URL for gallery-dl compatibility
+      // Step 1: Normalize URL for downloader compatibility
       const normalizedUrl = this.normalizeInstagramUrl(pageUrl);
       console.log(`📦 Normalized URL: ${pageUrl} → ${normalizedUrl}`);
 
-      // Step 2: Download with gallery-dl (10% -> 70%)
-      progressCallback(10, "Downloading content with gallery-dl...");
-
-      const downloadResult = await this.downloadWithGalleryDl(
+      // Step 2: Download (10% -> 70%)
+      const downloadResult = await this.download(
         normalizedUrl,
         jobId,
-        progressCallback
+        getContentType(pageUrl),
+        progressCallback,
+        signal
       );
 
+      // Cancelled while the download output was being loaded
+      signal?.throwIfAborted();
+
       allocatedMemory = downloadResult.totalSize;
       this.memoryManager.allocate(jobId, allocatedMemory);
 
@@ -75,9 +93,11 @@ class VideoProcessor {
 
       return {
         buffers: downloadResult.buffers,
+        items: downloadResult.items,
         metadata,
         totalSize: allocatedMemory,
         isMultiple: downloadResult.buffers.length > 1,
+        downloader: downloadResult.downloader,
       };
     } catch (error) {
       // Free memory on error
@@ -89,186 +109,96 @@ class VideoProcessor {
   }
 
   /**
-   * Download content with gallery-dl and extract both files and metadata
+   * Download with the first downloader of the chain that succeeds
    * @param {string} pageUrl
    * @param {string} jobId
+   * @param {string} contentType - reel | post | story
    * @param {function} progressCallback
-   * @returns {Promise<{buffers: Buffer[], jsonData: object, totalSize: number}>}
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<object>} downloader result plus the downloader name
+   * @throws {Error} error of the first downloader, with downloaderErrors of all attempts
    */
-  async downloadWithGalleryDl(pageUrl, jobId, progressCallback) {
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        galleryProcess.kill("SIGKILL");
-        reject(new Error("Gallery-dl timeout exceeded"));
-      }, config.DOWNLOAD_TIMEOUT);
-
-      const tempDir = "./temp";
-      const galleryArgs = [
-        "-C",
-        "cookies.txt",
-        "-D",
-        tempDir,
-        "-f",
-        `${jobId}_{num}.{extension}`,
-        "--write-info-json",
-        "-q",
-        pageUrl,
-      ];
-
-      console.log("📦 Starting gallery-dl with args:", galleryArgs);
-
-      const galleryProcess = spawn("gallery-dl", galleryArgs);
-      progressCallback(20, "Downloading content...");
-
-      let errorOutput = "";
-
-      galleryProcess.stdout.on("data", (data) => {
-        console.log("📦 gallery-dl stdout:", data.toString());
-      });
-
-      galleryProcess.stderr.on("data", (data) => {
-        errorOutput += data.toString();
-        console.log("📦 gallery-dl stderr:", data.toString());
-      });
-
-      galleryProcess.on("close", async (code) => {
-        clearTimeout(timeout);
-        console.log(`📦 gallery-dl finished with code: ${code}`);
-
-        try {
-          if (code !== 0) {
-            throw new Error(
-              `gallery-dl failed with code ${code}: ${errorOutput}`
-            );
-          }
-
-          const files = await fs.readdir(tempDir);
-          console.log("📦 All files in temp dir:", files);
-
-          // Find all files for this job
-          const jobFiles = files.filter((f) => f.startsWith(jobId)).sort();
-          console.log("📦 Job files found:", jobFiles);
-
-          if (jobFiles.length === 0) {
-            throw new Error("No files downloaded by gallery-dl");
-          }
-
-          // Separate media files and JSON files
-          const mediaFiles = jobFiles;
-          const jsonFiles = files.filter((f) => f.endsWith("info.json"));
-
-          console.log(
-            `📦 Found ${mediaFiles.length} media file(s) and ${jsonFiles.length} JSON file(s)`
-          );
-
-          if (mediaFiles.length === 0) {
-            throw new Error("No media files found");
-          }
-
-          // Process media files
-          const buffers = [];
-          let totalSize = 0;
-
-          for (let i = 0; i < mediaFiles.length; i++) {
-            const mediaFile = mediaFiles[i];
-            const filePath = path.join(tempDir, mediaFile);
-
-            try {
-              const buffer = await fs.readFile(filePath);
-              console.log(`📦 Loaded ${mediaFile}: ${buffer.length} bytes`);
-
-              // Validate memory allocation for each file
-              this.memoryManager.validateAllocation(buffer.length);
-
-              buffers.push(buffer);
-              totalSize += buffer.length;
-
-              // Clean up file immediately
-              await fs.unlink(filePath);
-
-              // Update progress
-              const progress = 20 + ((i + 1) / mediaFiles.length) * 40;
-              progressCallback(
-                Math.round(progress),
-                `Loaded ${i + 1}/${
-                  mediaFiles.length
-                } files (${this.formatMemory(totalSize)})`
-              );
-            } catch (fileError) {
-              console.error(`Error processing file ${mediaFile}:`, fileError);
-              // Continue with other files
-            }
-          }
-
-          if (buffers.length === 0) {
-            throw new Error("Failed to load any media files");
-          }
-
-          // Process JSON metadata
-          let jsonData = {};
-          if (jsonFiles.length > 0) {
-            try {
-              const jsonPath = path.join(tempDir, jsonFiles[0]);
-              const jsonContent = await fs.readFile(jsonPath, "utf8");
-              jsonData = JSON.parse(jsonContent);
-
-              // Clean up JSON file
-              await fs.unlink(jsonPath);
-
-              console.log("📦 Metadata extracted from JSON:", {
-                title: jsonData.title,
-                username: jsonData.username,
-                description: jsonData.description?.substring(0, 100),
-              });
-            } catch (jsonError) {
-              console.warn(
-                "Failed to process JSON metadata:",
-                jsonError.message
-              );
-              // Continue without metadata
-            }
-          }
-
-          // Clean up any remaining files for this job
-          await this.cleanupRemainingFiles(tempDir, jobId);
-
-          // Final memory validation
-          this.memoryManager.validateAllocation(totalSize);
-
-          progressCallback(
-            60,
-            `Loaded ${buffers.length} file(s) (${this.formatMemory(
-              totalSize
-            )} total)`
-          );
-
-          console.log(
-            `📦 Successfully processed ${buffers.length} files, total size: ${totalSize}`
-          );
-
-          resolve({
-            buffers,
-            jsonData,
-            totalSize,
-          });
-        } catch (error) {
-          console.error("📦 Error processing gallery-dl output:", error);
-          // Try to clean up any files
-          await this.cleanupRemainingFiles(tempDir, jobId).catch(() => {});
-          reject(new Error(`Failed to process content: ${error.message}`));
+  async download(pageUrl, jobId, contentType, progressCallback, signal) {
+    const chain = this.getChain(contentType).filter(
+      (name) => !this.unavailable.has(name)
+    );
+    const errors = [];
+
+    for (const [index, name] of chain.entries()) {
+      progressCallback(
+        10,
+        index === 0
+          ? `Downloading content with ${name}...`
+          : `${chain[index - 1]} failed, retrying with ${name}...`
+      );
+
+      try {
+        const result = await this.downloaders
+          .get(name)
+          .download(pageUrl, jobId, progressCallback, signal);
+
+        if (index > 0) {
+          console.log(`📦 Job ${jobId} downloaded by fallback ${name}`);
         }
-      });
-
-      galleryProcess.on("error", (error) => {
-        clearTimeout(timeout);
-        console.error("📦 gallery-dl process error:", error);
-        reject(new Error(`gallery-dl error: ${error.message}`));
-      });
-    });
+        return { ...result, downloader: name };
+      } catch (error) {
+        signal?.throwIfAborted();
+
+        errors.push({ downloader: name, error });
+        if (NO_FALLBACK_CODES.includes(error.code)) break;
+      }
+    }
+
+    if (errors.length === 0) {
+      throw new Error(`No downloader available for ${contentType} content`);
+    }
+
+    const [{ error }] = errors;
+    error.downloaderErrors = errors.map(({ downloader, error: attempt }) => ({
+      downloader,
+      code: getErrorCode(attempt),
+      message: attempt.message,
+    }));
+    throw error;
+  }
+
+  /**
+   * Get ordered downloader names for a content type
+   * @param {string} contentType
+   * @returns {string[]}
+   */
+  getChain(contentType) {
+    return (
+      config.DOWNLOADER_CHAINS[contentType] || config.DOWNLOADER_CHAINS.default
+    );
+  }
+
+  /**
+   * Describe configured downloader chains for logs
+   * e.g. "gallery-dl → yt-dlp (reel: yt-dlp → gallery-dl)"
+   * @returns {string}
+   */
+  describeChains() {
+    const { default: fallback, ...overrides } = config.DOWNLOADER_CHAINS;
+    const perType = Object.entries(overrides).map(
+      ([contentType, chain]) => `${contentType}: ${chain.join(" → ")}`
+    );
+
+    return `${fallback.join(" → ")}${
+      perType.length > 0 ? ` (${perType.join(", ")})` : ""
+    }`;
+  }
+
+  /**
+   * Exclude downloaders that are not installed from every chain
+   * @param {string[]} names
+   */
+  setUnavailable(names) {
+    this.unavailable = new Set(names);
   }
 
   /**
-   * Extract metadata from gallery-dl JSON output
+   * Extract metadata from downloader JSON output
    * @param {object} jsonData
    * @returns {object}
    */
@@ -325,42 +255,6 @@ class VideoProcessor {
     };
   }
 
-  /**
-   * Clean up any remaining files for a job
-   * @param {string} tempDir
-   * @param {string} jobId
-   */
-  async cleanupRemainingFiles(tempDir, jobId) {
-    try {
-      const files = await fs.readdir(tempDir);
-      const jobFiles = files.filter((f) => f.startsWith(jobId));
-
-      for (const file of jobFiles) {
-        try {
-          await fs.unlink(path.join(tempDir, file));
-          console.log(`🧹 Cleaned up remaining file: ${file}`);
-        } catch (error) {
-          console.warn(`Failed to clean up file ${file}:`, error.message);
-        }
-      }
-    } catch (error) {
-      console.warn("Failed to clean up remaining files:", error.message);
-    }
-  }
-
-  /**
-   * Format memory size
-   * @param {number} bytes
-   * @returns {string}
-   */
-  formatMemory(bytes) {
-    if (bytes === 0) return "0 B";
-    const k = 1024;
-    const sizes = ["B", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-  }
-
   /**
    * Clean up resources for a job
    * @param {string} jobId
@@ -368,10 +262,8 @@ class VideoProcessor {
   cleanup(jobId) {
     this.memoryManager.free(jobId);
 
-    // Additional cleanup - remove any leftover files
-    this.cleanupRemainingFiles("./temp", jobId).catch(() => {
-      // Ignore cleanup errors
-    });
+    // Remove leftovers, e.g. of a job aborted mid-download
+    removeWorkspace(jobId);
   }
 }
 
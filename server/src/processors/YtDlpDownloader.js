@@ -0,0 +1,133 @@
+const path = require("path");
+const Downloader = require("./Downloader");
+const { AppError } = require("../utils/errors");
+
+// Best single file with audio and video, so no merging (ffmpeg) is needed
+const FORMAT = "b[ext=mp4]/b";
+
+// One line per progress update; fields are "NA" when unknown
+const PROGRESS_TEMPLATE =
+  "download:[progress] %(info.playlist_index)s/%(info.n_entries)s " +
+  "%(progress.downloaded_bytes)s/%(progress.total_bytes)s/%(progress.total_bytes_estimate)s " +
+  "%(progress.speed)s";
+const PROGRESS_PATTERN =
+  /^\[progress\] (\S+)\/(\S+) (\S+)\/(\S+)\/(\S+) (\S+)/;
+
+/**
+ * yt-dlp downloader - videos only (reels, video posts and stories)
+ * Photos are not supported by its Instagram extractor, so it works as a
+ * fallback for gallery-dl rather than a replacement.
+ */
+class YtDlpDownloader extends Downloader {
+  constructor(memoryManager) {
+    super("yt-dlp", memoryManager);
+  }
+
+  /**
+   * -j prints one info JSON per video instead of downloading
+   */
+  getStreamArgs(pageUrl) {
+    return [
+      "--cookies",
+      "cookies.txt",
+      "-f",
+      FORMAT,
+      "-j",
+      "--no-warnings",
+      pageUrl,
+    ];
+  }
+
+  /**
+   * Parse yt-dlp -j output (one JSON object per line) into media entries
+   * @param {string} output
+   * @returns {{url: string, metadata: object, headers: object}[]}
+   */
+  parseStreamOutput(output) {
+    const lines = output.split("\n").filter((line) => line.trim());
+
+    return lines
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new AppError(
+            "DOWNLOAD_FAILED",
+            `Invalid yt-dlp JSON output: ${error.message}`
+          );
+        }
+      })
+      .filter((info) => /^https?:\/\//.test(info.url || ""))
+      .map((info) => ({
+        url: info.url,
+        metadata: this.normalizeMetadata(info),
+        headers: info.http_headers || {},
+      }));
+  }
+
+  /**
+   * --write-info-json stores "<name>.info.json" next to every video
+   */
+  getDownloadArgs(pageUrl, workspace) {
+    return [
+      "--cookies",
+      "cookies.txt",
+      "-f",
+      FORMAT,
+      "-o",
+      path.join(workspace, "%(autonumber)s.%(ext)s"),
+      "--write-info-json",
+      "--newline",
+      "--progress-template",
+      PROGRESS_TEMPLATE,
+      "--no-warnings",
+      pageUrl,
+    ];
+  }
+
+  get progressPattern() {
+    return PROGRESS_PATTERN;
+  }
+
+  parseProgress(match) {
+    const [index, count, downloaded, total, estimate, speed] = match
+      .slice(1)
+      .map((value) => (value === "NA" ? null : Number(value)));
+
+    return {
+      downloadedBytes: downloaded || 0,
+      totalBytes: Math.round(total || estimate) || null,
+      bytesPerSecond: speed === null ? null : Math.round(speed),
+      ...(index && { fileIndex: index - 1, fileCount: count }),
+    };
+  }
+
+  getMetadataFileName(mediaFile) {
+    return `${path.parse(mediaFile).name}.info.json`;
+  }
+
+  /**
+   * Map yt-dlp info fields to gallery-dl names
+   * @param {object} info
+   * @returns {object}
+   */
+  normalizeMetadata(info) {
+    return {
+      title: info.title,
+      username: info.channel || info.uploader_id || "",
+      fullname: info.uploader || "",
+      description: info.description || "",
+      duration: info.duration || 0,
+      view_count: info.view_count || 0,
+      likes: info.like_count || 0,
+      upload_date: info.upload_date || null,
+      thumbnail: info.thumbnail || null,
+      // Instagram video ids are the post shortcodes
+      shortcode: info.extractor_key === "Instagram" ? info.id : null,
+      extension: info.ext,
+      tags: info.tags || [],
+    };
+  }
+}
+
+module.exports = YtDlpDownloader;
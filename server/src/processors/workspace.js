@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+
+// Workspace directories are "job-<jobId>" inside TEMP_DIR
+const WORKSPACE_PREFIX = "job-";
+
+/**
+ * Get workspace directory of a job
+ * @param {string} jobId
+ * @returns {string}
+ */
+function getWorkspacePath(jobId) {
+  return path.join(path.resolve(config.TEMP_DIR), `${WORKSPACE_PREFIX}${jobId}`);
+}
+
+/**
+ * Create empty workspace, dropping leftovers of an earlier attempt
+ * @param {string} jobId
+ * @returns {Promise<string>} workspace path
+ */
+async function createWorkspace(jobId) {
+  await removeWorkspace(jobId);
+
+  const workspace = getWorkspacePath(jobId);
+  await fs.promises.mkdir(workspace, { recursive: true });
+  return workspace;
+}
+
+/**
+ * Remove workspace of a job
+ * Renamed out of the way first, so a half-deleted directory is never
+ * mistaken for a live workspace and a new attempt can start right away.
+ * @param {string} jobId
+ */
+async function removeWorkspace(jobId) {
+  const workspace = getWorkspacePath(jobId);
+  const trash = `${workspace}.${Date.now()}.trash`;
+
+  try {
+    await fs.promises.rename(workspace, trash);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Failed to remove workspace ${workspace}:`, error.message);
+    }
+    return;
+  }
+
+  try {
+    await fs.promises.rm(trash, { recursive: true, force: true });
+  } catch (error) {
+    console.warn(`Failed to delete ${trash}:`, error.message);
+  }
+}
+
+/**
+ * Remove workspaces left behind by a crash or kill
+ * Runs synchronously at startup, before any job gets a workspace.
+ */
+function sweepWorkspaces() {
+  const tempDir = path.resolve(config.TEMP_DIR);
+
+  let entries;
+  try {
+    entries = fs.readdirSync(tempDir);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn("Failed to sweep workspaces:", error.message);
+    }
+    return;
+  }
+
+  const orphans = entries.filter((entry) => entry.startsWith(WORKSPACE_PREFIX));
+
+  for (const entry of orphans) {
+    try {
+      fs.rmSync(path.join(tempDir, entry), { recursive: true, force: true });
+    } catch (error) {
+      console.warn(`Failed to remove ${entry}:`, error.message);
+    }
+  }
+
+  if (orphans.length > 0) {
+    console.log(`🧹 Removed ${orphans.length} orphaned workspace(s)`);
+  }
+}
+
+module.exports = {
+  getWorkspacePath,
+  createWorkspace,
+  removeWorkspace,
+  sweepWorkspaces,
+};
@@ -0,0 +1,190 @@
+const { EventEmitter } = require("events");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+
+const FINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+/**
+ * Batch Manager - groups jobs submitted together and tracks aggregate progress
+ * Batches live in memory only; their jobs are persisted by JobManager as usual
+ */
+class BatchManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.batches = new Map(); // batchId -> batch
+    this.jobIndex = new Map(); // jobId -> batchId
+
+    this.initializeCleanup();
+  }
+
+  /**
+   * Create batch from per-item submission results
+   * @param {object[]} results - { index, pageUrl, accepted, jobId, status, error, code }
+   * @returns {object} batch summary
+   */
+  createBatch(results) {
+    const batchId = uuidv4();
+    const batch = {
+      id: batchId,
+      createdAt: new Date(),
+      finishedAt: null,
+      items: results.map((result) => ({
+        ...result,
+        progress: 0,
+      })),
+    };
+
+    for (const item of batch.items) {
+      if (item.accepted) {
+        this.jobIndex.set(item.jobId, batchId);
+      }
+    }
+
+    this.batches.set(batchId, batch);
+
+    const summary = this.getSummary(batch);
+    console.log(
+      `📦 Batch ${batchId.substring(0, 8)} created: ${summary.accepted}/${
+        summary.total
+      } accepted`
+    );
+
+    return summary;
+  }
+
+  /**
+   * Apply job state change to its batch
+   * @param {string} jobId
+   * @param {object} update - { status, progress }
+   */
+  updateJob(jobId, { status, progress }) {
+    const batchId = this.jobIndex.get(jobId);
+    const batch = batchId && this.batches.get(batchId);
+    if (!batch || batch.finishedAt) return;
+
+    const item = batch.items.find((entry) => entry.jobId === jobId);
+    if (!item || FINAL_STATUSES.includes(item.status)) return;
+
+    if (status) item.status = status;
+    if (progress !== undefined) item.progress = progress;
+    if (FINAL_STATUSES.includes(item.status)) item.progress = 100;
+
+    const summary = this.getSummary(batch);
+
+    if (summary.done) {
+      batch.finishedAt = new Date();
+      summary.finishedAt = batch.finishedAt;
+      this.emit("batchProgress", summary);
+      this.emit("batchFinished", summary);
+
+      console.log(
+        `📦 Batch ${batchId.substring(0, 8)} finished: ${
+          summary.counts.completed
+        } completed, ${summary.counts.failed} failed, ${
+          summary.counts.cancelled
+        } cancelled`
+      );
+      return;
+    }
+
+    this.emit("batchProgress", summary);
+  }
+
+  /**
+   * Get batch summary
+   * @param {string} batchId
+   * @returns {object|null}
+   */
+  getBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    return batch ? this.getSummary(batch) : null;
+  }
+
+  /**
+   * Build aggregate view of a batch
+   * @param {object} batch
+   * @returns {object}
+   */
+  getSummary(batch) {
+    const accepted = batch.items.filter((item) => item.accepted);
+    const counts = {};
+
+    for (const item of accepted) {
+      counts[item.status] = (counts[item.status] || 0) + 1;
+    }
+    for (const status of FINAL_STATUSES) {
+      counts[status] = counts[status] || 0;
+    }
+
+    const progress =
+      accepted.length > 0
+        ? Math.round(
+            accepted.reduce((sum, item) => sum + (item.progress || 0), 0) /
+              accepted.length
+          )
+        : 100;
+
+    return {
+      batchId: batch.id,
+      createdAt: batch.createdAt,
+      finishedAt: batch.finishedAt,
+      total: batch.items.length,
+      accepted: accepted.length,
+      rejected: batch.items.length - accepted.length,
+      counts,
+      progress,
+      done: accepted.every((item) => FINAL_STATUSES.includes(item.status)),
+      items: batch.items,
+    };
+  }
+
+  /**
+   * Initialize cleanup scheduler
+   */
+  initializeCleanup() {
+    setInterval(() => {
+      this.cleanupOldBatches();
+    }, config.AUTO_CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Drop finished batches older than JOB_HISTORY_RETENTION
+   */
+  cleanupOldBatches() {
+    const cutoff = Date.now() - config.JOB_HISTORY_RETENTION;
+    let cleaned = 0;
+
+    for (const [batchId, batch] of this.batches.entries()) {
+      if (batch.finishedAt && batch.finishedAt.getTime() < cutoff) {
+        for (const item of batch.items) {
+          this.jobIndex.delete(item.jobId);
+        }
+        this.batches.delete(batchId);
+        cleaned++;
+      }
+    }
+
+    if (cleaned > 0) {
+      console.log(`🧹 Cleaned ${cleaned} old batch record(s)`);
+    }
+  }
+
+  /**
+   * Get batch statistics
+   * @returns {object}
+   */
+  getStats() {
+    let active = 0;
+    for (const batch of this.batches.values()) {
+      if (!batch.finishedAt) active++;
+    }
+
+    return {
+      total: this.batches.size,
+      active,
+    };
+  }
+}
+
+module.exports = BatchManager;
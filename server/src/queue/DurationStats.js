@@ -0,0 +1,102 @@
+// Used until a stage has its first sample
+const DEFAULT_DURATIONS = {
+  download: 30 * 1000,
+  upload: 15 * 1000,
+};
+
+const MAX_SAMPLES = 50; // per stage and content type
+
+/**
+ * Duration Stats - rolling per-stage durations used for queue ETAs
+ * Samples are kept per stage (download, upload) and content type (reel, post, story).
+ * In memory only; estimates fall back to defaults after a restart.
+ */
+class DurationStats {
+  constructor(maxSamples = MAX_SAMPLES) {
+    this.maxSamples = maxSamples;
+    this.samples = new Map(); // "stage:contentType" -> [{ duration, bytes }]
+  }
+
+  /**
+   * Record duration of a finished stage
+   * @param {string} stage - download | upload
+   * @param {string} contentType
+   * @param {number} duration - ms
+   * @param {number} [bytes] - media size handled by the stage
+   */
+  record(stage, contentType, duration, bytes = 0) {
+    const key = `${stage}:${contentType}`;
+    const samples = this.samples.get(key) || [];
+
+    samples.push({ duration, bytes });
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+
+    this.samples.set(key, samples);
+  }
+
+  /**
+   * Estimate stage duration
+   * Uses samples of the same content type when there are any, otherwise of the whole stage.
+   * With a known size the average throughput is applied to it.
+   * @param {string} stage
+   * @param {string} contentType
+   * @param {number} [bytes]
+   * @returns {number} ms
+   */
+  estimate(stage, contentType, bytes = 0) {
+    let samples = this.samples.get(`${stage}:${contentType}`);
+    if (!samples || samples.length === 0) {
+      samples = this.getStageSamples(stage);
+    }
+    if (samples.length === 0) {
+      return DEFAULT_DURATIONS[stage] || 0;
+    }
+
+    const totalDuration = samples.reduce((sum, s) => sum + s.duration, 0);
+    const totalBytes = samples.reduce((sum, s) => sum + s.bytes, 0);
+
+    if (bytes > 0 && totalBytes > 0) {
+      return Math.round((totalDuration / totalBytes) * bytes);
+    }
+
+    return Math.round(totalDuration / samples.length);
+  }
+
+  /**
+   * Get samples of a stage across all content types
+   * @param {string} stage
+   * @returns {object[]}
+   */
+  getStageSamples(stage) {
+    const samples = [];
+    for (const [key, entries] of this.samples.entries()) {
+      if (key.startsWith(`${stage}:`)) {
+        samples.push(...entries);
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * Get average durations per stage and content type
+   * @returns {object} e.g. { download: { reel: { samples: 12, averageMs: 21400 } } }
+   */
+  getStats() {
+    const stats = {};
+
+    for (const [key, samples] of this.samples.entries()) {
+      const [stage, contentType] = key.split(":");
+      stats[stage] = stats[stage] || {};
+      stats[stage][contentType] = {
+        samples: samples.length,
+        averageMs: this.estimate(stage, contentType),
+      };
+    }
+
+    return stats;
+  }
+}
+
+module.exports = DurationStats;
@@ -1,10 +1,16 @@
 const { EventEmitter } = require("events");
 const { v4: uuidv4 } = require("uuid");
 const config = require("../config");
-const { validatePageData } = require("../utils/validation");
+const { validatePageData, PRIORITIES } = require("../utils/validation");
+const { AppError, getErrorCode } = require("../utils/errors");
+const JobStore = require("./JobStore");
+
+// Keep the tail of downloader output on failed jobs, it holds the actual error
+const MAX_STDERR_LENGTH = 4000;
 
 /**
  * Job Manager - handles job lifecycle and state management
+ * Every state transition is written to the JobStore journal when enabled
  */
 class JobManager extends EventEmitter {
   constructor() {
@@ -12,6 +18,7 @@ class JobManager extends EventEmitter {
 
     // Job storage maps
     this.queue = new Map(); // Pending jobs
+    this.scheduled = new Map(); // Jobs held until their publishAt time
     this.processing = new Map(); // Active jobs
     this.completed = new Map(); // Completed jobs
     this.failed = new Map(); // Failed jobs
@@ -20,6 +27,12 @@ class JobManager extends EventEmitter {
     this.totalProcessed = 0;
     this.startTime = Date.now();
 
+    // Durable storage
+    this.store = config.JOB_STORE_ENABLED
+      ? new JobStore(config.JOB_STORE_PATH)
+      : null;
+    this.restoreJobs();
+
     // Initialize cleanup scheduler
     this.initializeCleanup();
 
@@ -30,15 +43,29 @@ class JobManager extends EventEmitter {
    * Add new job to queue
    * @param {object} pageData
    * @param {object} userInfo
+   * @param {object} options - submission options (e.g. force)
+   * @param {Date} [options.publishAt] - hold job in "scheduled" state until then
+   * @param {string} [options.priority] - low | normal | high
    * @returns {string} jobId
    */
-  addJob(pageData, userInfo = {}) {
+  addJob(pageData, userInfo = {}, options = {}) {
     // Validate input
     validatePageData(pageData);
 
+    const { publishAt = null, priority = "normal", ...jobOptions } = options;
+
+    // Check schedule capacity
+    if (publishAt && this.scheduled.size >= config.MAX_SCHEDULED_JOBS) {
+      throw new AppError(
+        "QUEUE_FULL",
+        `Schedule is full (${this.scheduled.size}/${config.MAX_SCHEDULED_JOBS}). Please try again later.`
+      );
+    }
+
     // Check queue capacity
-    if (this.queue.size >= config.MAX_QUEUE_SIZE) {
-      throw new Error(
+    if (!publishAt && this.queue.size >= config.MAX_QUEUE_SIZE) {
+      throw new AppError(
+        "QUEUE_FULL",
         `Queue is full (${this.queue.size}/${config.MAX_QUEUE_SIZE}). Please try again later.`
       );
     }
@@ -48,31 +75,212 @@ class JobManager extends EventEmitter {
       id: jobId,
       pageData,
       userInfo,
+      options: jobOptions,
       addedAt: new Date(),
-      status: "queued",
+      status: publishAt ? "scheduled" : "queued",
+      publishAt,
+      priority,
       progress: 0,
+      attempts: 0,
+      maxAttempts: config.JOB_MAX_ATTEMPTS,
+      nextAttemptAt: null,
+      retryHistory: [],
     };
 
+    if (publishAt) {
+      this.scheduled.set(jobId, job);
+      this.persist(job);
+      this.emit("jobAdded", job);
+
+      console.log(
+        `🗓️ Job ${jobId.substring(0, 8)} scheduled for ${publishAt.toISOString()} (${
+          this.scheduled.size
+        } scheduled)`
+      );
+
+      return jobId;
+    }
+
     this.queue.set(jobId, job);
+    this.persist(job);
     this.emit("jobAdded", job);
 
     console.log(
       `📥 Job ${jobId.substring(0, 8)} added to queue (${
         this.queue.size
-      } queued)`
+      } queued${priority !== "normal" ? `, ${priority} priority` : ""})`
     );
 
     return jobId;
   }
 
   /**
-   * Get next job from queue
+   * Move scheduled jobs whose publish time is near into the queue
+   * Jobs are released early by leadTime so download finishes before publishAt
+   * @param {number} leadTime - ms
+   * @returns {object[]} released jobs
+   */
+  releaseDueJobs(leadTime = 0) {
+    const threshold = Date.now() + leadTime;
+    const released = [];
+
+    for (const [jobId, job] of this.scheduled.entries()) {
+      if (job.publishAt <= threshold) {
+        this.scheduled.delete(jobId);
+
+        const queuedJob = { ...job, status: "queued" };
+        this.queue.set(jobId, queuedJob);
+        this.persist(queuedJob);
+        released.push(queuedJob);
+
+        console.log(
+          `⏰ Job ${jobId.substring(
+            0,
+            8
+          )} released for publishing at ${job.publishAt.toISOString()}`
+        );
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Change publish time of a job that has not been published yet
+   * The caller aborts the run of a job released early and already started.
+   * @param {string} jobId
+   * @param {Date} publishAt
+   * @returns {object|null} updated job
+   */
+  rescheduleJob(jobId, publishAt) {
+    const job =
+      this.scheduled.get(jobId) ||
+      this.getReleasedScheduledJobs().find(({ id }) => id === jobId);
+    if (!job) return null;
+
+    this.queue.delete(jobId);
+
+    const scheduledJob = { ...job, status: "scheduled", publishAt };
+
+    // Downloaded again once released; the interrupted run costs no attempt
+    if (this.processing.delete(jobId)) {
+      Object.assign(scheduledJob, {
+        attempts: job.attempts - 1,
+        progress: 0,
+        progressMessage: null,
+        transfer: null,
+        nextSlotAt: null,
+      });
+    }
+
+    this.scheduled.set(jobId, scheduledJob);
+    this.persist(scheduledJob);
+
+    this.emit("jobRescheduled", scheduledJob);
+
+    console.log(
+      `🗓️ Job ${jobId.substring(
+        0,
+        8
+      )} rescheduled to ${publishAt.toISOString()}`
+    );
+
+    return scheduledJob;
+  }
+
+  /**
+   * Change priority of a job that has not started yet
+   * @param {string} jobId
+   * @param {string} priority
+   * @returns {object|null} updated job
+   */
+  setJobPriority(jobId, priority) {
+    const source = this.queue.has(jobId)
+      ? this.queue
+      : this.scheduled.has(jobId)
+      ? this.scheduled
+      : null;
+    if (!source) return null;
+
+    // Updated in place so the job keeps its Map position
+    const job = source.get(jobId);
+    job.priority = priority;
+    this.persist(job);
+
+    this.emit("jobReprioritized", job);
+
+    console.log(
+      `⚡ Job ${jobId.substring(0, 8)} priority changed to ${priority}`
+    );
+
+    return job;
+  }
+
+  /**
+   * Get scheduled jobs released ahead of publishAt that are not published yet:
+   * queued, or started and downloading or holding for their publish time
+   * @returns {object[]}
+   */
+  getReleasedScheduledJobs() {
+    const now = Date.now();
+
+    return [
+      ...Array.from(this.queue.values()).filter((job) => job.publishAt),
+      ...Array.from(this.processing.values()).filter(
+        (job) => job.publishAt && new Date(job.publishAt).getTime() > now
+      ),
+    ];
+  }
+
+  /**
+   * Get scheduled jobs ordered by publish time, including the ones released early
+   * @returns {object[]}
+   */
+  getScheduledJobs() {
+    return [
+      ...this.scheduled.values(),
+      ...this.getReleasedScheduledJobs(),
+    ].sort((a, b) => a.publishAt - b.publishAt);
+  }
+
+  /**
+   * Compare queued jobs: higher priority first, then oldest submission first
+   * @param {object} a
+   * @param {object} b
+   * @returns {number}
+   */
+  compareJobs(a, b) {
+    const byPriority =
+      PRIORITIES.indexOf(b.priority || "normal") -
+      PRIORITIES.indexOf(a.priority || "normal");
+    if (byPriority !== 0) return byPriority;
+
+    return new Date(a.addedAt) - new Date(b.addedAt);
+  }
+
+  /**
+   * Get next job from queue by priority then FIFO,
+   * skipping jobs waiting for a retry backoff
    * @returns {object|null}
    */
   getNextJob() {
     if (this.queue.size === 0) return null;
 
-    const [jobId, job] = this.queue.entries().next().value;
+    const now = Date.now();
+    let job = null;
+
+    for (const candidate of this.queue.values()) {
+      if (candidate.nextAttemptAt && candidate.nextAttemptAt > now) continue;
+
+      if (!job || this.compareJobs(candidate, job) < 0) {
+        job = candidate;
+      }
+    }
+
+    if (!job) return null;
+
+    const jobId = job.id;
+
     this.queue.delete(jobId);
 
     // Move to processing
@@ -80,9 +288,12 @@ class JobManager extends EventEmitter {
       ...job,
       status: "processing",
       startedAt: new Date(),
+      attempts: (job.attempts || 0) + 1,
+      nextAttemptAt: null,
     };
 
     this.processing.set(jobId, processingJob);
+    this.persist(processingJob);
     this.emit("jobStarted", processingJob);
 
     return processingJob;
@@ -93,16 +304,65 @@ class JobManager extends EventEmitter {
    * @param {string} jobId
    * @param {number} progress
    * @param {string} message
+   * @param {object|null} [transfer] - bytes and rate while downloading
    */
-  updateJobProgress(jobId, progress, message) {
+  updateJobProgress(jobId, progress, message, transfer = null) {
     const job = this.processing.get(jobId);
     if (!job) return;
 
     job.progress = progress;
     job.progressMessage = message;
+    job.transfer = transfer;
     job.lastUpdated = new Date();
 
-    this.emit("jobProgress", jobId, progress, message);
+    this.emit("jobProgress", jobId, progress, message, {
+      status: job.status,
+      transfer,
+      ...this.getRetryState(job),
+    });
+  }
+
+  /**
+   * Remember media size of a downloaded job for duration estimates
+   * Kept when the job is retried, the next attempt fetches the same post.
+   * @param {string} jobId
+   * @param {number} bytes
+   */
+  setMediaSize(jobId, bytes) {
+    const job = this.processing.get(jobId);
+    if (!job) return;
+
+    job.mediaSize = bytes;
+  }
+
+  /**
+   * Mark downloaded job as waiting to publish (scheduled time or cadence slot)
+   * @param {string} jobId
+   * @param {string} message
+   * @param {Date} nextSlotAt - expected publish time
+   */
+  markWaiting(jobId, message, nextSlotAt) {
+    const job = this.processing.get(jobId);
+    if (!job) return;
+
+    job.status = "waiting";
+    job.nextSlotAt = nextSlotAt;
+    this.persist(job);
+
+    this.updateJobProgress(jobId, job.progress, message);
+  }
+
+  /**
+   * Mark job as actively publishing again after waiting
+   * @param {string} jobId
+   */
+  markPublishing(jobId) {
+    const job = this.processing.get(jobId);
+    if (!job || job.status !== "waiting") return;
+
+    job.status = "processing";
+    job.nextSlotAt = null;
+    this.persist(job);
   }
 
   /**
@@ -124,6 +384,7 @@ class JobManager extends EventEmitter {
     };
 
     this.completed.set(jobId, completedJob);
+    this.persist(completedJob);
     this.totalProcessed++;
 
     this.emit("jobCompleted", jobId, result);
@@ -132,39 +393,254 @@ class JobManager extends EventEmitter {
   }
 
   /**
-   * Mark job as failed
+   * Mark processing (or expired queued) job as failed
    * @param {string} jobId
    * @param {Error} error
    */
   failJob(jobId, error) {
-    const job = this.processing.get(jobId);
+    const job = this.processing.get(jobId) || this.queue.get(jobId);
     if (!job) return;
 
     this.processing.delete(jobId);
+    this.queue.delete(jobId);
 
     const failedJob = {
       ...job,
       status: "failed",
       error: error.message,
+      errorCode: getErrorCode(error),
+      stderr: error.stderr ? error.stderr.slice(-MAX_STDERR_LENGTH) : null,
+      downloaderErrors: error.downloaderErrors || null,
       failedAt: new Date(),
+      retryHistory: [
+        ...(job.retryHistory || []),
+        this.createAttemptRecord(job, error),
+      ],
     };
 
     this.failed.set(jobId, failedJob);
+    this.persist(failedJob);
 
     this.emit("jobFailed", jobId, error);
 
-    console.error(`❌ Job ${jobId.substring(0, 8)} failed: ${error.message}`);
+    console.error(
+      `❌ Job ${jobId.substring(0, 8)} failed [${failedJob.errorCode}]: ${
+        error.message
+      }`
+    );
+  }
+
+  /**
+   * Put failed job back into queue for another attempt after delay
+   * @param {string} jobId
+   * @param {Error} error
+   * @param {number} delay - ms
+   */
+  retryJob(jobId, error, delay) {
+    const job = this.processing.get(jobId);
+    if (!job) return;
+
+    this.processing.delete(jobId);
+
+    const nextAttemptAt = new Date(Date.now() + delay);
+    const retryingJob = {
+      ...job,
+      status: "queued",
+      progress: 0,
+      progressMessage: `Retrying in ${Math.ceil(delay / 1000)}s (attempt ${
+        job.attempts + 1
+      }/${job.maxAttempts}): ${error.message}`,
+      nextAttemptAt,
+      retryHistory: [
+        ...(job.retryHistory || []),
+        { ...this.createAttemptRecord(job, error), nextAttemptAt },
+      ],
+    };
+
+    this.queue.set(jobId, retryingJob);
+    this.persist(retryingJob);
+
+    this.emit("jobRetrying", retryingJob, error);
+
+    console.warn(
+      `🔁 Job ${jobId.substring(0, 8)} attempt ${job.attempts}/${
+        job.maxAttempts
+      } failed, retrying in ${Math.ceil(delay / 1000)}s: ${error.message}`
+    );
+  }
+
+  /**
+   * Fail queued jobs that have been waiting for a worker longer than maxAge
+   * @param {number} maxAge - ms
+   * @param {{from: number, to: number}[]} [pausedPeriods] - queue pauses, not counted as waiting
+   * @returns {string[]} expired job IDs
+   */
+  expireQueuedJobs(maxAge, pausedPeriods = []) {
+    const now = Date.now();
+    const expired = [];
+
+    for (const job of this.queue.values()) {
+      if (this.getQueuedAge(job, now, pausedPeriods) > maxAge) {
+        expired.push(job.id);
+      }
+    }
+
+    const minutes = Math.round(maxAge / 60000);
+    for (const jobId of expired) {
+      this.failJob(
+        jobId,
+        new AppError(
+          "JOB_EXPIRED",
+          `Job expired after waiting more than ${minutes} min in queue`
+        )
+      );
+    }
+
+    return expired;
+  }
+
+  /**
+   * Get how long a queued job has been waiting for a worker
+   * Time the queue spent paused meanwhile is left out.
+   * @param {object} job
+   * @param {number} [now]
+   * @param {{from: number, to: number}[]} [pausedPeriods]
+   * @returns {number} ms
+   */
+  getQueuedAge(job, now = Date.now(), pausedPeriods = []) {
+    const since = this.getQueuedSince(job);
+    const paused = pausedPeriods.reduce(
+      (total, { from, to }) =>
+        total + Math.max(0, Math.min(to, now) - Math.max(from, since)),
+      0
+    );
+
+    return now - since - paused;
+  }
+
+  /**
+   * Get the moment a queued job became eligible for a worker
+   * (submission, scheduled release, retry backoff end or manual requeue)
+   * @param {object} job
+   * @returns {number} timestamp
+   */
+  getQueuedSince(job) {
+    return Math.max(
+      ...[job.addedAt, job.publishAt, job.nextAttemptAt, job.requeuedAt]
+        .filter(Boolean)
+        .map((date) => new Date(date).getTime())
+    );
   }
 
   /**
-   * Cancel job (only if in queue)
+   * Move dead-lettered job back into the queue with a fresh attempt budget
+   * @param {string} jobId
+   * @returns {object|null} requeued job, null when the job is not failed
+   * @throws {AppError} QUEUE_FULL
+   */
+  requeueFailedJob(jobId) {
+    const job = this.failed.get(jobId);
+    if (!job) return null;
+
+    if (this.queue.size >= config.MAX_QUEUE_SIZE) {
+      throw new AppError(
+        "QUEUE_FULL",
+        `Queue is full (${this.queue.size}/${config.MAX_QUEUE_SIZE}). Please try again later.`
+      );
+    }
+
+    this.failed.delete(jobId);
+
+    // retryHistory is kept so the earlier failures stay visible
+    const requeuedJob = {
+      ...job,
+      status: "queued",
+      progress: 0,
+      progressMessage: "Manually re-queued",
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null,
+      errorCode: null,
+      stderr: null,
+      downloaderErrors: null,
+      failedAt: null,
+      requeuedAt: new Date(),
+      manualRetries: (job.manualRetries || 0) + 1,
+    };
+
+    this.queue.set(jobId, requeuedJob);
+    this.persist(requeuedJob);
+
+    this.emit("jobRequeued", requeuedJob);
+
+    console.log(
+      `♻️ Job ${jobId.substring(0, 8)} re-queued from dead-letter (was ${
+        job.errorCode
+      })`
+    );
+
+    return requeuedJob;
+  }
+
+  /**
+   * Get dead-lettered jobs, newest failure first
+   * @param {string} [errorCode] - only jobs failed with this code
+   * @returns {object[]}
+   */
+  getFailedJobs(errorCode = null) {
+    return Array.from(this.failed.values())
+      .filter((job) => !errorCode || job.errorCode === errorCode)
+      .sort((a, b) => b.failedAt - a.failedAt);
+  }
+
+  /**
+   * Build retry history entry for a failed attempt
+   * @param {object} job
+   * @param {Error} error
+   * @returns {object}
+   */
+  createAttemptRecord(job, error) {
+    return {
+      attempt: job.attempts,
+      error: error.message,
+      errorCode: getErrorCode(error),
+      startedAt: job.startedAt,
+      failedAt: new Date(),
+    };
+  }
+
+  /**
+   * Get retry state of a job for API/WebSocket payloads
+   * @param {object} job
+   * @returns {object}
+   */
+  getRetryState(job) {
+    return {
+      attempts: job.attempts || 0,
+      maxAttempts: job.maxAttempts || config.JOB_MAX_ATTEMPTS,
+      nextAttemptAt: job.nextAttemptAt || null,
+      retryHistory: job.retryHistory || [],
+    };
+  }
+
+  /**
+   * Cancel job
+   * Processing jobs must already be stopped by the caller (see VideoQueue.cancelJob)
    * @param {string} jobId
    * @returns {boolean}
    */
   cancelJob(jobId) {
-    if (this.queue.has(jobId)) {
+    const job =
+      this.queue.get(jobId) ||
+      this.scheduled.get(jobId) ||
+      this.processing.get(jobId);
+
+    if (job) {
       this.queue.delete(jobId);
-      this.emit("jobCancelled", jobId);
+      this.scheduled.delete(jobId);
+      this.processing.delete(jobId);
+      this.store?.remove(jobId);
+      this.emit("jobCancelled", jobId, job);
       console.log(`❌ Job ${jobId.substring(0, 8)} cancelled`);
       return true;
     }
@@ -180,6 +656,9 @@ class JobManager extends EventEmitter {
     if (this.queue.has(jobId)) {
       return { status: "queued", ...this.queue.get(jobId) };
     }
+    if (this.scheduled.has(jobId)) {
+      return { status: "scheduled", ...this.scheduled.get(jobId) };
+    }
     if (this.processing.has(jobId)) {
       return { status: "processing", ...this.processing.get(jobId) };
     }
@@ -201,18 +680,43 @@ class JobManager extends EventEmitter {
     const throughput =
       this.totalProcessed > 0 ? this.totalProcessed / (uptime / 1000 / 60) : 0; // per minute
 
+    const now = Date.now();
+    const retrying = Array.from(this.queue.values()).filter(
+      (job) => job.nextAttemptAt && job.nextAttemptAt > now
+    ).length;
+
+    const waitingToPublish = Array.from(this.processing.values()).filter(
+      (job) => job.status === "waiting"
+    ).length;
+
     return {
       queued: this.queue.size,
-      processing: this.processing.size,
+      scheduled: this.scheduled.size,
+      retrying,
+      processing: this.processing.size - waitingToPublish,
+      waitingToPublish,
       completed: this.completed.size,
       failed: this.failed.size,
       totalProcessed: this.totalProcessed,
+      queuedByPriority: this.countQueuedByPriority(),
       maxQueueSize: config.MAX_QUEUE_SIZE,
       uptime: Math.round(uptime / 1000),
       throughputPerMinute: Math.round(throughput * 100) / 100,
     };
   }
 
+  /**
+   * Count queued jobs per priority
+   * @returns {object} e.g. { low: 0, normal: 3, high: 1 }
+   */
+  countQueuedByPriority() {
+    const counts = Object.fromEntries(PRIORITIES.map((p) => [p, 0]));
+    for (const job of this.queue.values()) {
+      counts[job.priority || "normal"]++;
+    }
+    return counts;
+  }
+
   /**
    * Get all jobs with pagination
    * @param {number} limit
@@ -221,6 +725,7 @@ class JobManager extends EventEmitter {
    */
   getAllJobs(limit = 100, offset = 0) {
     const allJobs = [
+      ...Array.from(this.scheduled.values()),
       ...Array.from(this.queue.values()),
       ...Array.from(this.processing.values()),
       ...Array.from(this.completed.values()),
@@ -255,24 +760,30 @@ class JobManager extends EventEmitter {
   }
 
   /**
-   * Clean up old completed and failed jobs
+   * Clean up completed jobs older than JOB_HISTORY_RETENTION
+   * and failed (dead-letter) jobs older than DEAD_LETTER_RETENTION
    */
   cleanupOldJobs() {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const cutoff = new Date(Date.now() - config.JOB_HISTORY_RETENTION);
+    const deadLetterCutoff = new Date(
+      Date.now() - config.DEAD_LETTER_RETENTION
+    );
     let cleaned = 0;
 
     // Clean completed jobs
     for (const [jobId, job] of this.completed.entries()) {
-      if (job.completedAt < oneHourAgo) {
+      if (job.completedAt < cutoff) {
         this.completed.delete(jobId);
+        this.store?.remove(jobId);
         cleaned++;
       }
     }
 
     // Clean failed jobs
     for (const [jobId, job] of this.failed.entries()) {
-      if (job.failedAt < oneHourAgo) {
+      if (job.failedAt < deadLetterCutoff) {
         this.failed.delete(jobId);
+        this.store?.remove(jobId);
         cleaned++;
       }
     }
@@ -280,6 +791,96 @@ class JobManager extends EventEmitter {
     if (cleaned > 0) {
       console.log(`🧹 Cleaned ${cleaned} old job records`);
     }
+
+    if (this.store?.needsCompaction()) {
+      this.store.compact(this.getStoredJobs());
+    }
+  }
+
+  /**
+   * Persist job state to durable store
+   * @param {object} job
+   */
+  persist(job) {
+    if (this.store) {
+      this.store.save(job);
+    }
+  }
+
+  /**
+   * Get every job that should survive a restart
+   * @returns {object[]}
+   */
+  getStoredJobs() {
+    return [
+      ...this.scheduled.values(),
+      ...this.queue.values(),
+      ...this.processing.values(),
+      ...this.completed.values(),
+      ...this.failed.values(),
+    ];
+  }
+
+  /**
+   * Restore jobs from durable store on boot
+   * Jobs interrupted mid-processing are re-queued ahead of newer ones
+   */
+  restoreJobs() {
+    if (!this.store) return;
+
+    const jobs = this.store.load();
+    const pending = [];
+    let requeued = 0;
+
+    for (const job of jobs) {
+      switch (job.status) {
+        case "queued":
+          pending.push(job);
+          break;
+
+        case "processing":
+        case "waiting":
+          pending.push({
+            ...job,
+            status: "queued",
+            progress: 0,
+            progressMessage: "Re-queued after server restart",
+            restarts: (job.restarts || 0) + 1,
+            requeuedAt: new Date(),
+            nextSlotAt: null,
+          });
+          requeued++;
+          break;
+
+        case "scheduled":
+          this.scheduled.set(job.id, job);
+          break;
+
+        case "completed":
+          this.completed.set(job.id, job);
+          break;
+
+        case "failed":
+          this.failed.set(job.id, job);
+          break;
+      }
+    }
+
+    // Preserve original submission order
+    pending.sort((a, b) => a.addedAt - b.addedAt);
+    for (const job of pending) {
+      this.queue.set(job.id, job);
+      this.persist(job);
+    }
+
+    if (jobs.length > 0) {
+      console.log(
+        `🗄️ Restored ${jobs.length} job(s): ${this.queue.size} queued (${requeued} re-queued from processing), ${this.scheduled.size} scheduled, ${this.completed.size} completed, ${this.failed.size} failed`
+      );
+    }
+
+    // Apply retention to restored history right away
+    this.cleanupOldJobs();
   }
 }
 
@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+
+// Job fields stored as ISO strings that must be revived as Date objects
+const DATE_FIELDS = [
+  "addedAt",
+  "startedAt",
+  "completedAt",
+  "failedAt",
+  "lastUpdated",
+  "requeuedAt",
+  "nextAttemptAt",
+  "publishAt",
+  "nextSlotAt",
+];
+
+/**
+ * Job Store - append-only JSON journal for job persistence
+ * Each line is either {"op":"put","job":{...}} or {"op":"delete","id":"..."}
+ */
+class JobStore {
+  /**
+   * @param {string} filePath
+   * @param {object} options
+   * @param {number} options.compactThreshold - journal entries before compaction
+   */
+  constructor(filePath, { compactThreshold = 1000 } = {}) {
+    this.filePath = path.resolve(filePath);
+    this.compactThreshold = compactThreshold;
+    this.entriesSinceCompaction = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    console.log(`🗄️ JobStore using journal ${this.filePath}`);
+  }
+
+  /**
+   * Replay journal and return latest state of every job
+   * @returns {object[]}
+   */
+  load() {
+    const jobs = new Map();
+
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    let corrupted = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === "put" && entry.job?.id) {
+          jobs.set(entry.job.id, this.reviveDates(entry.job));
+        } else if (entry.op === "delete" && entry.id) {
+          jobs.delete(entry.id);
+        }
+      } catch {
+        // A crash mid-write can leave a truncated last line
+        corrupted++;
+      }
+    }
+
+    if (corrupted > 0) {
+      console.warn(`⚠️ JobStore skipped ${corrupted} corrupted journal line(s)`);
+    }
+
+    const restored = Array.from(jobs.values());
+
+    // Start from a compact journal so replay time stays bounded
+    this.compact(restored);
+
+    return restored;
+  }
+
+  /**
+   * Persist current job state
+   * @param {object} job
+   */
+  save(job) {
+    this.append({ op: "put", job });
+  }
+
+  /**
+   * Remove job from store
+   * @param {string} jobId
+   */
+  remove(jobId) {
+    this.append({ op: "delete", id: jobId });
+  }
+
+  /**
+   * Append journal entry
+   * @param {object} entry
+   */
+  append(entry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+      this.entriesSinceCompaction++;
+    } catch (error) {
+      console.error("❌ JobStore write failed:", error.message);
+    }
+  }
+
+  /**
+   * Check whether journal should be rewritten
+   * @returns {boolean}
+   */
+  needsCompaction() {
+    return this.entriesSinceCompaction >= this.compactThreshold;
+  }
+
+  /**
+   * Rewrite journal with a single entry per job (atomic rename)
+   * @param {object[]} jobs
+   */
+  compact(jobs) {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      const content = jobs
+        .map((job) => JSON.stringify({ op: "put", job }) + "\n")
+        .join("");
+
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, this.filePath);
+      this.entriesSinceCompaction = 0;
+    } catch (error) {
+      console.error("❌ JobStore compaction failed:", error.message);
+    }
+  }
+
+  /**
+   * Convert serialized date fields back to Date objects
+   * @param {object} job
+   * @returns {object}
+   */
+  reviveDates(job) {
+    for (const field of DATE_FIELDS) {
+      if (job[field]) {
+        job[field] = new Date(job[field]);
+      }
+    }
+    return job;
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,77 @@
+const config = require("../config");
+const { AppError } = require("../utils/errors");
+
+/**
+ * Job Watchdog - limits active processing time of a job to QUEUE_TIMEOUT
+ * Aborts the job's controller with JOB_TIMEOUT once the budget is used up.
+ * Time spent waiting for publishAt or a publish slot is not counted.
+ */
+class JobWatchdog {
+  /**
+   * @param {string} jobId
+   * @param {AbortController} abortController
+   * @param {number} timeout - ms of active processing, 0 disables the watchdog
+   */
+  constructor(jobId, abortController, timeout = config.QUEUE_TIMEOUT) {
+    this.jobId = jobId;
+    this.abortController = abortController;
+    this.timeout = timeout;
+
+    this.elapsed = 0; // active ms consumed before the current run
+    this.runningSince = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start (or continue) counting active time
+   */
+  start() {
+    if (!this.timeout || this.runningSince !== null) return;
+
+    this.runningSince = Date.now();
+    this.timer = setTimeout(
+      () => this.expire(),
+      Math.max(0, this.timeout - this.elapsed)
+    );
+  }
+
+  /**
+   * Stop counting while the job waits without doing work
+   */
+  suspend() {
+    if (this.runningSince === null) return;
+
+    this.elapsed += Date.now() - this.runningSince;
+    this.runningSince = null;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Disarm once the job finished
+   */
+  stop() {
+    this.suspend();
+  }
+
+  /**
+   * Budget used up: abort whatever stage the job is in
+   */
+  expire() {
+    this.timer = null;
+    if (this.abortController.signal.aborted) return;
+
+    const seconds = Math.round(this.timeout / 1000);
+    console.warn(
+      `⏱️ Job ${this.jobId.substring(0, 8)} exceeded QUEUE_TIMEOUT (${seconds}s), aborting`
+    );
+
+    this.abortController.abort(
+      new AppError("JOB_TIMEOUT", `Job timed out after ${seconds}s of processing`, {
+        timeout: this.timeout,
+      })
+    );
+  }
+}
+
+module.exports = JobWatchdog;
@@ -1,6 +1,7 @@
 const { EventEmitter } = require('events');
 const config = require('../config');
 const { formatMemory } = require('../utils/memory');
+const { AppError } = require('../utils/errors');
 
 /**
  * Memory Manager - handles memory allocation and monitoring
@@ -21,18 +22,18 @@ class MemoryManager extends EventEmitter {
     /**
      * Check if memory allocation is possible
      * @param {number} requestedBytes
-     * @throws {Error}
+     * @throws {AppError} MEDIA_TOO_LARGE or MEMORY_LIMIT
      */
     validateAllocation(requestedBytes) {
         // Check per-video limit
         if (requestedBytes > config.MAX_MEMORY_PER_VIDEO) {
-            throw new Error(`Video too large: ${formatMemory(requestedBytes)} > ${formatMemory(config.MAX_MEMORY_PER_VIDEO)}`);
+            throw new AppError('MEDIA_TOO_LARGE', `Video too large: ${formatMemory(requestedBytes)} > ${formatMemory(config.MAX_MEMORY_PER_VIDEO)}`);
         }
 
         // Check total memory limit
         const newTotal = this.currentUsage + requestedBytes;
         if (newTotal > config.MAX_TOTAL_MEMORY) {
-            throw new Error(`Memory limit would be exceeded: ${formatMemory(newTotal)} > ${formatMemory(config.MAX_TOTAL_MEMORY)}`);
+            throw new AppError('MEMORY_LIMIT', `Memory limit would be exceeded: ${formatMemory(newTotal)} > ${formatMemory(config.MAX_TOTAL_MEMORY)}`);
         }
 
         // Warning threshold check
@@ -43,7 +44,7 @@ class MemoryManager extends EventEmitter {
 
         // Critical threshold check
         if (usagePercent > 95) {
-            throw new Error(`Memory nearly exhausted (${usagePercent.toFixed(1)}%). Please try again later.`);
+            throw new AppError('MEMORY_LIMIT', `Memory nearly exhausted (${usagePercent.toFixed(1)}%). Please try again later.`);
         }
     }
 
@@ -0,0 +1,186 @@
+const { setTimeout: sleep } = require("timers/promises");
+const config = require("../config");
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Publish Throttle - channel posting cadence limiter in front of Telegram sends
+ * Grants publish slots one at a time honoring posts/hour, minimum spacing and quiet hours
+ */
+class PublishThrottle {
+  /**
+   * @param {object} options
+   * @param {number} options.maxPerHour - 0 disables the hourly limit
+   * @param {number} options.minInterval - ms between posts
+   * @param {string} options.quietHours - "23-7" style local hours range, empty to disable
+   */
+  constructor({
+    maxPerHour = config.PUBLISH_MAX_PER_HOUR,
+    minInterval = config.PUBLISH_MIN_INTERVAL,
+    quietHours = config.PUBLISH_QUIET_HOURS,
+  } = {}) {
+    this.maxPerHour = maxPerHour;
+    this.minInterval = minInterval;
+    this.quietHours = this.parseQuietHours(quietHours);
+
+    this.history = []; // publish timestamps within the last hour
+    this.waiting = 0;
+    this.tail = Promise.resolve(); // serializes slot grants
+
+    console.log(
+      `📬 PublishThrottle: ${maxPerHour || "∞"}/hour, ${Math.round(
+        minInterval / 1000
+      )}s spacing${
+        this.quietHours
+          ? `, quiet ${this.quietHours.start}:00-${this.quietHours.end}:00`
+          : ""
+      }`
+    );
+  }
+
+  /**
+   * Parse "start-end" hours range
+   * @param {string} value
+   * @returns {{start: number, end: number}|null}
+   */
+  parseQuietHours(value) {
+    const match = /^(\d{1,2})-(\d{1,2})$/.exec((value || "").trim());
+    if (!match) return null;
+
+    const start = Number(match[1]);
+    const end = Number(match[2]);
+    if (start > 23 || end > 23 || start === end) return null;
+
+    return { start, end };
+  }
+
+  /**
+   * Check whether timestamp falls into quiet hours
+   * @param {number} timestamp
+   * @returns {boolean}
+   */
+  isQuietTime(timestamp) {
+    if (!this.quietHours) return false;
+
+    const hour = new Date(timestamp).getHours();
+    const { start, end } = this.quietHours;
+
+    // Range may wrap past midnight (e.g. 23-7)
+    return start < end
+      ? hour >= start && hour < end
+      : hour >= start || hour < end;
+  }
+
+  /**
+   * Get earliest time the next post may go out
+   * @param {number} now
+   * @returns {number} timestamp
+   */
+  getNextSlot(now = Date.now()) {
+    this.pruneHistory(now);
+
+    let slot = now;
+
+    if (this.maxPerHour > 0 && this.history.length >= this.maxPerHour) {
+      slot = Math.max(
+        slot,
+        this.history[this.history.length - this.maxPerHour] + HOUR
+      );
+    }
+
+    const lastPublish = this.history[this.history.length - 1];
+    if (lastPublish) {
+      slot = Math.max(slot, lastPublish + this.minInterval);
+    }
+
+    if (this.isQuietTime(slot)) {
+      const end = new Date(slot);
+      end.setHours(this.quietHours.end, 0, 0, 0);
+      if (end.getTime() <= slot) {
+        end.setDate(end.getDate() + 1);
+      }
+      slot = end.getTime();
+    }
+
+    return slot;
+  }
+
+  /**
+   * Wait for a publish slot; slots are granted in request order
+   * @param {function} onWait - called with estimated slot time when the caller has to wait
+   * @param {AbortSignal} [signal] - gives up the place in line without taking a slot
+   * @returns {Promise<void>}
+   */
+  acquire(onWait = () => {}, signal) {
+    signal?.throwIfAborted();
+
+    const position = this.waiting++;
+
+    // Callers behind others in line wait roughly one spacing interval each
+    const estimate = this.getNextSlot() + position * this.minInterval;
+    if (estimate > Date.now() || position > 0) {
+      onWait(new Date(estimate));
+    }
+
+    const ticket = this.tail.then(async () => {
+      signal?.throwIfAborted();
+
+      let delay = this.getNextSlot() - Date.now();
+
+      while (delay > 0) {
+        await sleep(delay, undefined, { signal });
+        delay = this.getNextSlot() - Date.now();
+      }
+
+      this.history.push(Date.now());
+    });
+
+    this.tail = ticket.catch(() => {});
+
+    return new Promise((resolve, reject) => {
+      // Aborted callers leave the line right away, their ticket is skipped later
+      const onAbort = () => reject(signal.reason);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      ticket.then(resolve, reject).finally(() => {
+        signal?.removeEventListener("abort", onAbort);
+      });
+    }).finally(() => {
+      this.waiting--;
+    });
+  }
+
+  /**
+   * Drop timestamps older than one hour
+   * @param {number} now
+   */
+  pruneHistory(now = Date.now()) {
+    while (this.history.length > 0 && this.history[0] <= now - HOUR) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Get cadence statistics
+   * @returns {object}
+   */
+  getStats() {
+    const now = Date.now();
+    const nextSlot = this.getNextSlot(now);
+
+    return {
+      maxPerHour: this.maxPerHour,
+      minInterval: this.minInterval,
+      quietHours: this.quietHours
+        ? `${this.quietHours.start}-${this.quietHours.end}`
+        : null,
+      inQuietHours: this.isQuietTime(now),
+      publishedLastHour: this.history.length,
+      waitingToPublish: this.waiting,
+      nextSlotAt: new Date(nextSlot).toISOString(),
+      nextSlotIn: Math.max(0, Math.ceil((nextSlot - now) / 1000)),
+    };
+  }
+}
+
+module.exports = PublishThrottle;
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Published Index - remembers which Instagram posts already reached the channel
+ * Keys are normalized URLs, shortcodes and post IDs pointing at the same record
+ */
+class PublishedIndex {
+  /**
+   * @param {string} filePath
+   * @param {number} retention - ms to keep records
+   */
+  constructor(filePath, retention) {
+    this.filePath = path.resolve(filePath);
+    this.retention = retention;
+    this.entries = new Map(); // key -> record
+
+    this.load();
+    if (this.prune() > 0) this.save();
+
+    console.log(
+      `🔁 PublishedIndex loaded ${this.entries.size} key(s) from ${this.filePath}`
+    );
+  }
+
+  /**
+   * Build lookup keys for a post
+   * @param {object} identity
+   * @param {string} [identity.normalizedUrl]
+   * @param {string} [identity.shortcode]
+   * @param {string|number} [identity.postId]
+   * @returns {string[]}
+   */
+  static keysFor({ normalizedUrl, shortcode, postId } = {}) {
+    const keys = [];
+    if (normalizedUrl) keys.push(`url:${normalizedUrl}`);
+    if (shortcode) keys.push(`shortcode:${shortcode}`);
+    if (postId) keys.push(`post:${postId}`);
+    return keys;
+  }
+
+  /**
+   * Find published record by any of the keys
+   * @param {string[]} keys
+   * @returns {object|null}
+   */
+  find(keys) {
+    for (const key of keys) {
+      const record = this.entries.get(key);
+      if (record) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Register published post under all keys
+   * @param {string[]} keys
+   * @param {object} record
+   */
+  add(keys, record) {
+    if (keys.length === 0) return;
+
+    const entry = { ...record, publishedAt: new Date().toISOString() };
+    for (const key of keys) {
+      this.entries.set(key, entry);
+    }
+
+    this.prune();
+    this.save();
+  }
+
+  /**
+   * Drop records older than retention
+   * @returns {number} pruned keys
+   */
+  prune() {
+    if (!this.retention) return 0;
+
+    const cutoff = Date.now() - this.retention;
+    let pruned = 0;
+
+    for (const [key, record] of this.entries.entries()) {
+      if (new Date(record.publishedAt).getTime() < cutoff) {
+        this.entries.delete(key);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      console.log(`🧹 Pruned ${pruned} expired published key(s)`);
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Load index from disk
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const [key, record] of Object.entries(data)) {
+        this.entries.set(key, record);
+      }
+    } catch (error) {
+      console.warn("⚠️ Failed to load published index:", error.message);
+    }
+  }
+
+  /**
+   * Write index to disk (atomic rename)
+   */
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(
+        tempPath,
+        JSON.stringify(Object.fromEntries(this.entries))
+      );
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error("❌ Failed to save published index:", error.message);
+    }
+  }
+
+  /**
+   * Get index statistics
+   * @returns {object}
+   */
+  getStats() {
+    const jobIds = new Set(
+      Array.from(this.entries.values(), (record) => record.jobId)
+    );
+    return {
+      keys: this.entries.size,
+      publishedPosts: jobIds.size,
+      retentionDays: Math.round(this.retention / (24 * 60 * 60 * 1000)),
+    };
+  }
+}
+
+module.exports = PublishedIndex;
@@ -0,0 +1,106 @@
+const config = require("../config");
+
+// Network-level error codes worth another attempt
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ESOCKETTIMEDOUT",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "EPIPE",
+]);
+
+// Patterns in gallery-dl output / error messages that indicate a transient failure
+const TRANSIENT_PATTERNS = [
+  /timeout/i,
+  /timed out/i,
+  /network/i,
+  /socket hang up/i,
+  /connection (?:reset|aborted|refused|error)/i,
+  /temporary failure/i,
+  /\b(?:429|5\d\d)\b.*(?:error|response|status)/i,
+  /too many requests/i,
+];
+
+/**
+ * Retry Policy - decides whether a failed job gets another attempt and when
+ * Exponential backoff with jitter, capped at RETRY_MAX_DELAY
+ */
+class RetryPolicy {
+  /**
+   * @param {object} options
+   * @param {number} options.maxAttempts
+   * @param {number} options.baseDelay - ms
+   * @param {number} options.maxDelay - ms
+   */
+  constructor({
+    maxAttempts = config.JOB_MAX_ATTEMPTS,
+    baseDelay = config.RETRY_BASE_DELAY,
+    maxDelay = config.RETRY_MAX_DELAY,
+  } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+  }
+
+  /**
+   * Classify failure as transient (retryable) or permanent
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    // Explicit decision made where the error was raised
+    if (typeof error.retryable === "boolean") {
+      return error.retryable;
+    }
+
+    // Client-side conflicts (e.g. duplicates) never succeed on retry
+    if (error.statusCode && error.statusCode < 500) {
+      return false;
+    }
+
+    // Telegram API: only rate limiting and server errors are transient
+    if (error.telegramCode) {
+      return error.telegramCode === 429 || error.telegramCode >= 500;
+    }
+
+    if (error.code && TRANSIENT_CODES.has(error.code)) {
+      return true;
+    }
+
+    const message = error.message || "";
+    return TRANSIENT_PATTERNS.some((pattern) => pattern.test(message));
+  }
+
+  /**
+   * Get delay before next attempt or null when job should fail for good
+   * @param {object} job - job with attempts/maxAttempts
+   * @param {Error} error
+   * @returns {number|null} ms
+   */
+  getRetryDelay(job, error) {
+    const attempts = job.attempts || 1;
+    const maxAttempts = job.maxAttempts || this.maxAttempts;
+
+    if (attempts >= maxAttempts || !this.isRetryable(error)) {
+      return null;
+    }
+
+    const exponential = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(2, attempts - 1)
+    );
+    // Equal jitter: keep at least half of the backoff, randomize the rest
+    const delay = Math.round(exponential / 2 + (Math.random() * exponential) / 2);
+
+    // Telegram tells exactly how long to wait when rate limited
+    if (error.retryAfter) {
+      return Math.max(delay, error.retryAfter * 1000);
+    }
+
+    return delay;
+  }
+}
+
+module.exports = RetryPolicy;
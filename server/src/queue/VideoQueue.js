@@ -1,13 +1,22 @@
 const { EventEmitter } = require("events");
+const { setTimeout: sleep } = require("timers/promises");
 const config = require("../config");
 const JobManager = require("./JobManager");
 const MemoryManager = require("./MemoryManager");
+const PublishedIndex = require("./PublishedIndex");
+const RetryPolicy = require("./RetryPolicy");
+const PublishThrottle = require("./PublishThrottle");
+const BatchManager = require("./BatchManager");
+const JobWatchdog = require("./JobWatchdog");
+const DurationStats = require("./DurationStats");
 const VideoProcessor = require("../processors/VideoProcessor");
 const TelegramService = require("../services/TelegramService");
+const { extractShortcode, getContentType } = require("../utils/validation");
+const { AppError, getErrorCode } = require("../utils/errors");
 
 /**
  * VideoQueue - Main coordinator for content processing pipeline with WebSocket support
- * Simplified approach using only gallery-dl for all content types
+ * Downloads through the downloader chain configured per content type (DOWNLOADERS)
  */
 class VideoQueue extends EventEmitter {
   constructor(webSocketService = null) {
@@ -19,9 +28,24 @@ class VideoQueue extends EventEmitter {
     this.videoProcessor = new VideoProcessor(this.memoryManager);
     this.telegramService = new TelegramService();
     this.webSocketService = webSocketService;
+    this.retryPolicy = new RetryPolicy();
+    this.publishThrottle = new PublishThrottle();
+    this.batchManager = new BatchManager();
+    this.durationStats = new DurationStats();
+    this.publishedIndex = config.DUPLICATE_CHECK_ENABLED
+      ? new PublishedIndex(config.DUPLICATE_INDEX_PATH, config.DUPLICATE_RETENTION)
+      : null;
 
     // Worker management
     this.activeWorkers = 0;
+    this.paused = null; // { pausedAt, reason, by } while workers must not pick up jobs
+    this.pausedPeriods = []; // { from, to } of recent pauses, excluded from queued job age
+    this.abortControllers = new Map(); // jobId -> AbortController of processing jobs
+    this.slotWaiters = 0; // downloaded jobs waiting for a publish slot without a worker
+
+    // Last position/ETA sent per queued job, to broadcast only real changes
+    this.lastEstimates = new Map();
+    this.estimatesUpdatePending = false;
 
     // Setup component event forwarding
     this.setupEventForwarding();
@@ -31,16 +55,32 @@ class VideoQueue extends EventEmitter {
       () => this.getQueueStats(),
       () => this.memoryManager.getStats()
     );
+    this.telegramService.setupControlCommands({
+      pause: (reason, by) => this.pause(reason, by),
+      resume: (by) => this.resume(by),
+    });
 
-    // Setup periodic stats broadcasting
+    // Setup periodic stats broadcasting and snapshots for new clients
     if (this.webSocketService) {
+      this.webSocketService.setStatsProviders(
+        () => this.getQueueStats(),
+        () => this.memoryManager.getStats()
+      );
       this.setupWebSocketBroadcasting();
     }
 
+    // Release scheduled jobs as their publish time approaches
+    this.setupScheduler();
+
+    // Resume jobs restored from the job store
+    if (this.jobManager.queue.size > 0) {
+      setImmediate(() => this.resumeQueue());
+    }
+
     console.log(
       `🚀 VideoQueue initialized with ${
         webSocketService ? "WebSocket" : "polling"
-      } support (gallery-dl processor)`
+      } support (downloaders: ${this.videoProcessor.describeChains()})`
     );
   }
 
@@ -48,10 +88,21 @@ class VideoQueue extends EventEmitter {
    * Add job to processing queue
    * @param {object} pageData
    * @param {object} userInfo
+   * @param {object} options
+   * @param {boolean} options.force - skip duplicate detection
+   * @param {Date} [options.publishAt] - scheduled publish time
    * @returns {string} jobId
+   * @throws {AppError} DUPLICATE_CONTENT when the post is a duplicate
    */
-  addJob(pageData, userInfo = {}) {
-    const jobId = this.jobManager.addJob(pageData, userInfo);
+  addJob(pageData, userInfo = {}, options = {}) {
+    if (!options.force) {
+      const duplicate = this.findDuplicate(pageData.pageUrl);
+      if (duplicate) {
+        throw this.createDuplicateError(duplicate);
+      }
+    }
+
+    const jobId = this.jobManager.addJob(pageData, userInfo, options);
 
     // Start processing if workers available
     setImmediate(() => this.processNext());
@@ -59,10 +110,356 @@ class VideoQueue extends EventEmitter {
     return jobId;
   }
 
+  /**
+   * Group jobs submitted together into a batch
+   * @param {object[]} results - per-item submission results
+   * @returns {object} batch summary
+   */
+  createBatch(results) {
+    return this.batchManager.createBatch(results);
+  }
+
+  /**
+   * Get batch summary
+   * @param {string} batchId
+   * @returns {object|null}
+   */
+  getBatch(batchId) {
+    return this.batchManager.getBatch(batchId);
+  }
+
+  /**
+   * Get identity of a post from its page URL
+   * @param {string} pageUrl
+   * @returns {{normalizedUrl: string, shortcode: string|null}}
+   */
+  getPostIdentity(pageUrl) {
+    return {
+      normalizedUrl: this.videoProcessor.normalizeInstagramUrl(pageUrl),
+      shortcode: extractShortcode(pageUrl),
+    };
+  }
+
+  /**
+   * Find queued/processing job or published post with the same identity
+   * @param {string} pageUrl
+   * @returns {object|null}
+   */
+  findDuplicate(pageUrl) {
+    if (!this.publishedIndex) return null;
+
+    const identity = this.getPostIdentity(pageUrl);
+
+    const activeJobs = [
+      ...this.jobManager.scheduled.values(),
+      ...this.jobManager.queue.values(),
+      ...this.jobManager.processing.values(),
+    ];
+
+    for (const job of activeJobs) {
+      const other = this.getPostIdentity(job.pageData.pageUrl);
+      if (
+        other.normalizedUrl === identity.normalizedUrl ||
+        (identity.shortcode && other.shortcode === identity.shortcode)
+      ) {
+        return {
+          jobId: job.id,
+          status: job.status,
+          pageUrl: job.pageData.pageUrl,
+        };
+      }
+    }
+
+    const record = this.publishedIndex.find(PublishedIndex.keysFor(identity));
+    return record ? { ...record, status: "published" } : null;
+  }
+
+  /**
+   * Create DUPLICATE_CONTENT error describing the existing job/message
+   * @param {object} duplicate
+   * @returns {AppError}
+   */
+  createDuplicateError(duplicate) {
+    const message =
+      duplicate.status === "published"
+        ? `Already published to Telegram (message ${duplicate.telegramMessageId})`
+        : `Already ${duplicate.status} as job ${duplicate.jobId}`;
+
+    return new AppError("DUPLICATE_CONTENT", `Duplicate content: ${message}`, {
+      duplicate,
+    });
+  }
+
+  /**
+   * Register successfully published post in the duplicate index
+   * @param {object} job
+   * @param {object} metadata
+   * @param {object} telegramResult
+   */
+  recordPublished(job, metadata, telegramResult) {
+    if (!this.publishedIndex) return;
+
+    const identity = this.getPostIdentity(job.pageData.pageUrl);
+    const keys = PublishedIndex.keysFor({
+      ...identity,
+      postId: metadata.post_id,
+    });
+    if (metadata.shortcode && metadata.shortcode !== identity.shortcode) {
+      keys.push(...PublishedIndex.keysFor({ shortcode: metadata.shortcode }));
+    }
+
+    this.publishedIndex.add(keys, {
+      jobId: job.id,
+      pageUrl: job.pageData.pageUrl,
+      shortcode: metadata.shortcode || identity.shortcode,
+      postId: metadata.post_id,
+      telegramMessageId: telegramResult.message_id,
+    });
+  }
+
+  /**
+   * Fill all free worker slots from the queue
+   */
+  resumeQueue() {
+    const freeWorkers = config.MAX_CONCURRENT_DOWNLOADS - this.activeWorkers;
+
+    console.log(
+      `🔁 Resuming ${this.jobManager.queue.size} restored job(s) with ${freeWorkers} worker(s)`
+    );
+
+    for (let i = 0; i < freeWorkers; i++) {
+      this.processNext();
+    }
+
+    // Wake up for restored jobs still waiting for their retry backoff
+    for (const job of this.jobManager.queue.values()) {
+      if (job.nextAttemptAt) {
+        this.scheduleRetry(job.nextAttemptAt - Date.now());
+      }
+    }
+  }
+
+  /**
+   * Stop workers from picking up new jobs; running jobs finish normally
+   * @param {string} [reason]
+   * @param {string} [by] - who paused (for stats/logs)
+   * @returns {boolean} false when already paused
+   */
+  pause(reason = null, by = null) {
+    if (this.paused) return false;
+
+    this.paused = { pausedAt: new Date(), reason, by };
+    console.log(
+      `⏸️ Queue paused${by ? ` by ${by}` : ""}${reason ? `: ${reason}` : ""}`
+    );
+
+    this.emit("queuePaused", this.paused);
+    this.scheduleEstimatesUpdate();
+    if (this.webSocketService) {
+      this.webSocketService.broadcastQueueStats(this.getQueueStats());
+    }
+
+    return true;
+  }
+
+  /**
+   * Let workers pick up jobs again and fill free slots right away
+   * @param {string} [by]
+   * @returns {boolean} false when not paused
+   */
+  resume(by = null) {
+    if (!this.paused) return false;
+
+    const pausedFor = Date.now() - this.paused.pausedAt.getTime();
+    this.pausedPeriods.push({
+      from: this.paused.pausedAt.getTime(),
+      to: Date.now(),
+    });
+    this.paused = null;
+    console.log(
+      `▶️ Queue resumed${by ? ` by ${by}` : ""} after ${Math.round(
+        pausedFor / 1000
+      )}s`
+    );
+
+    this.emit("queueResumed");
+    this.scheduleEstimatesUpdate();
+    if (this.webSocketService) {
+      this.webSocketService.broadcastQueueStats(this.getQueueStats());
+    }
+
+    const freeWorkers = config.MAX_CONCURRENT_DOWNLOADS - this.activeWorkers;
+    for (let i = 0; i < freeWorkers; i++) {
+      this.processNext();
+    }
+
+    return true;
+  }
+
+  /**
+   * Setup periodic release of scheduled jobs and expiry of stale queued jobs
+   */
+  setupScheduler() {
+    setInterval(() => {
+      this.releaseScheduledJobs();
+      this.expireQueuedJobs();
+    }, config.SCHEDULE_CHECK_INTERVAL);
+  }
+
+  /**
+   * Fail jobs waiting in the queue longer than QUEUE_MAX_AGE
+   * Nothing expires while the queue is paused, and paused time does not count
+   */
+  expireQueuedJobs() {
+    if (!config.QUEUE_MAX_AGE || this.paused) return;
+
+    // A pause that ended QUEUE_MAX_AGE ago cannot save any job from expiring
+    const horizon = Date.now() - config.QUEUE_MAX_AGE;
+    this.pausedPeriods = this.pausedPeriods.filter(({ to }) => to > horizon);
+
+    const expired = this.jobManager.expireQueuedJobs(
+      config.QUEUE_MAX_AGE,
+      this.pausedPeriods
+    );
+    if (expired.length > 0) {
+      console.warn(`⌛ Expired ${expired.length} stale queued job(s)`);
+    }
+  }
+
+  /**
+   * Move due scheduled jobs to the queue and start processing them
+   */
+  releaseScheduledJobs() {
+    const released = this.jobManager.releaseDueJobs(
+      config.SCHEDULE_PREFETCH_LEAD
+    );
+
+    for (let i = 0; i < released.length; i++) {
+      this.processNext();
+    }
+
+    if (released.length > 0) {
+      this.scheduleEstimatesUpdate();
+      if (this.webSocketService) {
+        this.webSocketService.broadcastQueueStats(this.getQueueStats());
+      }
+    }
+  }
+
+  /**
+   * Hold a downloaded scheduled job until its publish time
+   * @param {object} job
+   * @param {function} releaseWorker - frees the worker slot while waiting
+   * @param {AbortSignal} [signal]
+   */
+  async waitForPublishTime(job, releaseWorker, signal) {
+    if (!job.publishAt) return;
+
+    const publishAt = new Date(job.publishAt);
+    const delay = publishAt.getTime() - Date.now();
+    if (delay <= 0) return;
+
+    releaseWorker();
+    this.jobManager.markWaiting(
+      job.id,
+      `Waiting to publish at ${publishAt.toISOString()}`,
+      publishAt
+    );
+
+    await sleep(delay, undefined, { signal });
+  }
+
+  /**
+   * Hold a downloaded job until the channel cadence allows the next post
+   * Waiting jobs keep their media in memory: past PUBLISH_MAX_WAITING a job
+   * waits on its worker, so downloads slow down instead of piling up.
+   * @param {object} job
+   * @param {function} releaseWorker - frees the worker slot while waiting
+   * @param {AbortSignal} [signal]
+   */
+  async waitForPublishSlot(job, releaseWorker, signal) {
+    let released = false;
+
+    try {
+      await this.publishThrottle.acquire((nextSlotAt) => {
+        if (
+          !config.PUBLISH_MAX_WAITING ||
+          this.slotWaiters < config.PUBLISH_MAX_WAITING
+        ) {
+          released = true;
+          this.slotWaiters++;
+          releaseWorker();
+        }
+        this.jobManager.markWaiting(
+          job.id,
+          `Waiting for publish slot (~${nextSlotAt.toISOString()})`,
+          nextSlotAt
+        );
+      }, signal);
+    } finally {
+      if (released) this.slotWaiters--;
+    }
+
+    this.jobManager.markPublishing(job.id);
+  }
+
+  /**
+   * Change publish time of a scheduled job
+   * A job released early and already started is stopped and goes back
+   * to "scheduled"; it is downloaded again before the new time.
+   * @param {string} jobId
+   * @param {Date} publishAt
+   * @returns {object|null}
+   */
+  rescheduleJob(jobId, publishAt) {
+    const job = this.jobManager.rescheduleJob(jobId, publishAt);
+
+    const abortController = this.abortControllers.get(jobId);
+    if (job && abortController && !abortController.signal.aborted) {
+      console.log(`🗓️ Stopping early run of job ${jobId.substring(0, 8)}`);
+      abortController.abort(
+        new AppError("JOB_CANCELLED", "Job rescheduled", { rescheduled: true })
+      );
+    }
+
+    return job;
+  }
+
+  /**
+   * Change priority of a queued or scheduled job
+   * @param {string} jobId
+   * @param {string} priority
+   * @returns {object|null}
+   */
+  setJobPriority(jobId, priority) {
+    return this.jobManager.setJobPriority(jobId, priority);
+  }
+
+  /**
+   * Get scheduled jobs ordered by publish time
+   * @returns {object[]}
+   */
+  getScheduledJobs() {
+    return this.jobManager.getScheduledJobs();
+  }
+
+  /**
+   * Trigger queue processing once a retry backoff elapses
+   * @param {number} delay - ms
+   */
+  scheduleRetry(delay) {
+    setTimeout(() => this.processNext(), Math.max(0, delay));
+  }
+
   /**
    * Process next job in queue
    */
   async processNext() {
+    // Paused for maintenance: jobs stay queued until resume()
+    if (this.paused) {
+      return;
+    }
+
     // Check worker availability
     if (this.activeWorkers >= config.MAX_CONCURRENT_DOWNLOADS) {
       return;
@@ -76,6 +473,24 @@ class VideoQueue extends EventEmitter {
 
     this.activeWorkers++;
 
+    const abortController = new AbortController();
+    this.abortControllers.set(job.id, abortController);
+
+    // Enforce QUEUE_TIMEOUT on the whole pipeline
+    const watchdog = new JobWatchdog(job.id, abortController);
+    watchdog.start();
+
+    // Downloaded jobs waiting to publish give their worker slot back
+    let workerReleased = false;
+    const releaseWorker = () => {
+      if (workerReleased) return;
+      workerReleased = true;
+      this.activeWorkers--;
+
+      // Process next job with delay
+      setTimeout(() => this.processNext(), config.WORKER_SPAWN_DELAY);
+    };
+
     console.log(
       `🚀 Processing job ${job.id.substring(0, 8)} (worker ${
         this.activeWorkers
@@ -83,47 +498,125 @@ class VideoQueue extends EventEmitter {
     );
 
     try {
-      const result = await this.processJob(job);
+      // Settle on abort even if a stage ignores the signal
+      const result = await Promise.race([
+        this.processJob(job, releaseWorker, abortController.signal, watchdog),
+        this.whenAborted(abortController.signal),
+      ]);
       this.jobManager.completeJob(job.id, result);
     } catch (error) {
-      this.jobManager.failJob(job.id, error);
-    } finally {
-      this.activeWorkers--;
+      // Whatever was interrupted failed because of the cancellation/timeout
+      if (abortController.signal.aborted) {
+        // The pipeline may still be unwinding; release its memory now
+        this.videoProcessor.cleanup(job.id);
 
-      // Process next job with delay
-      setTimeout(() => this.processNext(), config.WORKER_SPAWN_DELAY);
+        const reason = abortController.signal.reason;
+        if (reason?.rescheduled) {
+          // Already back in "scheduled"
+          return;
+        }
+        if (reason?.code === "JOB_TIMEOUT") {
+          this.jobManager.failJob(job.id, reason);
+        } else {
+          this.jobManager.cancelJob(job.id);
+        }
+        return;
+      }
+
+      const retryDelay = this.retryPolicy.getRetryDelay(job, error);
+
+      if (retryDelay !== null) {
+        this.jobManager.retryJob(job.id, error, retryDelay);
+        this.scheduleRetry(retryDelay);
+      } else {
+        this.jobManager.failJob(job.id, error);
+      }
+    } finally {
+      watchdog.stop();
+      this.abortControllers.delete(job.id);
+      releaseWorker();
     }
   }
 
   /**
-   * Process individual job using gallery-dl
+   * Promise rejecting with the abort reason once the signal fires
+   * @param {AbortSignal} signal
+   * @returns {Promise<never>}
+   */
+  whenAborted(signal) {
+    return new Promise((_resolve, reject) => {
+      signal.addEventListener("abort", () => reject(signal.reason), {
+        once: true,
+      });
+    });
+  }
+
+  /**
+   * Process individual job: download, wait for its publish slot, upload
    * @param {object} job
+   * @param {function} releaseWorker - frees the worker slot while waiting to publish
+   * @param {AbortSignal} [signal] - set when the job is cancelled or times out
+   * @param {JobWatchdog} [watchdog] - suspended while waiting to publish
    * @returns {Promise<object>}
    */
-  async processJob(job) {
+  async processJob(job, releaseWorker = () => {}, signal, watchdog) {
     const { pageData } = job;
     const { pageUrl } = pageData;
+    const contentType = getContentType(pageUrl);
     const startTime = Date.now();
 
     let mediaBuffers = null;
     let processResult = null;
 
     try {
-      const progressCallback = (progress, message) => {
-        this.jobManager.updateJobProgress(job.id, progress, message);
+      const progressCallback = (progress, message, transfer) => {
+        this.jobManager.updateJobProgress(job.id, progress, message, transfer);
       };
 
-      // Process content with gallery-dl
+      // Download through the downloader chain of the content type
       processResult = await this.videoProcessor.processMedia(
         pageUrl,
         job.id,
-        progressCallback
+        progressCallback,
+        signal
       );
 
+      this.durationStats.record(
+        "download",
+        contentType,
+        Date.now() - startTime,
+        processResult.totalSize
+      );
+      this.jobManager.setMediaSize(job.id, processResult.totalSize);
+
       mediaBuffers = processResult.buffers;
       const metadata = processResult.metadata;
       const isMultiple = processResult.isMultiple;
 
+      // Metadata may reveal a duplicate the URL did not (e.g. story vs post link)
+      if (this.publishedIndex && !job.options?.force) {
+        const record = this.publishedIndex.find(
+          PublishedIndex.keysFor({
+            shortcode: metadata.shortcode,
+            postId: metadata.post_id,
+          })
+        );
+        if (record && record.jobId !== job.id) {
+          throw this.createDuplicateError({ ...record, status: "published" });
+        }
+      }
+
+      // Waiting to publish is not processing time
+      watchdog?.suspend();
+
+      // Scheduled jobs are downloaded ahead of time, send exactly at publishAt
+      await this.waitForPublishTime(job, releaseWorker, signal);
+
+      // Respect channel cadence; other downloads continue meanwhile
+      await this.waitForPublishSlot(job, releaseWorker, signal);
+
+      watchdog?.start();
+
       this.jobManager.updateJobProgress(
         job.id,
         80,
@@ -133,15 +626,26 @@ class VideoQueue extends EventEmitter {
       );
 
       // Send to Telegram with auto-detection of media type
+      const uploadStartedAt = Date.now();
       const telegramResult = await this.telegramService.sendMedia(
         mediaBuffers,
         metadata,
         pageUrl,
         job.id,
-        "auto", // Auto-detect media type from content
-        isMultiple
+        "auto", // Detect photo or video per file
+        processResult.items.map((item) => item.extension),
+        signal
+      );
+
+      this.durationStats.record(
+        "upload",
+        contentType,
+        Date.now() - uploadStartedAt,
+        processResult.totalSize
       );
 
+      this.recordPublished(job, metadata, telegramResult);
+
       this.jobManager.updateJobProgress(job.id, 100, "Completed successfully");
 
       const processingTime = Date.now() - startTime;
@@ -149,8 +653,8 @@ class VideoQueue extends EventEmitter {
       return {
         success: true,
         message: isMultiple
-          ? `${mediaBuffers.length} files processed successfully with gallery-dl`
-          : "Content processed successfully with gallery-dl",
+          ? `${mediaBuffers.length} files processed successfully with ${processResult.downloader}`
+          : `Content processed successfully with ${processResult.downloader}`,
         processingTime,
         metadata: {
           author: metadata.author || "Unknown",
@@ -166,9 +670,15 @@ class VideoQueue extends EventEmitter {
           tags: metadata.tags || [],
         },
         telegramMessageId: telegramResult.message_id,
-        photosCount: telegramResult.photos_count || 1,
-        processor: "gallery-dl",
-        memoryProcessing: true,
+        // A single file is sent as one photo, video or document message
+        photosCount:
+          telegramResult.photos_count ?? (telegramResult.photo ? 1 : 0),
+        videosCount:
+          telegramResult.videos_count ?? (telegramResult.video ? 1 : 0),
+        documentsCount:
+          telegramResult.documents_count ?? (telegramResult.document ? 1 : 0),
+        processor: processResult.downloader,
+        memoryProcessing: config.MEMORY_PROCESSING,
       };
     } finally {
       // Always cleanup memory
@@ -185,12 +695,223 @@ class VideoQueue extends EventEmitter {
   }
 
   /**
-   * Cancel job (only if in queue)
+   * Cancel job at any stage before it finishes
+   * Processing jobs are aborted (downloader killed, upload aborted) and
+   * reported as cancelled once their worker unwinds
    * @param {string} jobId
    * @returns {boolean}
    */
   cancelJob(jobId) {
-    return this.jobManager.cancelJob(jobId);
+    const abortController = this.abortControllers.get(jobId);
+    if (!abortController) {
+      return this.jobManager.cancelJob(jobId);
+    }
+
+    if (!abortController.signal.aborted) {
+      console.log(`🛑 Aborting processing job ${jobId.substring(0, 8)}`);
+      abortController.abort(new AppError("JOB_CANCELLED", "Job cancelled"));
+    }
+
+    return true;
+  }
+
+  /**
+   * Get dead-lettered jobs
+   * @param {string} [errorCode]
+   * @returns {object[]}
+   */
+  getFailedJobs(errorCode) {
+    return this.jobManager.getFailedJobs(errorCode);
+  }
+
+  /**
+   * Re-queue failed job with a fresh attempt budget
+   * @param {string} jobId
+   * @param {object} [options]
+   * @param {boolean} [options.force] - skip duplicate detection
+   * @returns {object|null} requeued job, null when the job is not failed
+   * @throws {AppError} DUPLICATE_CONTENT, QUEUE_FULL
+   */
+  retryFailedJob(jobId, options = {}) {
+    const job = this.jobManager.failed.get(jobId);
+    if (!job) return null;
+
+    // The post may have been resubmitted and published since it failed
+    if (!options.force) {
+      const duplicate = this.findDuplicate(job.pageData.pageUrl);
+      if (duplicate) {
+        throw this.createDuplicateError(duplicate);
+      }
+    }
+
+    const requeuedJob = this.jobManager.requeueFailedJob(jobId);
+
+    setImmediate(() => this.processNext());
+
+    return requeuedJob;
+  }
+
+  /**
+   * Re-queue all failed jobs, optionally only those with given error code
+   * @param {object} [options]
+   * @param {string} [options.errorCode]
+   * @param {boolean} [options.force]
+   * @returns {{retried: string[], skipped: object[]}}
+   */
+  retryFailedJobs({ errorCode, force = false } = {}) {
+    const retried = [];
+    const skipped = [];
+
+    // Oldest failures first so they keep their place in the queue
+    const jobs = this.jobManager.getFailedJobs(errorCode).reverse();
+
+    for (const job of jobs) {
+      try {
+        this.retryFailedJob(job.id, { force });
+        retried.push(job.id);
+      } catch (error) {
+        skipped.push({
+          jobId: job.id,
+          error: error.message,
+          code: getErrorCode(error),
+        });
+      }
+    }
+
+    console.log(
+      `♻️ Bulk retry${errorCode ? ` [${errorCode}]` : ""}: ${
+        retried.length
+      } re-queued, ${skipped.length} skipped`
+    );
+
+    return { retried, skipped };
+  }
+
+  /**
+   * Estimate queue position and start/finish time of every queued job
+   * Simulates workers taking jobs in getNextJob() order with per-stage
+   * durations from DurationStats; publish cadence waits are not included.
+   * Jobs downloaded before (in progress or retried) are estimated by size.
+   * @returns {Map<string, object>} jobId -> estimate
+   */
+  getQueueEstimates() {
+    const now = Date.now();
+    const estimates = new Map();
+
+    const estimateJob = (job) => {
+      const contentType = getContentType(job.pageData.pageUrl);
+      const bytes = job.mediaSize || 0;
+      return {
+        download: this.durationStats.estimate("download", contentType, bytes),
+        upload: this.durationStats.estimate("upload", contentType, bytes),
+      };
+    };
+
+    // Worker slots become free when the jobs holding them are expected to finish
+    const slots = Array.from(this.jobManager.processing.values())
+      .filter((job) => job.status === "processing")
+      .map((job) => {
+        const { download, upload } = estimateJob(job);
+        const elapsed = now - new Date(job.startedAt).getTime();
+        return now + Math.max(0, download + upload - elapsed);
+      })
+      .sort((a, b) => a - b)
+      .slice(0, config.MAX_CONCURRENT_DOWNLOADS);
+    while (slots.length < config.MAX_CONCURRENT_DOWNLOADS) {
+      slots.push(now);
+    }
+
+    const queued = Array.from(this.jobManager.queue.values()).sort((a, b) =>
+      this.jobManager.compareJobs(a, b)
+    );
+
+    queued.forEach((job, index) => {
+      const { download, upload } = estimateJob(job);
+
+      // Take the earliest free slot
+      slots.sort((a, b) => a - b);
+      const startAt = Math.max(
+        slots[0],
+        job.nextAttemptAt ? new Date(job.nextAttemptAt).getTime() : now
+      );
+      const completeAt = startAt + download + upload;
+      slots[0] = completeAt;
+
+      estimates.set(job.id, {
+        queuePosition: index + 1,
+        // Unknown while paused, the queue does not move
+        estimatedStartAt: this.paused ? null : new Date(startAt),
+        estimatedCompletionAt: this.paused ? null : new Date(completeAt),
+        estimatedWaitTime: this.paused
+          ? null
+          : Math.max(0, Math.round((startAt - now) / 1000)),
+      });
+    });
+
+    return estimates;
+  }
+
+  /**
+   * Get position/ETA of a queued job
+   * @param {string} jobId
+   * @returns {object|null} null when the job is not queued
+   */
+  getJobEstimate(jobId) {
+    return this.getQueueEstimates().get(jobId) || null;
+  }
+
+  /**
+   * Recompute estimates once the current burst of queue changes is over
+   */
+  scheduleEstimatesUpdate() {
+    if (this.estimatesUpdatePending) return;
+    this.estimatesUpdatePending = true;
+
+    setImmediate(() => {
+      this.estimatesUpdatePending = false;
+      this.broadcastEstimates();
+    });
+  }
+
+  /**
+   * Send position/ETA to subscribers of queued jobs whose estimate changed
+   */
+  broadcastEstimates() {
+    const estimates = this.getQueueEstimates();
+
+    for (const jobId of this.lastEstimates.keys()) {
+      if (!estimates.has(jobId)) {
+        this.lastEstimates.delete(jobId);
+      }
+    }
+
+    if (!this.webSocketService) return;
+
+    for (const [jobId, estimate] of estimates.entries()) {
+      const last = this.lastEstimates.get(jobId);
+      const startAt = estimate.estimatedStartAt?.getTime() ?? null;
+      const lastStartAt = last?.estimatedStartAt?.getTime() ?? null;
+
+      // ETA drift under 30s is not worth a message
+      if (
+        last &&
+        last.queuePosition === estimate.queuePosition &&
+        (startAt === null) === (lastStartAt === null) &&
+        Math.abs(startAt - lastStartAt) < 30 * 1000
+      ) {
+        continue;
+      }
+
+      this.lastEstimates.set(jobId, estimate);
+
+      const job = this.jobManager.queue.get(jobId);
+      this.webSocketService.broadcastJobProgress(
+        jobId,
+        job.progress,
+        `In queue (position ${estimate.queuePosition})`,
+        { status: job.status, priority: job.priority, ...estimate }
+      );
+    }
   }
 
   /**
@@ -215,6 +936,9 @@ class VideoQueue extends EventEmitter {
       ...jobStats,
       activeWorkers: this.activeWorkers,
       maxWorkers: config.MAX_CONCURRENT_DOWNLOADS,
+      paused: Boolean(this.paused),
+      pausedAt: this.paused?.pausedAt || null,
+      pauseReason: this.paused?.reason || null,
 
       // Memory statistics
       memoryUsage: memoryStats.current,
@@ -228,9 +952,18 @@ class VideoQueue extends EventEmitter {
       // Configuration
       memoryProcessing: config.MEMORY_PROCESSING,
       autoCleanup: config.AUTO_MEMORY_CLEANUP,
-      processor: "gallery-dl",
+      processor: config.DOWNLOADER_CHAINS.default.join(", "),
+      downloaders: config.DOWNLOADER_CHAINS,
     };
 
+    stats.publishing = this.publishThrottle.getStats();
+    stats.batches = this.batchManager.getStats();
+    stats.durations = this.durationStats.getStats();
+
+    if (this.publishedIndex) {
+      stats.duplicateIndex = this.publishedIndex.getStats();
+    }
+
     // Add WebSocket statistics if available
     if (this.webSocketService) {
       stats.webSocket = this.webSocketService.getStats();
@@ -256,6 +989,21 @@ class VideoQueue extends EventEmitter {
    * Setup event forwarding from components
    */
   setupEventForwarding() {
+    // Any change of queue order or worker load moves queued jobs' ETAs
+    [
+      "jobAdded",
+      "jobStarted",
+      "jobRescheduled",
+      "jobRetrying",
+      "jobRequeued",
+      "jobReprioritized",
+      "jobCompleted",
+      "jobFailed",
+      "jobCancelled",
+    ].forEach((event) => {
+      this.jobManager.on(event, () => this.scheduleEstimatesUpdate());
+    });
+
     // Forward job events
     this.jobManager.on("jobAdded", (job) => {
       this.emit("jobAdded", job);
@@ -265,18 +1013,69 @@ class VideoQueue extends EventEmitter {
       }
     });
 
-    this.jobManager.on("jobStarted", (job) => this.emit("jobStarted", job));
+    this.jobManager.on("jobStarted", (job) => {
+      this.emit("jobStarted", job);
+      this.batchManager.updateJob(job.id, { status: job.status, progress: 0 });
+    });
+
+    this.jobManager.on("jobRescheduled", (job) => {
+      this.emit("jobRescheduled", job);
+      this.batchManager.updateJob(job.id, { status: job.status });
+      if (this.webSocketService) {
+        this.webSocketService.broadcastJobProgress(
+          job.id,
+          job.progress,
+          `Scheduled for ${job.publishAt.toISOString()}`,
+          { status: job.status, publishAt: job.publishAt }
+        );
+      }
+    });
+
+    this.jobManager.on("jobReprioritized", (job) => {
+      this.emit("jobReprioritized", job);
+      if (this.webSocketService) {
+        this.webSocketService.broadcastJobProgress(
+          job.id,
+          job.progress,
+          job.progressMessage,
+          { status: job.status, priority: job.priority }
+        );
+        this.webSocketService.broadcastQueueStats(this.getQueueStats());
+      }
+    });
 
-    this.jobManager.on("jobProgress", (jobId, progress, message) => {
+    this.jobManager.on("jobProgress", (jobId, progress, message, details) => {
       this.emit("jobProgress", jobId, progress, message);
+      this.batchManager.updateJob(jobId, { status: details.status, progress });
       // Real-time progress via WebSocket
       if (this.webSocketService) {
-        this.webSocketService.broadcastJobProgress(jobId, progress, message);
+        this.webSocketService.broadcastJobProgress(
+          jobId,
+          progress,
+          message,
+          details
+        );
+      }
+    });
+
+    this.jobManager.on("jobRetrying", (job, error) => {
+      this.emit("jobRetrying", job, error);
+      this.batchManager.updateJob(job.id, { status: job.status, progress: 0 });
+      // Clients see the job go back to waiting with retry details
+      if (this.webSocketService) {
+        this.webSocketService.broadcastJobProgress(
+          job.id,
+          job.progress,
+          job.progressMessage,
+          { status: job.status, ...this.jobManager.getRetryState(job) }
+        );
+        this.webSocketService.broadcastQueueStats(this.getQueueStats());
       }
     });
 
     this.jobManager.on("jobCompleted", (jobId, result) => {
       this.emit("jobCompleted", jobId, result);
+      this.batchManager.updateJob(jobId, { status: "completed" });
       // Real-time completion via WebSocket
       if (this.webSocketService) {
         this.webSocketService.broadcastJobFinished(jobId, "completed", result);
@@ -286,20 +1085,36 @@ class VideoQueue extends EventEmitter {
 
     this.jobManager.on("jobFailed", (jobId, error) => {
       this.emit("jobFailed", jobId, error);
+      this.batchManager.updateJob(jobId, { status: "failed" });
       // Real-time failure via WebSocket
       if (this.webSocketService) {
         this.webSocketService.broadcastJobFinished(
           jobId,
           "failed",
           null,
-          error.message
+          error.message,
+          getErrorCode(error)
         );
         this.webSocketService.broadcastQueueStats(this.getQueueStats());
       }
     });
 
-    this.jobManager.on("jobCancelled", (jobId) => {
-      this.emit("jobCancelled", jobId);
+    this.jobManager.on("jobRequeued", (job) => {
+      this.emit("jobRequeued", job);
+      if (this.webSocketService) {
+        this.webSocketService.broadcastJobProgress(
+          job.id,
+          job.progress,
+          job.progressMessage,
+          { status: job.status, manualRetries: job.manualRetries }
+        );
+        this.webSocketService.broadcastQueueStats(this.getQueueStats());
+      }
+    });
+
+    this.jobManager.on("jobCancelled", (jobId, job) => {
+      this.emit("jobCancelled", jobId, job);
+      this.batchManager.updateJob(jobId, { status: "cancelled" });
       // Real-time cancellation via WebSocket
       if (this.webSocketService) {
         this.webSocketService.broadcastJobFinished(jobId, "cancelled");
@@ -307,6 +1122,20 @@ class VideoQueue extends EventEmitter {
       }
     });
 
+    // Forward batch events
+    this.batchManager.on("batchProgress", (batch) => {
+      if (this.webSocketService) {
+        this.webSocketService.broadcastBatchProgress(batch);
+      }
+    });
+
+    this.batchManager.on("batchFinished", (batch) => {
+      this.emit("batchFinished", batch);
+      if (this.webSocketService) {
+        this.webSocketService.broadcastBatchFinished(batch);
+      }
+    });
+
     // Forward memory events
     this.memoryManager.on("memoryAllocated", (jobId, bytes, total) => {
       this.emit("memoryAllocated", jobId, bytes, total);
@@ -9,9 +9,14 @@ const config = require("./config");
 
 // Services
 const WebSocketService = require("./services/WebSocketService");
+const AuthService = require("./services/AuthService");
+const WebhookService = require("./services/WebhookService");
+const EventStreamService = require("./services/EventStreamService");
 
 // Middleware
 const { requestLogger, errorLogger } = require("./middleware/logging");
+const { createAuthMiddleware } = require("./middleware/auth");
+const { createRateLimiters } = require("./middleware/rateLimiting");
 
 // Core components
 const VideoQueue = require("./queue/VideoQueue");
@@ -19,15 +24,19 @@ const VideoQueue = require("./queue/VideoQueue");
 // Controllers
 const VideoController = require("./controllers/VideoController");
 const StatsController = require("./controllers/StatsController");
+const AuthController = require("./controllers/AuthController");
+const WebhookController = require("./controllers/WebhookController");
+const SocketController = require("./controllers/SocketController");
 
 // Validation utilities
 const { validatePageData } = require("./utils/validation");
+const { getErrorCode } = require("./utils/errors");
 
 const execAsync = promisify(exec);
 
 /**
  * Main Server Class with WebSocket support
- * Simplified gallery-dl only approach
+ * Downloads through the configured DOWNLOADERS chains
  */
 class Server {
   constructor() {
@@ -35,12 +44,19 @@ class Server {
     this.httpServer = createServer(this.app);
 
     // Services
+    this.authService = new AuthService();
+    this.rateLimiters = createRateLimiters();
     this.webSocketService = null;
+    this.eventStreamService = null;
     this.videoQueue = null;
+    this.missingDownloaders = [];
+    this.webhookService = null;
 
     // Controllers
+    this.authController = new AuthController(this.authService);
     this.videoController = null;
     this.statsController = null;
+    this.webhookController = null;
 
     this.setupExpress();
   }
@@ -54,9 +70,18 @@ class Server {
       cors({
         origin: ["https://www.instagram.com", "chrome-extension://*"],
         credentials: true,
+        exposedHeaders: [
+          "X-RateLimit-Limit",
+          "X-RateLimit-Remaining",
+          "X-RateLimit-Reset",
+          "Retry-After",
+        ],
       })
     );
 
+    // General rate limit for all endpoints
+    this.app.use(this.rateLimiters.general.middleware());
+
     // Body parsing
     this.app.use(express.json({ limit: "10mb" }));
 
@@ -70,28 +95,65 @@ class Server {
    * Setup API routes
    */
   setupRoutes() {
-    // Health endpoints (no auth required)
+    // Health endpoint (no auth required)
     this.app.get("/health", (req, res) =>
       this.statsController.getHealth(req, res)
     );
+
+    // API rate limit (applied before auth, per IP, to throttle credential guessing)
+    this.app.use("/api", this.rateLimiters.api.middleware());
+
+    // Authentication endpoints (API key exchange / token refresh)
+    this.app.post("/api/auth/token", (req, res) =>
+      this.authController.issueToken(req, res)
+    );
+    this.app.post("/api/auth/refresh", (req, res) =>
+      this.authController.refreshToken(req, res)
+    );
+
+    // Server-Sent Events (EventSource cannot set headers, so ?access_token= is accepted)
+    this.app.get(
+      "/api/events",
+      createAuthMiddleware(this.authService, { allowQueryToken: true }),
+      (req, res) => this.eventStreamService.handleRequest(req, res)
+    );
+
+    // Everything else under /api requires JWT or X-API-Key
+    this.app.use("/api", createAuthMiddleware(this.authService));
+
     this.app.get("/api/health", (req, res) =>
       this.statsController.getApiHealth(req, res)
     );
 
     // Content processing endpoints
-    this.app.post("/api/download-video", (req, res) => {
-      // Validate request body
-      try {
-        validatePageData(req.body);
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          error: error.message,
-        });
+    this.app.post(
+      "/api/download-video",
+      this.rateLimiters.download.middleware(),
+      (req, res) => {
+        // Validate request body
+        try {
+          validatePageData(req.body);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            code: getErrorCode(error),
+          });
+        }
+
+        this.videoController.downloadMedia(req, res);
       }
+    );
 
-      this.videoController.downloadMedia(req, res);
-    });
+    // Batch submission (one download rate limit hit per batch)
+    this.app.post(
+      "/api/jobs/batch",
+      this.rateLimiters.download.middleware(),
+      (req, res) => this.videoController.submitBatch(req, res)
+    );
+    this.app.get("/api/jobs/batch/:batchId", (req, res) =>
+      this.videoController.getBatch(req, res)
+    );
 
     this.app.get("/api/job/:jobId", (req, res) =>
       this.videoController.getJobStatus(req, res)
@@ -100,6 +162,52 @@ class Server {
       this.videoController.cancelJob(req, res)
     );
 
+    // Dead-letter queue
+    this.app.get("/api/jobs/failed", (req, res) =>
+      this.videoController.getFailedJobs(req, res)
+    );
+    this.app.post("/api/jobs/failed/retry", (req, res) =>
+      this.videoController.retryFailedJobs(req, res)
+    );
+    this.app.post("/api/job/:jobId/retry", (req, res) =>
+      this.videoController.retryJob(req, res)
+    );
+
+    // Scheduled publishing
+    this.app.get("/api/jobs/scheduled", (req, res) =>
+      this.videoController.getScheduledJobs(req, res)
+    );
+    this.app.patch("/api/job/:jobId/schedule", (req, res) =>
+      this.videoController.rescheduleJob(req, res)
+    );
+
+    // Priorities
+    this.app.patch("/api/job/:jobId/priority", (req, res) =>
+      this.videoController.setJobPriority(req, res)
+    );
+
+    // Queue control
+    this.app.post("/api/queue/pause", (req, res) =>
+      this.videoController.pauseQueue(req, res)
+    );
+    this.app.post("/api/queue/resume", (req, res) =>
+      this.videoController.resumeQueue(req, res)
+    );
+
+    // Outbound webhooks
+    this.app.get("/api/webhooks", (req, res) =>
+      this.webhookController.listWebhooks(req, res)
+    );
+    this.app.post("/api/webhooks", (req, res) =>
+      this.webhookController.createWebhook(req, res)
+    );
+    this.app.get("/api/webhooks/deliveries", (req, res) =>
+      this.webhookController.getDeliveries(req, res)
+    );
+    this.app.delete("/api/webhooks/:webhookId", (req, res) =>
+      this.webhookController.deleteWebhook(req, res)
+    );
+
     // Statistics endpoints
     this.app.get("/api/queue/stats", (req, res) =>
       this.statsController.getQueueStats(req, res)
@@ -114,7 +222,21 @@ class Server {
     // WebSocket statistics
     this.app.get("/api/websocket/stats", (req, res) => {
       const stats = this.webSocketService.getStats();
-      res.json({ success: true, ...stats });
+      res.json({
+        success: true,
+        ...stats,
+        eventStream: this.eventStreamService.getStats(),
+      });
+    });
+
+    // Rate limit statistics
+    this.app.get("/api/rate-limit/stats", (req, res) => {
+      res.json({
+        success: true,
+        general: this.rateLimiters.general.getStats(),
+        api: this.rateLimiters.api.getStats(),
+        download: this.rateLimiters.download.getStats(),
+      });
     });
 
     // Error handling middleware
@@ -128,19 +250,40 @@ class Server {
    */
   async initializeComponents() {
     // Initialize WebSocket service
-    this.webSocketService = new WebSocketService(this.httpServer);
+    this.webSocketService = new WebSocketService(
+      this.httpServer,
+      this.authService
+    );
+
+    // Relay WebSocket broadcasts over SSE
+    this.eventStreamService = new EventStreamService(this.webSocketService);
 
     // Initialize video queue with WebSocket support
     this.videoQueue = new VideoQueue(this.webSocketService);
+    this.videoQueue.videoProcessor.setUnavailable(this.missingDownloaders);
+
+    // Notify webhook subscribers about job lifecycle events
+    this.webhookService = new WebhookService();
+    this.webhookService.attach(this.videoQueue);
 
     // Initialize controllers
     this.videoController = new VideoController(this.videoQueue);
     this.statsController = new StatsController(this.videoQueue);
+    this.webhookController = new WebhookController(this.webhookService);
+    this.webSocketService.setCommandController(
+      new SocketController(
+        this.videoQueue,
+        this.webSocketService,
+        this.rateLimiters.download
+      )
+    );
 
     // Setup event listeners
     this.setupEventListeners();
 
-    console.log("🧩 Core components initialized with gallery-dl processor");
+    console.log(
+      `🧩 Core components initialized (downloaders: ${this.videoQueue.videoProcessor.describeChains()})`
+    );
   }
 
   /**
@@ -201,12 +344,25 @@ class Server {
    * Validate dependencies
    */
   async validateDependencies() {
-    try {
-      await execAsync("gallery-dl --version");
-      console.log("✅ gallery-dl found");
-    } catch (error) {
+    // Missing downloaders are skipped in the chains; at least one is required
+    const configured = [
+      ...new Set(Object.values(config.DOWNLOADER_CHAINS).flat()),
+    ];
+    this.missingDownloaders = [];
+
+    for (const name of configured) {
+      try {
+        const { stdout } = await execAsync(`${name} --version`);
+        console.log(`✅ ${name} found (${stdout.trim()})`);
+      } catch (error) {
+        console.warn(`⚠️ ${name} not found, skipped in the downloader chain`);
+        this.missingDownloaders.push(name);
+      }
+    }
+
+    if (this.missingDownloaders.length === configured.length) {
       throw new Error(
-        "gallery-dl not found. Please install: pip install gallery-dl"
+        `No downloader found (${configured.join(", ")}). Please install: pip install ${configured.join(" ")}`
       );
     }
 
@@ -240,7 +396,7 @@ class Server {
       // Start HTTP + WebSocket server
       this.httpServer.listen(config.PORT, () => {
         console.log(
-          `🚀 Server running on port ${config.PORT} with gallery-dl processor`
+          `🚀 Server running on port ${config.PORT} with downloaders ${this.videoQueue.videoProcessor.describeChains()}`
         );
         console.log(`📺 Telegram channel: ${config.CHANNEL_ID}`);
         console.log(
@@ -251,16 +407,27 @@ class Server {
             config.MAX_MEMORY_PER_VIDEO
           )} per item, ${this.formatMemory(config.MAX_TOTAL_MEMORY)} total`
         );
-        console.log(`🔌 WebSocket: Real-time updates enabled at /ws`);
-        console.log(`📦 Processor: gallery-dl with JSON metadata extraction`);
-        console.log(`🚀 Zero disk usage mode enabled!`);
+        console.log(
+          `🔌 WebSocket: Real-time updates enabled at ${config.WEBSOCKET_PATH}`
+        );
+        console.log(`🔐 Auth: JWT (${config.JWT_EXPIRY}) or X-API-Key on /api/*`);
+        console.log(
+          `📦 Processor: ${this.videoQueue.videoProcessor.describeChains()} with JSON metadata extraction`
+        );
+        console.log(
+          config.MEMORY_PROCESSING
+            ? `🚀 Zero disk usage mode enabled!`
+            : `💾 Temp-file mode: downloads go through ${config.TEMP_DIR}`
+        );
         console.log(
           `🔧 Debug memory: ${config.DEBUG_MEMORY ? "enabled" : "disabled"}`
         );
         console.log("");
         console.log("📖 API Documentation:");
         console.log(`   Health: http://localhost:${config.PORT}/health`);
-        console.log(`   WebSocket: ws://localhost:${config.PORT}/ws`);
+        console.log(
+          `   WebSocket: ws://localhost:${config.PORT}${config.WEBSOCKET_PATH}`
+        );
         console.log(
           `   Queue Stats: http://localhost:${config.PORT}/api/queue/stats`
         );
@@ -277,9 +444,9 @@ class Server {
     } catch (error) {
       console.error("❌ Failed to start server:", error.message);
 
-      if (error.message.includes("gallery-dl")) {
-        console.log("\n💡 Install gallery-dl:");
-        console.log("   pip install gallery-dl");
+      if (error.message.includes("No downloader found")) {
+        console.log("\n💡 Install gallery-dl (and optionally yt-dlp as fallback):");
+        console.log("   pip install gallery-dl yt-dlp");
         console.log("   # or");
         console.log("   pip install -U gallery-dl  # to update");
         console.log("");
@@ -313,10 +480,14 @@ class Server {
       );
     }
 
-    console.log(`📦 Content processor: gallery-dl (unified approach)`);
     console.log(
-      `📊 Metadata extraction: JSON from gallery-dl --write-info-json`
+      `📦 Downloaders: ${this.videoQueue.videoProcessor.describeChains()}${
+        this.missingDownloaders.length > 0
+          ? ` (not installed: ${this.missingDownloaders.join(", ")})`
+          : ""
+      }`
     );
+    console.log(`📊 Metadata extraction: per-file JSON from the downloader`);
     console.log(`🎯 Supported content: Reels, Posts, Stories (all types)`);
   }
 
@@ -339,6 +510,9 @@ class Server {
           await this.videoQueue.shutdown();
         }
 
+        this.webhookService?.shutdown();
+        this.eventStreamService?.shutdown();
+
         console.log("✅ Graceful shutdown completed");
         process.exit(0);
       } catch (error) {
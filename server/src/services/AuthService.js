@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+
+/**
+ * Auth Service - JWT token management with API key fallback
+ */
+class AuthService {
+  constructor() {
+    this.issuer = "reels-to-telegram";
+
+    console.log(`🔐 AuthService initialized (token expiry: ${config.JWT_EXPIRY})`);
+  }
+
+  /**
+   * Compare provided API key with configured one in constant time
+   * @param {string} apiKey
+   * @returns {boolean}
+   */
+  validateApiKey(apiKey) {
+    if (!apiKey || typeof apiKey !== "string") return false;
+
+    const expected = Buffer.from(config.API_KEY);
+    const provided = Buffer.from(apiKey);
+
+    if (provided.length !== expected.length) return false;
+
+    return crypto.timingSafeEqual(provided, expected);
+  }
+
+  /**
+   * Short fingerprint naming an API key without revealing it
+   * @param {string} apiKey
+   * @returns {string}
+   */
+  getKeyId(apiKey) {
+    return crypto
+      .createHash("sha256")
+      .update(apiKey)
+      .digest("hex")
+      .substring(0, 12);
+  }
+
+  /**
+   * Issue a signed JWT
+   * @param {object} payload
+   * @returns {{token: string, expiresIn: string, type: string}}
+   */
+  generateToken(payload = {}) {
+    const token = jwt.sign({ ...payload, scope: "api" }, config.JWT_SECRET, {
+      expiresIn: config.JWT_EXPIRY,
+      issuer: this.issuer,
+    });
+
+    return {
+      token,
+      expiresIn: config.JWT_EXPIRY,
+      type: "Bearer",
+    };
+  }
+
+  /**
+   * Verify JWT and return its payload
+   * @param {string} token
+   * @returns {object}
+   * @throws {Error}
+   */
+  verifyToken(token) {
+    try {
+      return jwt.verify(token, config.JWT_SECRET, { issuer: this.issuer });
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        throw new Error("Token has expired");
+      }
+      throw new Error("Invalid authentication token");
+    }
+  }
+
+  /**
+   * Issue a fresh token for a still valid one
+   * @param {string} token
+   * @returns {{token: string, expiresIn: string, type: string}}
+   */
+  refreshToken(token) {
+    const payload = { ...this.verifyToken(token) };
+
+    // Registered claims are re-issued by jwt.sign
+    delete payload.iat;
+    delete payload.exp;
+    delete payload.iss;
+
+    return this.generateToken(payload);
+  }
+
+  /**
+   * Resolve credentials from a Bearer token or an API key
+   * keyId names the API key behind the request; tokens carry it as their subject
+   * @param {{token?: string, apiKey?: string}} credentials
+   * @returns {{method: string, keyId?: string, payload?: object}}
+   * @throws {Error}
+   */
+  authenticate({ token, apiKey } = {}) {
+    if (token) {
+      const payload = this.verifyToken(token);
+      return { method: "jwt", keyId: payload.sub, payload };
+    }
+
+    if (apiKey) {
+      if (!this.validateApiKey(apiKey)) {
+        throw new Error("Invalid API key");
+      }
+      return { method: "api-key", keyId: this.getKeyId(apiKey) };
+    }
+
+    throw new Error("Authentication token required");
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,186 @@
+const config = require("../config");
+const { AppError } = require("../utils/errors");
+
+// WebSocketService broadcasts relayed over SSE
+const STREAM_EVENTS = [
+  "job:progress",
+  "job:finished",
+  "queue:stats",
+  "memory:stats",
+];
+
+/**
+ * Event Stream Service - Server-Sent Events alternative to Socket.IO
+ * Relays WebSocketService broadcasts unchanged to GET /api/events clients.
+ * SSE ids are the WebSocketService eventIds, so a reconnecting client resumes
+ * from Last-Event-ID out of the same replay buffer. Event IDs restart with the process.
+ */
+class EventStreamService {
+  /**
+   * @param {WebSocketService} webSocketService
+   */
+  constructor(webSocketService) {
+    this.webSocketService = webSocketService;
+    this.clients = new Set(); // { res, jobIds, events, connectedAt }
+
+    webSocketService.on("broadcast", (event, payload) => {
+      if (STREAM_EVENTS.includes(event)) {
+        this.publish(event, payload);
+      }
+    });
+
+    // Comment lines keep proxies from closing idle streams
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach((client) => client.res.write(": ping\n\n"));
+    }, config.SSE_HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+
+    console.log("📡 Event stream (SSE) initialized");
+  }
+
+  /**
+   * GET /api/events
+   * Query: jobId (comma-separated), events (comma-separated), lastEventId
+   * (fallback for the Last-Event-ID header)
+   */
+  handleRequest(req, res) {
+    let filter;
+    try {
+      filter = this.parseFilter(req.query);
+    } catch (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+      });
+    }
+
+    const lastEventId = parseInt(
+      req.get("Last-Event-ID") || req.query.lastEventId,
+      10
+    );
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // disable nginx response buffering
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.SSE_RETRY_DELAY}\n\n`);
+
+    const client = { res, ...filter, connectedAt: new Date() };
+
+    if (Number.isInteger(lastEventId)) {
+      this.webSocketService
+        .getEventsSince(lastEventId)
+        .forEach(({ event, payload }) => {
+          if (this.matches(client, event, payload)) {
+            this.write(res, event, payload);
+          }
+        });
+    }
+
+    this.clients.add(client);
+    console.log(
+      `📡 SSE client connected (${this.clients.size} total${
+        client.jobIds ? `, jobs: ${client.jobIds.size}` : ""
+      })`
+    );
+
+    req.on("close", () => {
+      this.clients.delete(client);
+      console.log(`📡 SSE client disconnected (${this.clients.size} total)`);
+    });
+  }
+
+  /**
+   * Parse stream filters from query
+   * @param {object} query
+   * @returns {{ jobIds: Set<string>|null, events: Set<string> }}
+   * @throws {AppError} INVALID_REQUEST for unknown event names
+   */
+  parseFilter(query) {
+    const list = (value) =>
+      []
+        .concat(value || [])
+        .join(",")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    const jobIds = list(query.jobId);
+    const events = list(query.events);
+
+    const unknown = events.filter((event) => !STREAM_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `Unknown event(s) ${unknown.join(", ")}; available: ${STREAM_EVENTS.join(
+          ", "
+        )}`
+      );
+    }
+
+    return {
+      jobIds: jobIds.length > 0 ? new Set(jobIds) : null,
+      events: new Set(events.length > 0 ? events : STREAM_EVENTS),
+    };
+  }
+
+  /**
+   * Send event to matching clients
+   * @param {string} event
+   * @param {object} payload - broadcast payload including eventId
+   */
+  publish(event, payload) {
+    this.clients.forEach((client) => {
+      if (this.matches(client, event, payload)) {
+        this.write(client.res, event, payload);
+      }
+    });
+  }
+
+  /**
+   * Check whether event passes client filters
+   * Job filter applies to job events only; stats events are not job specific.
+   */
+  matches(client, event, payload) {
+    if (!client.events.has(event)) return false;
+    if (client.jobIds && payload.jobId) {
+      return client.jobIds.has(payload.jobId);
+    }
+    return true;
+  }
+
+  /**
+   * Write event in SSE wire format
+   */
+  write(res, event, payload) {
+    res.write(
+      `id: ${payload.eventId}\nevent: ${event}\ndata: ${JSON.stringify(
+        payload
+      )}\n\n`
+    );
+  }
+
+  /**
+   * Get stream statistics
+   */
+  getStats() {
+    return {
+      clients: this.clients.size,
+    };
+  }
+
+  /**
+   * Close all streams
+   */
+  shutdown() {
+    clearInterval(this.heartbeatTimer);
+    this.clients.forEach((client) => client.res.end());
+    this.clients.clear();
+  }
+}
+
+module.exports = EventStreamService;
@@ -1,9 +1,18 @@
 const { Telegraf } = require("telegraf");
 const config = require("../config");
+const { classifyTelegramError } = require("../utils/errors");
+const { detectMediaType } = require("../utils/media");
+
+// Telegram method and its media field per media type
+const SEND_METHODS = {
+  photo: "sendPhoto",
+  video: "sendVideo",
+  document: "sendDocument",
+};
 
 /**
  * Telegram Service - handles all Telegram bot operations
- * Supports media groups for multiple photos
+ * Supports media groups mixing photos and videos
  */
 class TelegramService {
   constructor() {
@@ -17,82 +26,151 @@ class TelegramService {
    * @param {object} metadata
    * @param {string} pageUrl
    * @param {string} jobId
-   * @param {string} mediaType
-   * @param {boolean} isMultiple
+   * @param {string} mediaType - "photo" | "video" | "document" for every file, "auto" detects per file
+   * @param {string[]} [extensions] - file extensions reported by the downloader, per buffer
+   * @param {AbortSignal} [signal] - aborts the upload when the job is cancelled
    * @returns {Promise<object>}
    */
-  async sendMedia(mediaBuffers, metadata, pageUrl, jobId, mediaType = "auto") {
+  async sendMedia(
+    mediaBuffers,
+    metadata,
+    pageUrl,
+    jobId,
+    mediaType = "auto",
+    extensions = [],
+    signal
+  ) {
     if (!mediaBuffers) {
       throw new Error("Media buffers are required");
     }
 
     const buffers = Array.isArray(mediaBuffers) ? mediaBuffers : [mediaBuffers];
 
-    // Фильтруем валидные буферы
-    const validBuffers = buffers.filter(
-      (buffer) => buffer && Buffer.isBuffer(buffer) && buffer.length > 0
-    );
-
-    if (validBuffers.length === 0) {
+    // Фильтруем валидные буферы, сохраняя их расширения
+    const media = buffers
+      .map((buffer, index) => ({ buffer, extension: extensions[index] }))
+      .filter(
+        ({ buffer }) => buffer && Buffer.isBuffer(buffer) && buffer.length > 0
+      )
+      .map(({ buffer, extension }) => {
+        const detected = detectMediaType(buffer, extension);
+        return {
+          buffer,
+          type: mediaType === "auto" ? detected.type : mediaType,
+          extension: detected.extension,
+        };
+      });
+
+    if (media.length === 0) {
       throw new Error("No valid media buffers found");
     }
 
-    if (validBuffers.length === 1) {
+    if (media.length === 1) {
       // Одиночное медиа
-      if (mediaType === "photo" || this.isImageContent(validBuffers[0])) {
-        return this.sendPhoto(validBuffers[0], metadata, pageUrl, jobId);
-      } else {
-        return this.sendVideo(validBuffers[0], metadata, pageUrl, jobId);
-      }
+      const [{ buffer, type, extension }] = media;
+      const args = [buffer, metadata, pageUrl, jobId, signal, extension];
+
+      if (type === "photo") return this.sendPhoto(...args);
+      if (type === "document") return this.sendDocument(...args);
+      return this.sendVideo(...args);
     } else {
-      // Множественные фото - отправляем как медиа-группу
-      return this.sendMediaGroup(validBuffers, metadata, pageUrl, jobId);
+      // Карусель - отправляем как медиа-группу
+      return this.sendMediaGroup(media, metadata, pageUrl, jobId, signal);
     }
   }
 
   /**
-   * Send multiple photos as media group to Telegram channel
-   * @param {Buffer[]} photoBuffers
+   * Send carousel as media group to Telegram channel
+   * Telegram groups documents only with other documents, so HEIC files
+   * follow the photos and videos as an album of their own.
+   * @param {{buffer: Buffer, type: "photo"|"video"|"document", extension: string}[]} media
    * @param {object} metadata
    * @param {string} pageUrl
    * @param {string} jobId
+   * @param {AbortSignal} [signal]
    * @returns {Promise<object>}
    */
-  async sendMediaGroup(photoBuffers, metadata, pageUrl, jobId) {
+  async sendMediaGroup(media, metadata, pageUrl, jobId, signal) {
     const caption = this.createCaption(metadata, pageUrl);
-
+    const count = (type) => media.filter((item) => item.type === type).length;
+
+    const items = media.map(({ buffer, type, extension }, index) => ({
+      type,
+      media: {
+        source: buffer,
+        filename: `post_${jobId.substring(0, 8)}_${index + 1}.${extension}`,
+      },
+      ...(type === "video" && { supports_streaming: true }),
+    }));
+    const albums = [
+      items.filter(({ type }) => type !== "document"),
+      items.filter(({ type }) => type === "document"),
+    ].filter((album) => album.length > 0);
+
+    const messages = [];
     try {
-      const mediaGroup = photoBuffers.map((buffer, index) => ({
-        type: "photo",
-        media: {
-          source: buffer,
-          filename: `post_${jobId.substring(0, 8)}_${index + 1}.jpg`,
-        },
-        // Добавляем caption только к первому фото
-        ...(index === 0 && { caption, parse_mode: "HTML" }),
-      }));
+      for (const album of albums) {
+        // Добавляем caption только к первому элементу
+        if (messages.length === 0) {
+          Object.assign(album[0], { caption, parse_mode: "HTML" });
+        }
 
-      const messages = await this.bot.telegram.sendMediaGroup(
-        config.CHANNEL_ID,
-        mediaGroup
-      );
+        messages.push(...(await this.sendAlbum(album, signal)));
+      }
 
       console.log(
-        `📤 Media group sent to Telegram: ${photoBuffers.length} photos`
+        `📤 Media group sent to Telegram: ${count("photo")} photos, ${count(
+          "video"
+        )} videos, ${count("document")} files`
       );
 
       return {
         message_id: messages[0].message_id, // ID первого сообщения
         media_group_id: messages[0].media_group_id,
-        photos_count: photoBuffers.length,
+        photos_count: count("photo"),
+        videos_count: count("video"),
+        documents_count: count("document"),
         messages: messages,
       };
     } catch (error) {
       console.error(`❌ Telegram media group send failed:`, error.message);
-      throw new Error(
-        `Failed to send media group to Telegram: ${error.message}`
+      const failure = classifyTelegramError(
+        "Failed to send media group to Telegram",
+        error
+      );
+
+      // A retry would post the albums already in the channel once more
+      if (messages.length > 0) {
+        failure.retryable = false;
+        failure.message += " (partially posted, not retried)";
+      }
+      throw failure;
+    }
+  }
+
+  /**
+   * Send album items, a single one as a plain message
+   * (sendMediaGroup needs at least two)
+   * @param {object[]} album - InputMedia items
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<object[]>} sent messages
+   */
+  async sendAlbum(album, signal) {
+    if (album.length > 1) {
+      return this.bot.telegram.callApi(
+        "sendMediaGroup",
+        { chat_id: config.CHANNEL_ID, media: album },
+        { signal }
       );
     }
+
+    const [{ type, media, ...options }] = album;
+    const message = await this.bot.telegram.callApi(
+      SEND_METHODS[type],
+      { chat_id: config.CHANNEL_ID, [type]: media, ...options },
+      { signal }
+    );
+    return [message];
   }
 
   /**
@@ -101,28 +179,40 @@ class TelegramService {
    * @param {object} metadata
    * @param {string} pageUrl
    * @param {string} jobId
+   * @param {AbortSignal} [signal]
+   * @param {string} [extension] - detected file extension
    * @returns {Promise<object>}
    */
-  async sendPhoto(photoBuffer, metadata, pageUrl, jobId) {
+  async sendPhoto(
+    photoBuffer,
+    metadata,
+    pageUrl,
+    jobId,
+    signal,
+    extension = "jpg"
+  ) {
     const caption = this.createCaption(metadata, pageUrl);
 
     try {
-      const message = await this.bot.telegram.sendPhoto(
-        config.CHANNEL_ID,
-        {
-          source: photoBuffer,
-          filename: `post_${jobId.substring(0, 8)}.jpg`,
-        },
+      // callApi directly: the typed helpers (sendPhoto etc.) take no AbortSignal
+      const message = await this.bot.telegram.callApi(
+        "sendPhoto",
         {
+          chat_id: config.CHANNEL_ID,
+          photo: {
+            source: photoBuffer,
+            filename: `post_${jobId.substring(0, 8)}.${extension}`,
+          },
           caption,
           parse_mode: "HTML",
-        }
+        },
+        { signal }
       );
 
       console.log(`📤 Photo sent to Telegram: ${metadata.title || "Untitled"}`);
       return message;
     } catch (error) {
-      throw new Error(`Failed to send photo to Telegram: ${error.message}`);
+      throw classifyTelegramError("Failed to send photo to Telegram", error);
     }
   }
 
@@ -132,49 +222,84 @@ class TelegramService {
    * @param {object} metadata
    * @param {string} pageUrl
    * @param {string} jobId
+   * @param {AbortSignal} [signal]
+   * @param {string} [extension] - detected file extension
    * @returns {Promise<object>}
    */
-  async sendVideo(videoBuffer, metadata, pageUrl, jobId) {
+  async sendVideo(
+    videoBuffer,
+    metadata,
+    pageUrl,
+    jobId,
+    signal,
+    extension = "mp4"
+  ) {
     const caption = this.createCaption(metadata, pageUrl);
 
     try {
-      const message = await this.bot.telegram.sendVideo(
-        config.CHANNEL_ID,
-        {
-          source: videoBuffer,
-          filename: `reel_${jobId.substring(0, 8)}.mp4`,
-        },
+      const message = await this.bot.telegram.callApi(
+        "sendVideo",
         {
+          chat_id: config.CHANNEL_ID,
+          video: {
+            source: videoBuffer,
+            filename: `reel_${jobId.substring(0, 8)}.${extension}`,
+          },
           caption,
           parse_mode: "HTML",
           disable_notification: false,
-        }
+        },
+        { signal }
       );
 
       console.log(`📤 Video sent to Telegram: ${metadata.title || "Untitled"}`);
       return message;
     } catch (error) {
       console.error(`❌ Telegram send failed:`, error.message);
-      throw new Error(`Failed to send to Telegram: ${error.message}`);
+      throw classifyTelegramError("Failed to send to Telegram", error);
     }
   }
 
   /**
-   * Check if buffer contains image content
-   * @param {Buffer} buffer
-   * @returns {boolean}
+   * Send file Telegram cannot show as photo or video (e.g. HEIC) as document
+   * @param {Buffer} documentBuffer
+   * @param {object} metadata
+   * @param {string} pageUrl
+   * @param {string} jobId
+   * @param {AbortSignal} [signal]
+   * @param {string} [extension] - detected file extension
+   * @returns {Promise<object>}
    */
-  isImageContent(buffer) {
-    if (!buffer || !Buffer.isBuffer(buffer) || buffer.length < 8) {
-      return false;
-    }
+  async sendDocument(
+    documentBuffer,
+    metadata,
+    pageUrl,
+    jobId,
+    signal,
+    extension
+  ) {
+    const caption = this.createCaption(metadata, pageUrl);
 
-    const header = buffer.slice(0, 8);
-    return (
-      (buffer[0] === 0xff && buffer[1] === 0xd8) || // JPEG
-      header.toString("hex").startsWith("89504e47") || // PNG
-      header.toString("hex").startsWith("47494638")
-    ); // GIF
+    try {
+      const message = await this.bot.telegram.callApi(
+        "sendDocument",
+        {
+          chat_id: config.CHANNEL_ID,
+          document: {
+            source: documentBuffer,
+            filename: `post_${jobId.substring(0, 8)}.${extension}`,
+          },
+          caption,
+          parse_mode: "HTML",
+        },
+        { signal }
+      );
+
+      console.log(`📤 File sent to Telegram: ${metadata.title || "Untitled"}`);
+      return message;
+    } catch (error) {
+      throw classifyTelegramError("Failed to send file to Telegram", error);
+    }
   }
 
   /**
@@ -274,7 +399,8 @@ class TelegramService {
           "/memory - статистика использования памяти\n" +
           "/queue - статус очереди\n" +
           "/stats - общая статистика\n" +
-          "/info - информация о боте"
+          "/info - информация о боте\n" +
+          "/pause, /resume - пауза очереди (для администраторов)"
       );
     });
 
@@ -311,11 +437,19 @@ class TelegramService {
 
       ctx.reply(
         `📊 Статус очереди (Memory Mode v4.0):\n\n` +
+          (stats.paused
+            ? `⏸ Очередь на паузе${
+                stats.pauseReason ? `: ${stats.pauseReason}` : ""
+              }\n\n`
+            : "") +
           `⏳ В очереди: ${stats.queued}\n` +
+          `🗓 Запланировано: ${stats.scheduled}\n` +
           `🔄 Обрабатывается: ${stats.processing}\n` +
+          `📬 Ждут публикации: ${stats.waitingToPublish}\n` +
           `✅ Завершено: ${stats.completed}\n` +
           `❌ Ошибки: ${stats.failed}\n` +
-          `👷 Активных воркеров: ${stats.processing}/${config.MAX_CONCURRENT_DOWNLOADS}\n\n` +
+          `👷 Активных воркеров: ${stats.activeWorkers}/${config.MAX_CONCURRENT_DOWNLOADS}\n\n` +
+          this.formatCadence(stats.publishing) +
           `💾 Память: ${memoryStats.currentFormatted} / ${memoryStats.maxFormatted} (${memoryStats.utilization}%)\n` +
           `📈 Производительность: ${stats.throughputPerMinute} видео/мин\n` +
           `🚀 Обработка: В памяти без использования диска\n` +
@@ -352,6 +486,89 @@ class TelegramService {
     });
   }
 
+  /**
+   * Set up admin-only queue control commands
+   * @param {object} controls
+   * @param {function} controls.pause - (reason, by) => boolean
+   * @param {function} controls.resume - (by) => boolean
+   */
+  setupControlCommands({ pause, resume }) {
+    this.bot.command("pause", async (ctx) => {
+      if (!this.isAdmin(ctx)) {
+        return ctx.reply("⛔ Команда доступна только администраторам");
+      }
+
+      const reason = ctx.message.text.split(" ").slice(1).join(" ").trim();
+      const paused = pause(reason || null, this.formatUser(ctx.from));
+
+      ctx.reply(
+        paused
+          ? "⏸ Очередь на паузе. Новые задачи принимаются, но не обрабатываются.\n" +
+              "Текущие задачи будут завершены. /resume - продолжить"
+          : "ℹ️ Очередь уже на паузе"
+      );
+    });
+
+    this.bot.command("resume", async (ctx) => {
+      if (!this.isAdmin(ctx)) {
+        return ctx.reply("⛔ Команда доступна только администраторам");
+      }
+
+      const resumed = resume(this.formatUser(ctx.from));
+      ctx.reply(
+        resumed ? "▶️ Обработка очереди возобновлена" : "ℹ️ Очередь не на паузе"
+      );
+    });
+  }
+
+  /**
+   * Check whether the command sender is listed in TELEGRAM_ADMIN_IDS
+   * @param {object} ctx - Telegraf context
+   * @returns {boolean}
+   */
+  isAdmin(ctx) {
+    return Boolean(
+      ctx.from && config.TELEGRAM_ADMIN_IDS.includes(String(ctx.from.id))
+    );
+  }
+
+  /**
+   * Format Telegram user for logs
+   * @param {object} user
+   * @returns {string}
+   */
+  formatUser(user) {
+    return user.username ? `@${user.username}` : `telegram:${user.id}`;
+  }
+
+  /**
+   * Format publishing cadence for bot replies
+   * @param {object} publishing - PublishThrottle stats
+   * @returns {string}
+   */
+  formatCadence(publishing) {
+    if (!publishing) return "";
+
+    const nextSlot = new Date(publishing.nextSlotAt).toLocaleTimeString(
+      "ru-RU",
+      { hour: "2-digit", minute: "2-digit" }
+    );
+
+    return (
+      `📢 Публикации: ${publishing.publishedLastHour}/${
+        publishing.maxPerHour || "∞"
+      } за час, интервал ${Math.round(publishing.minInterval / 1000)}с\n` +
+      (publishing.quietHours
+        ? `🌙 Тихие часы: ${publishing.quietHours}${
+            publishing.inQuietHours ? " (сейчас)" : ""
+          }\n`
+        : "") +
+      `⏭ Следующий слот: ${
+        publishing.nextSlotIn > 0 ? nextSlot : "сейчас"
+      }\n\n`
+    );
+  }
+
   /**
    * Format memory helper
    * @param {number} bytes
@@ -1,24 +1,62 @@
+const EventEmitter = require("events");
 const { Server } = require("socket.io");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { extractCredentials } = require("../middleware/auth");
+const { getErrorCode } = require("../utils/errors");
+
+// Events kept for replay; stats are snapshots and are simply re-sent
+const REPLAYABLE_EVENTS = [
+  "job:progress",
+  "job:finished",
+  "batch:progress",
+  "batch:finished",
+];
 
 /**
  * WebSocket Service for real-time updates
+ * Every broadcast carries a monotonically increasing eventId. Job and batch events
+ * are kept in a bounded buffer and replayed to clients that resubscribe with the
+ * last eventId they saw. Broadcasts are also emitted locally as
+ * ("broadcast", event, payload) so other transports (see EventStreamService)
+ * can relay the same payloads.
  */
-class WebSocketService {
-  constructor(httpServer) {
+class WebSocketService extends EventEmitter {
+  constructor(httpServer, authService = null) {
+    super();
+
     this.io = new Server(httpServer, {
       cors: {
         origin: ["https://www.instagram.com", "chrome-extension://*"],
         methods: ["GET", "POST"],
         credentials: true,
       },
-      path: "/ws",
-      pingTimeout: 60000,
-      pingInterval: 25000,
+      path: config.WEBSOCKET_PATH,
+      pingTimeout: config.WEBSOCKET_PING_TIMEOUT,
+      pingInterval: config.WEBSOCKET_PING_INTERVAL,
       maxHttpBufferSize: 1e6, // 1MB
     });
 
+    this.authService = authService;
+
+    // Event IDs restart with the process; streamId tells clients which run they belong to
+    this.streamId = uuidv4();
+    this.lastEventId = 0;
+    this.replayBuffer = []; // [{ event, payload }], oldest first
+    this.evictedEventId = 0; // newest eventId dropped from the buffer
+
+    this.commandController = null; // SocketController, set once the queue exists
+
+    // Snapshot sources for connect/subscribe, set by VideoQueue
+    this.getQueueStats = null;
+    this.getMemoryStats = null;
+
+    // Per-job progress coalescing: jobId -> { lastSentAt, pending, timer }
+    this.progressThrottle = new Map();
+
     this.connectedClients = new Map(); // socket.id -> client info
     this.jobSubscriptions = new Map(); // jobId -> Set<socket.id>
+    this.batchSubscriptions = new Map(); // batchId -> Set<socket.id>
     this.userConnections = new Map(); // userId -> Set<socket.id>
 
     this.setupEventHandlers();
@@ -31,6 +69,10 @@ class WebSocketService {
    * Setup WebSocket event handlers
    */
   setupEventHandlers() {
+    if (this.authService) {
+      this.io.use((socket, next) => this.authenticateHandshake(socket, next));
+    }
+
     this.io.on("connection", (socket) => {
       this.handleConnection(socket);
 
@@ -40,6 +82,14 @@ class WebSocketService {
         this.unsubscribeFromJob(socket, jobId)
       );
 
+      // Batch subscription events
+      socket.on("subscribe:batch", (batchId) =>
+        this.subscribeToBatch(socket, batchId)
+      );
+      socket.on("unsubscribe:batch", (batchId) =>
+        this.unsubscribeFromBatch(socket, batchId)
+      );
+
       // Queue monitoring events
       socket.on("subscribe:queue", () => this.subscribeToQueue(socket));
       socket.on("unsubscribe:queue", () => this.unsubscribeFromQueue(socket));
@@ -48,6 +98,9 @@ class WebSocketService {
       socket.on("subscribe:memory", () => this.subscribeToMemory(socket));
       socket.on("unsubscribe:memory", () => this.unsubscribeFromMemory(socket));
 
+      // Job and queue commands (acknowledged)
+      this.setupCommandHandlers(socket);
+
       // Heartbeat for connection health
       socket.on("ping", () => socket.emit("pong", { timestamp: Date.now() }));
 
@@ -63,6 +116,89 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Set sources of the stats snapshots sent on connect and subscribe
+   * @param {function} getQueueStats
+   * @param {function} getMemoryStats
+   */
+  setStatsProviders(getQueueStats, getMemoryStats) {
+    this.getQueueStats = getQueueStats;
+    this.getMemoryStats = getMemoryStats;
+  }
+
+  /**
+   * Set controller handling job/queue commands
+   * @param {SocketController} commandController
+   */
+  setCommandController(commandController) {
+    this.commandController = commandController;
+  }
+
+  /**
+   * Register commands answered through Socket.IO ack callbacks
+   * Ack payload is the handler result or { success: false, error, code }.
+   */
+  setupCommandHandlers(socket) {
+    const commands = {
+      "job:submit": "submitJob",
+      "job:cancel": "cancelJob",
+      "job:retry": "retryJob",
+      "queue:pause": "pauseQueue",
+      "queue:resume": "resumeQueue",
+    };
+
+    Object.entries(commands).forEach(([command, method]) => {
+      socket.on(command, async (payload, ack) => {
+        // Commands without arguments may be sent as emit(command, ack)
+        if (typeof payload === "function") {
+          ack = payload;
+          payload = {};
+        }
+        const reply = typeof ack === "function" ? ack : () => {};
+
+        try {
+          reply(
+            await this.commandController[method](
+              socket,
+              payload && typeof payload === "object" ? payload : {}
+            )
+          );
+        } catch (error) {
+          console.warn(`⚠️ WebSocket ${command} failed: ${error.message}`);
+          reply({
+            success: false,
+            error: error.message,
+            code: getErrorCode(error),
+            ...(error.duplicate && { duplicate: error.duplicate }),
+            ...(error.retryAfter && { retryAfter: error.retryAfter }),
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Authenticate handshake with JWT or API key
+   * Accepts `auth: { token }` / `auth: { apiKey }` or the same HTTP headers as REST
+   */
+  authenticateHandshake(socket, next) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const fromHeaders = extractCredentials(headers);
+
+    try {
+      socket.data.auth = this.authService.authenticate({
+        token: auth.token || fromHeaders.token,
+        apiKey: auth.apiKey || fromHeaders.apiKey,
+      });
+      next();
+    } catch (error) {
+      console.warn(
+        `🔐 WebSocket auth rejected for ${socket.handshake.address}: ${error.message}`
+      );
+      next(new Error(error.message));
+    }
+  }
+
   /**
    * Handle new WebSocket connection
    */
@@ -70,6 +206,7 @@ class WebSocketService {
     const clientInfo = {
       userAgent: socket.handshake.headers["user-agent"],
       ip: socket.handshake.address,
+      authMethod: socket.data.auth?.method || null,
       connectedAt: new Date(),
       subscriptions: new Set(),
     };
@@ -82,7 +219,16 @@ class WebSocketService {
     socket.emit("connected", {
       socketId: socket.id,
       serverTime: new Date().toISOString(),
-      features: ["job-progress", "queue-stats", "memory-monitoring"],
+      streamId: this.streamId,
+      lastEventId: this.lastEventId,
+      features: [
+        "job-progress",
+        "batch-progress",
+        "queue-stats",
+        "memory-monitoring",
+        "event-replay",
+        "commands",
+      ],
     });
 
     // Send current stats
@@ -109,8 +255,12 @@ class WebSocketService {
 
   /**
    * Subscribe socket to job progress updates
+   * @param {Socket} socket
+   * @param {string|object} request - jobId, or { jobId, lastEventId, streamId }
+   *   to also replay events missed since lastEventId
    */
-  subscribeToJob(socket, jobId) {
+  subscribeToJob(socket, request) {
+    const { id: jobId, resume } = this.parseSubscription(request, "jobId");
     if (!jobId || typeof jobId !== "string") {
       socket.emit("error", { message: "Invalid job ID" });
       return;
@@ -128,7 +278,13 @@ class WebSocketService {
       clientInfo.subscriptions.add(`job:${jobId}`);
     }
 
-    socket.emit("subscribed:job", { jobId });
+    const replay = this.replayEvents(
+      socket,
+      (event, payload) => event.startsWith("job:") && payload.jobId === jobId,
+      resume
+    );
+
+    socket.emit("subscribed:job", { jobId, ...replay });
     console.log(`📱 Socket ${socket.id} subscribed to job ${jobId}`);
   }
 
@@ -152,6 +308,59 @@ class WebSocketService {
     socket.emit("unsubscribed:job", { jobId });
   }
 
+  /**
+   * Subscribe socket to batch progress updates
+   * @param {Socket} socket
+   * @param {string|object} request - batchId, or { batchId, lastEventId, streamId }
+   */
+  subscribeToBatch(socket, request) {
+    const { id: batchId, resume } = this.parseSubscription(request, "batchId");
+    if (!batchId || typeof batchId !== "string") {
+      socket.emit("error", { message: "Invalid batch ID" });
+      return;
+    }
+
+    if (!this.batchSubscriptions.has(batchId)) {
+      this.batchSubscriptions.set(batchId, new Set());
+    }
+    this.batchSubscriptions.get(batchId).add(socket.id);
+
+    const clientInfo = this.connectedClients.get(socket.id);
+    if (clientInfo) {
+      clientInfo.subscriptions.add(`batch:${batchId}`);
+    }
+
+    const replay = this.replayEvents(
+      socket,
+      (event, payload) =>
+        event.startsWith("batch:") && payload.batchId === batchId,
+      resume
+    );
+
+    socket.emit("subscribed:batch", { batchId, ...replay });
+    console.log(`📱 Socket ${socket.id} subscribed to batch ${batchId}`);
+  }
+
+  /**
+   * Unsubscribe socket from batch updates
+   */
+  unsubscribeFromBatch(socket, batchId) {
+    const subscribers = this.batchSubscriptions.get(batchId);
+    if (subscribers) {
+      subscribers.delete(socket.id);
+      if (subscribers.size === 0) {
+        this.batchSubscriptions.delete(batchId);
+      }
+    }
+
+    const clientInfo = this.connectedClients.get(socket.id);
+    if (clientInfo) {
+      clientInfo.subscriptions.delete(`batch:${batchId}`);
+    }
+
+    socket.emit("unsubscribed:batch", { batchId });
+  }
+
   /**
    * Subscribe to queue statistics updates
    */
@@ -173,21 +382,61 @@ class WebSocketService {
       clientInfo.subscriptions.add("memory:stats");
     }
     socket.emit("subscribed:memory");
+    this.sendMemoryStats(socket);
   }
 
   /**
    * Broadcast job progress update to subscribed clients
+   * Updates of a job are sent at most once per WEBSOCKET_PROGRESS_INTERVAL;
+   * within the interval only the latest update is kept and sent when it ends.
    */
-  broadcastJobProgress(jobId, progress, message) {
-    const subscribers = this.jobSubscriptions.get(jobId);
-    if (!subscribers || subscribers.size === 0) return;
+  broadcastJobProgress(jobId, progress, message, details = {}) {
+    const interval = config.WEBSOCKET_PROGRESS_INTERVAL;
+    if (interval > 0) {
+      let state = this.progressThrottle.get(jobId);
+      if (!state) {
+        state = { lastSentAt: 0, pending: null, timer: null };
+        this.progressThrottle.set(jobId, state);
+      }
+
+      const wait = state.lastSentAt + interval - Date.now();
+      if (wait > 0) {
+        state.pending = [progress, message, details];
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            const pending = state.pending;
+            state.pending = null;
+            this.sendJobProgress(jobId, ...pending);
+          }, wait);
+        }
+        return;
+      }
+    }
+
+    this.sendJobProgress(jobId, progress, message, details);
+  }
+
+  /**
+   * Send job progress update now
+   */
+  sendJobProgress(jobId, progress, message, details) {
+    const state = this.progressThrottle.get(jobId);
+    if (state) {
+      state.lastSentAt = Date.now();
+    }
 
     const update = {
       jobId,
       progress,
       message,
+      ...details,
       timestamp: new Date().toISOString(),
     };
+    this.recordEvent("job:progress", update);
+
+    const subscribers = this.jobSubscriptions.get(jobId);
+    if (!subscribers || subscribers.size === 0) return;
 
     subscribers.forEach((socketId) => {
       const socket = this.io.sockets.sockets.get(socketId);
@@ -204,17 +453,32 @@ class WebSocketService {
   /**
    * Broadcast job completion/failure
    */
-  broadcastJobFinished(jobId, status, result = null, error = null) {
-    const subscribers = this.jobSubscriptions.get(jobId);
-    if (!subscribers || subscribers.size === 0) return;
+  broadcastJobFinished(
+    jobId,
+    status,
+    result = null,
+    error = null,
+    errorCode = null
+  ) {
+    // Final state supersedes progress still waiting to be sent
+    const state = this.progressThrottle.get(jobId);
+    if (state) {
+      clearTimeout(state.timer);
+      this.progressThrottle.delete(jobId);
+    }
 
     const update = {
       jobId,
       status,
       result,
       error,
+      errorCode,
       timestamp: new Date().toISOString(),
     };
+    this.recordEvent("job:finished", update);
+
+    const subscribers = this.jobSubscriptions.get(jobId);
+    if (!subscribers || subscribers.size === 0) return;
 
     subscribers.forEach((socketId) => {
       const socket = this.io.sockets.sockets.get(socketId);
@@ -229,6 +493,51 @@ class WebSocketService {
     }, 30000);
   }
 
+  /**
+   * Broadcast aggregate batch progress
+   * @param {object} batch - BatchManager summary
+   */
+  broadcastBatchProgress(batch) {
+    this.emitToBatch(batch.batchId, "batch:progress", batch);
+  }
+
+  /**
+   * Broadcast batch completion (all accepted jobs reached a final state)
+   * @param {object} batch - BatchManager summary
+   */
+  broadcastBatchFinished(batch) {
+    this.emitToBatch(batch.batchId, "batch:finished", batch);
+
+    // Auto-cleanup subscriptions for finished batches
+    setTimeout(() => {
+      this.batchSubscriptions.delete(batch.batchId);
+    }, 30000);
+  }
+
+  /**
+   * Emit event to sockets subscribed to a batch
+   * @param {string} batchId
+   * @param {string} event
+   * @param {object} batch
+   */
+  emitToBatch(batchId, event, batch) {
+    const update = {
+      ...batch,
+      timestamp: new Date().toISOString(),
+    };
+    this.recordEvent(event, update);
+
+    const subscribers = this.batchSubscriptions.get(batchId);
+    if (!subscribers || subscribers.size === 0) return;
+
+    subscribers.forEach((socketId) => {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) {
+        socket.emit(event, update);
+      }
+    });
+  }
+
   /**
    * Broadcast queue statistics to subscribed clients
    */
@@ -237,6 +546,7 @@ class WebSocketService {
       ...stats,
       timestamp: new Date().toISOString(),
     };
+    this.recordEvent("queue:stats", update);
 
     this.connectedClients.forEach((clientInfo, socketId) => {
       if (clientInfo.subscriptions.has("queue:stats")) {
@@ -256,6 +566,7 @@ class WebSocketService {
       ...stats,
       timestamp: new Date().toISOString(),
     };
+    this.recordEvent("memory:stats", update);
 
     this.connectedClients.forEach((clientInfo, socketId) => {
       if (clientInfo.subscriptions.has("memory:stats")) {
@@ -267,12 +578,103 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Assign eventId, keep replayable events and notify local listeners
+   * @param {string} event
+   * @param {object} payload - sent to clients, gets eventId added
+   */
+  recordEvent(event, payload) {
+    payload.eventId = ++this.lastEventId;
+
+    if (REPLAYABLE_EVENTS.includes(event)) {
+      this.replayBuffer.push({ event, payload });
+      if (this.replayBuffer.length > config.WEBSOCKET_REPLAY_BUFFER_SIZE) {
+        this.evictedEventId = this.replayBuffer.shift().payload.eventId;
+      }
+    }
+
+    this.emit("broadcast", event, payload);
+  }
+
+  /**
+   * Get buffered events newer than eventId
+   * @param {number} eventId
+   * @returns {object[]} [{ event, payload }], oldest first
+   */
+  getEventsSince(eventId) {
+    return this.replayBuffer.filter((entry) => entry.payload.eventId > eventId);
+  }
+
+  /**
+   * Split subscribe payload into id and resume cursor
+   * @param {string|object} request
+   * @param {string} idField - jobId | batchId
+   * @returns {{ id: string, resume: object|null }}
+   */
+  parseSubscription(request, idField) {
+    if (request && typeof request === "object") {
+      const lastEventId = Number(request.lastEventId);
+      return {
+        id: request[idField],
+        resume: {
+          lastEventId: Number.isInteger(lastEventId) ? lastEventId : 0,
+          streamId: request.streamId || null,
+        },
+      };
+    }
+    return { id: request, resume: null };
+  }
+
+  /**
+   * Re-send buffered events a resubscribing client missed
+   * Events from a previous server run cannot be replayed; a client from another
+   * stream gets everything buffered in this run and replayComplete: false.
+   * @param {Socket} socket
+   * @param {function} matches - (event, payload) => boolean
+   * @param {object|null} resume - { lastEventId, streamId }
+   * @returns {object} fields for the subscribed:* ack
+   */
+  replayEvents(socket, matches, resume) {
+    const base = { streamId: this.streamId, lastEventId: this.lastEventId };
+    if (!resume) return base;
+
+    const sameStream = !resume.streamId || resume.streamId === this.streamId;
+    const since = sameStream ? resume.lastEventId : 0;
+
+    const missed = this.getEventsSince(since).filter(({ event, payload }) =>
+      matches(event, payload)
+    );
+    missed.forEach(({ event, payload }) =>
+      socket.emit(event, { ...payload, replayed: true })
+    );
+
+    return {
+      ...base,
+      replayed: missed.length,
+      replayComplete: sameStream && since >= this.evictedEventId,
+    };
+  }
+
   /**
    * Send current queue stats to specific socket
    */
   sendQueueStats(socket) {
+    if (!this.getQueueStats) return;
+
     socket.emit("queue:stats", {
-      message: "Current stats will be provided by queue service",
+      ...this.getQueueStats(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send current memory stats to specific socket
+   */
+  sendMemoryStats(socket) {
+    if (!this.getMemoryStats) return;
+
+    socket.emit("memory:stats", {
+      ...this.getMemoryStats(),
       timestamp: new Date().toISOString(),
     });
   }
@@ -282,13 +684,32 @@ class WebSocketService {
    */
   cleanupSubscription(socketId, subscription) {
     if (subscription.startsWith("job:")) {
-      const jobId = subscription.substring(4);
-      const subscribers = this.jobSubscriptions.get(jobId);
-      if (subscribers) {
-        subscribers.delete(socketId);
-        if (subscribers.size === 0) {
-          this.jobSubscriptions.delete(jobId);
-        }
+      this.removeSubscriber(
+        this.jobSubscriptions,
+        subscription.substring(4),
+        socketId
+      );
+    } else if (subscription.startsWith("batch:")) {
+      this.removeSubscriber(
+        this.batchSubscriptions,
+        subscription.substring(6),
+        socketId
+      );
+    }
+  }
+
+  /**
+   * Remove socket from a subscription map entry, dropping empty entries
+   * @param {Map<string, Set<string>>} subscriptions
+   * @param {string} id
+   * @param {string} socketId
+   */
+  removeSubscriber(subscriptions, id, socketId) {
+    const subscribers = subscriptions.get(id);
+    if (subscribers) {
+      subscribers.delete(socketId);
+      if (subscribers.size === 0) {
+        subscriptions.delete(id);
       }
     }
   }
@@ -300,6 +721,10 @@ class WebSocketService {
     const stats = {
       totalConnections: this.connectedClients.size,
       totalJobSubscriptions: this.jobSubscriptions.size,
+      totalBatchSubscriptions: this.batchSubscriptions.size,
+      lastEventId: this.lastEventId,
+      replayBuffered: this.replayBuffer.length,
+      throttledJobs: this.progressThrottle.size,
       averageSubscriptionsPerClient: 0,
     };
 
@@ -332,23 +757,25 @@ class WebSocketService {
   cleanupInactiveConnections() {
     let cleaned = 0;
 
-    // Cleanup disconnected sockets from subscriptions
-    this.jobSubscriptions.forEach((subscribers, jobId) => {
-      const activeSubscribers = new Set();
-
-      subscribers.forEach((socketId) => {
-        if (this.io.sockets.sockets.has(socketId)) {
-          activeSubscribers.add(socketId);
+    // Cleanup disconnected sockets from job and batch subscriptions
+    [this.jobSubscriptions, this.batchSubscriptions].forEach((subscriptions) => {
+      subscriptions.forEach((subscribers, id) => {
+        const activeSubscribers = new Set();
+
+        subscribers.forEach((socketId) => {
+          if (this.io.sockets.sockets.has(socketId)) {
+            activeSubscribers.add(socketId);
+          } else {
+            cleaned++;
+          }
+        });
+
+        if (activeSubscribers.size === 0) {
+          subscriptions.delete(id);
         } else {
-          cleaned++;
+          subscriptions.set(id, activeSubscribers);
         }
       });
-
-      if (activeSubscribers.size === 0) {
-        this.jobSubscriptions.delete(jobId);
-      } else {
-        this.jobSubscriptions.set(jobId, activeSubscribers);
-      }
     });
 
     if (cleaned > 0) {
@@ -0,0 +1,484 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const config = require("../config");
+const { AppError } = require("../utils/errors");
+
+// VideoQueue events that can be subscribed to
+const WEBHOOK_EVENTS = [
+  "jobAdded",
+  "jobCompleted",
+  "jobFailed",
+  "jobCancelled",
+];
+
+// Loopback, private, link-local, shared, reserved and multicast ranges.
+// BlockList checks IPv4-mapped IPv6 addresses against the IPv4 ranges;
+// NAT64 addresses are blocked as a whole.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Webhook Service - delivers job lifecycle events to subscribed HTTP endpoints
+ * Payloads are signed with the subscription secret (HMAC-SHA256) and failed
+ * deliveries are retried with exponential backoff. Subscriptions are stored on
+ * disk; pending retries and the delivery log live in memory.
+ * Endpoints must resolve to public addresses unless WEBHOOK_ALLOW_PRIVATE_URLS
+ * is set, checked on subscription and again before every delivery.
+ */
+class WebhookService {
+  /**
+   * @param {string} filePath - subscriptions store
+   */
+  constructor(filePath = config.WEBHOOK_STORE_PATH) {
+    this.filePath = path.resolve(filePath);
+    this.subscriptions = new Map(); // id -> subscription
+    this.deliveries = []; // newest last, capped at WEBHOOK_LOG_SIZE
+    this.retryTimers = new Set();
+
+    this.load();
+
+    console.log(
+      `🪝 WebhookService loaded ${this.subscriptions.size} subscription(s)`
+    );
+  }
+
+  /**
+   * Forward VideoQueue lifecycle events to subscribers
+   * @param {VideoQueue} videoQueue
+   */
+  attach(videoQueue) {
+    const describe = (jobId) => {
+      const job = videoQueue.getJobStatus(jobId);
+      return {
+        jobId,
+        pageUrl: job?.pageData?.pageUrl || null,
+        priority: job?.priority || "normal",
+      };
+    };
+
+    videoQueue.on("jobAdded", (job) => {
+      this.dispatch("jobAdded", {
+        jobId: job.id,
+        status: job.status,
+        pageUrl: job.pageData.pageUrl,
+        priority: job.priority || "normal",
+        publishAt: job.publishAt || null,
+      });
+    });
+
+    videoQueue.on("jobCompleted", (jobId, result) => {
+      this.dispatch("jobCompleted", {
+        ...describe(jobId),
+        status: "completed",
+        telegramMessageId: result.telegramMessageId,
+        processingTime: result.processingTime,
+        metadata: result.metadata,
+      });
+    });
+
+    videoQueue.on("jobFailed", (jobId, error) => {
+      const job = videoQueue.getJobStatus(jobId);
+      this.dispatch("jobFailed", {
+        ...describe(jobId),
+        status: "failed",
+        error: error.message,
+        errorCode: job?.errorCode || null,
+        attempts: job?.attempts || 0,
+      });
+    });
+
+    videoQueue.on("jobCancelled", (jobId, job) => {
+      this.dispatch("jobCancelled", {
+        jobId,
+        status: "cancelled",
+        pageUrl: job?.pageData?.pageUrl || null,
+        priority: job?.priority || "normal",
+      });
+    });
+  }
+
+  /**
+   * Create subscription
+   * @param {object} params
+   * @param {string} params.url - http(s) endpoint
+   * @param {string[]} [params.events] - defaults to all events
+   * @param {string} [params.secret] - generated when omitted
+   * @returns {Promise<object>} subscription including its secret
+   * @throws {AppError} INVALID_REQUEST
+   */
+  async createSubscription({ url, events, secret } = {}) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      throw new AppError("INVALID_REQUEST", "url must be a valid URL");
+    }
+    if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+      throw new AppError("INVALID_REQUEST", "url must use http or https");
+    }
+
+    const subscribedEvents = events === undefined ? WEBHOOK_EVENTS : events;
+    if (
+      !Array.isArray(subscribedEvents) ||
+      subscribedEvents.length === 0 ||
+      subscribedEvents.some((event) => !WEBHOOK_EVENTS.includes(event))
+    ) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`
+      );
+    }
+
+    if (
+      secret !== undefined &&
+      (typeof secret !== "string" || secret.length < 16)
+    ) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        "secret must be a string of at least 16 characters"
+      );
+    }
+
+    try {
+      await this.checkHost(parsedUrl.hostname);
+    } catch (error) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `url not allowed: ${error.message}`
+      );
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      url: parsedUrl.toString(),
+      events: [...new Set(subscribedEvents)],
+      secret: secret || crypto.randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+
+    console.log(
+      `🪝 Webhook ${subscription.id.substring(0, 8)} subscribed ${
+        subscription.url
+      } to ${subscription.events.join(", ")}`
+    );
+
+    return subscription;
+  }
+
+  /**
+   * Make sure a webhook host only resolves to public addresses
+   * @param {string} hostname - URL hostname, IPv6 in brackets
+   * @throws {AppError} INVALID_REQUEST when it resolves to a private address
+   * @throws {Error} when the lookup fails
+   */
+  async checkHost(hostname) {
+    if (config.WEBHOOK_ALLOW_PRIVATE_URLS) return;
+
+    const host = hostname.replace(/^\[(.*)\]$/, "$1");
+    const addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+
+    for (const { address, family } of addresses) {
+      if (PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4")) {
+        throw new AppError(
+          "INVALID_REQUEST",
+          `${hostname} resolves to non-public address ${address}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Delete subscription; its pending retries are dropped
+   * @param {string} id
+   * @returns {boolean}
+   */
+  deleteSubscription(id) {
+    if (!this.subscriptions.delete(id)) return false;
+
+    this.save();
+    console.log(`🪝 Webhook ${id.substring(0, 8)} removed`);
+    return true;
+  }
+
+  /**
+   * List subscriptions without their secrets
+   * @returns {object[]}
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.values()).map(
+      ({ secret: _secret, ...subscription }) => subscription
+    );
+  }
+
+  /**
+   * Get delivery log, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.subscriptionId]
+   * @param {string} [filter.status] - pending | delivered | retrying | failed
+   * @returns {object[]}
+   */
+  getDeliveries({ subscriptionId, status } = {}) {
+    return this.deliveries
+      .filter(
+        (delivery) =>
+          (!subscriptionId || delivery.subscriptionId === subscriptionId) &&
+          (!status || delivery.status === status)
+      )
+      .reverse();
+  }
+
+  /**
+   * Queue delivery of an event to every matching subscription
+   * @param {string} event
+   * @param {object} data
+   */
+  dispatch(event, data) {
+    for (const subscription of this.subscriptions.values()) {
+      if (!subscription.events.includes(event)) continue;
+
+      const delivery = {
+        id: uuidv4(),
+        subscriptionId: subscription.id,
+        url: subscription.url,
+        event,
+        jobId: data.jobId,
+        status: "pending",
+        createdAt: new Date().toISOString(),
+        nextAttemptAt: null,
+        attempts: [],
+        payload: {
+          id: null,
+          event,
+          createdAt: new Date().toISOString(),
+          data,
+        },
+      };
+      delivery.payload.id = delivery.id;
+
+      this.deliveries.push(delivery);
+      if (this.deliveries.length > config.WEBHOOK_LOG_SIZE) {
+        this.deliveries.shift();
+      }
+
+      this.attemptDelivery(delivery);
+    }
+  }
+
+  /**
+   * Send delivery once, scheduling a retry on failure
+   * @param {object} delivery
+   */
+  async attemptDelivery(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const attempt = { at: new Date().toISOString() };
+
+    let retryable;
+    try {
+      // DNS may have changed since the subscription was created
+      try {
+        await this.checkHost(new URL(subscription.url).hostname);
+      } catch (error) {
+        // Lookup failures are retried, private addresses are not
+        retryable = !(error instanceof AppError);
+        throw error;
+      }
+
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "reels-to-telegram-webhook",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${this.sign(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        // A redirect could lead to a private address past checkHost()
+        redirect: "manual",
+        signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT),
+      });
+
+      attempt.statusCode = response.status;
+      if (response.ok) {
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+        delivery.status = "delivered";
+        delivery.nextAttemptAt = null;
+        return;
+      }
+
+      // Client errors other than timeout/rate limit will not change on retry,
+      // neither will redirects
+      attempt.error =
+        response.status >= 300 && response.status < 400
+          ? `HTTP ${response.status} redirect to ${
+              response.headers.get("location") || "unknown location"
+            } not followed`
+          : `HTTP ${response.status}`;
+      retryable =
+        response.status >= 500 ||
+        response.status === 408 ||
+        response.status === 429;
+    } catch (error) {
+      attempt.error =
+        error.name === "TimeoutError"
+          ? `Timed out after ${config.WEBHOOK_TIMEOUT}ms`
+          : error.cause?.message || error.message;
+      retryable = retryable ?? true;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    if (!retryable || delivery.attempts.length >= config.WEBHOOK_MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      console.warn(
+        `🪝 Webhook delivery ${delivery.id.substring(0, 8)} (${
+          delivery.event
+        } → ${delivery.url}) failed after ${delivery.attempts.length} attempt(s): ${
+          attempt.error
+        }`
+      );
+      return;
+    }
+
+    const delay = this.getRetryDelay(delivery.attempts.length);
+    delivery.status = "retrying";
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(timer);
+      this.attemptDelivery(delivery);
+    }, delay);
+    this.retryTimers.add(timer);
+  }
+
+  /**
+   * Exponential backoff with jitter, capped at WEBHOOK_RETRY_MAX_DELAY
+   * @param {number} attempts - failed attempts so far
+   * @returns {number} ms
+   */
+  getRetryDelay(attempts) {
+    const exponential = config.WEBHOOK_RETRY_BASE_DELAY * 2 ** (attempts - 1);
+    const jitter = Math.random() * 0.2 * exponential;
+    return Math.round(
+      Math.min(config.WEBHOOK_RETRY_MAX_DELAY, exponential + jitter)
+    );
+  }
+
+  /**
+   * HMAC-SHA256 of "<timestamp>.<body>" (hex)
+   * Receivers recompute it with the subscription secret and compare
+   * @param {string} secret
+   * @param {string} timestamp - unix seconds, sent as X-Webhook-Timestamp
+   * @param {string} body - raw request body
+   * @returns {string}
+   */
+  sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Load subscriptions from disk
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+
+      // Stores written by older versions were world-readable
+      fs.chmodSync(this.filePath, 0o600);
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const subscription of data) {
+        this.subscriptions.set(subscription.id, subscription);
+      }
+    } catch (error) {
+      console.warn("⚠️ Failed to load webhook subscriptions:", error.message);
+    }
+  }
+
+  /**
+   * Write subscriptions to disk (atomic rename)
+   * The file holds the signing secrets, so only the owner may read it.
+   */
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(
+        tempPath,
+        JSON.stringify(Array.from(this.subscriptions.values()), null, 2),
+        { mode: 0o600 }
+      );
+      fs.chmodSync(tempPath, 0o600); // mode only applies to new files
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error("❌ Failed to save webhook subscriptions:", error.message);
+    }
+  }
+
+  /**
+   * Stop pending retries
+   */
+  shutdown() {
+    for (const timer of this.retryTimers) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+  }
+}
+
+WebhookService.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
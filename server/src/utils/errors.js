@@ -0,0 +1,178 @@
+/**
+ * Error taxonomy shared by REST, WebSocket payloads and job records
+ * Each code defines HTTP status and whether a retry can help
+ * (retryable: undefined leaves the decision to RetryPolicy heuristics)
+ */
+const ERROR_CODES = {
+  // Submission
+  INVALID_REQUEST: { statusCode: 400, retryable: false },
+  DUPLICATE_CONTENT: { statusCode: 409, retryable: false },
+  QUEUE_FULL: { statusCode: 503, retryable: true },
+  MEMORY_LIMIT: { statusCode: 507, retryable: true },
+  RATE_LIMITED: { statusCode: 429, retryable: true },
+
+  // Instagram / downloader
+  COOKIES_EXPIRED: { statusCode: 502, retryable: false },
+  PRIVATE_CONTENT: { statusCode: 403, retryable: false },
+  NOT_FOUND: { statusCode: 404, retryable: false },
+  MEDIA_TOO_LARGE: { statusCode: 413, retryable: false },
+  IG_RATE_LIMITED: { statusCode: 429, retryable: true },
+  DOWNLOAD_TIMEOUT: { statusCode: 504, retryable: true },
+  DOWNLOAD_FAILED: { statusCode: 502, retryable: undefined },
+
+  // Telegram
+  TELEGRAM_FORBIDDEN: { statusCode: 502, retryable: false },
+  TELEGRAM_RATE_LIMITED: { statusCode: 429, retryable: true },
+  TELEGRAM_ERROR: { statusCode: 502, retryable: undefined },
+
+  // Generic
+  NETWORK_ERROR: { statusCode: 502, retryable: true },
+  JOB_CANCELLED: { statusCode: 409, retryable: false },
+  JOB_TIMEOUT: { statusCode: 504, retryable: false },
+  JOB_EXPIRED: { statusCode: 504, retryable: false },
+  INTERNAL_ERROR: { statusCode: 500, retryable: undefined },
+};
+
+/**
+ * Error with a code from ERROR_CODES
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - key of ERROR_CODES
+   * @param {string} message
+   * @param {object} details - extra fields copied onto the error
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "AppError";
+
+    const definition = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+    this.code = ERROR_CODES[code] ? code : "INTERNAL_ERROR";
+    this.statusCode = definition.statusCode;
+    if (definition.retryable !== undefined) {
+      this.retryable = definition.retryable;
+    }
+
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Get taxonomy code of any error
+ * @param {Error} error
+ * @returns {string}
+ */
+function getErrorCode(error) {
+  return error && ERROR_CODES[error.code] ? error.code : "INTERNAL_ERROR";
+}
+
+// Ordered: the first matching pattern wins
+const DOWNLOADER_PATTERNS = [
+  {
+    code: "COOKIES_EXPIRED",
+    pattern:
+      /login required|redirect(?:ed)? to login|authorizationerror|authrequired|401 unauthorized|cookies?.*(?:expired|invalid|no such file)/i,
+    message: "Instagram cookies are missing or expired",
+  },
+  {
+    code: "PRIVATE_CONTENT",
+    pattern: /private (?:account|profile|content)|account is private|not authorized to view/i,
+    message: "Content is private",
+  },
+  {
+    code: "IG_RATE_LIMITED",
+    pattern: /\b429\b|too many requests|rate.?limit|please wait a few minutes/i,
+    message: "Instagram rate limit reached",
+  },
+  {
+    code: "NOT_FOUND",
+    pattern: /notfounderror|404 not found|not found|no results|unsupported url|has been removed|isn't available/i,
+    message: "Content not found or no longer available",
+  },
+  {
+    code: "NETWORK_ERROR",
+    pattern: /timed out|timeout|connectionerror|connection (?:reset|aborted|refused)|name resolution|max retries exceeded/i,
+    message: "Network error while downloading from Instagram",
+  },
+];
+
+/**
+ * Classify downloader (gallery-dl, yt-dlp) failure by its stderr output
+ * @param {string} stderr
+ * @param {number} exitCode
+ * @param {string} [downloader]
+ * @returns {AppError}
+ */
+function classifyDownloaderError(
+  stderr = "",
+  exitCode = null,
+  downloader = "gallery-dl"
+) {
+  const lastLine =
+    stderr
+      .trim()
+      .split("\n")
+      .filter((line) => line.trim())
+      .pop() || "";
+
+  const match = DOWNLOADER_PATTERNS.find(({ pattern }) => pattern.test(stderr));
+
+  if (match) {
+    return new AppError(match.code, `${match.message}: ${lastLine}`, {
+      exitCode,
+      stderr,
+      downloader,
+    });
+  }
+
+  return new AppError(
+    "DOWNLOAD_FAILED",
+    `${downloader} failed with code ${exitCode}: ${lastLine}`,
+    { exitCode, stderr, downloader }
+  );
+}
+
+/**
+ * Classify Telegraf/Telegram API error
+ * @param {string} message - context prefix
+ * @param {Error} error
+ * @returns {AppError}
+ */
+function classifyTelegramError(message, error) {
+  const telegramCode = error.response?.error_code;
+  const description = error.response?.description || error.message;
+  const details = {
+    telegramCode,
+    retryAfter: error.response?.parameters?.retry_after,
+  };
+
+  let code = "TELEGRAM_ERROR";
+  if (
+    telegramCode === 403 ||
+    /chat not found|not enough rights|bot was kicked|not a member/i.test(
+      description
+    )
+  ) {
+    code = "TELEGRAM_FORBIDDEN";
+  } else if (telegramCode === 429) {
+    code = "TELEGRAM_RATE_LIMITED";
+  } else if (
+    telegramCode === 413 ||
+    /too big|too large|entity too large/i.test(description)
+  ) {
+    code = "MEDIA_TOO_LARGE";
+  } else if (!telegramCode && error.code) {
+    // No API response at all: ECONNRESET, ETIMEDOUT...
+    code = "NETWORK_ERROR";
+  }
+
+  return new AppError(code, `${message}: ${description}`, details);
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  getErrorCode,
+  classifyDownloaderError,
+  classifyTelegramError,
+};
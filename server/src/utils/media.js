@@ -0,0 +1,68 @@
+// Telegram media type and canonical extension of known formats
+const FORMATS = {
+  jpg: { type: "photo", extension: "jpg" },
+  jpeg: { type: "photo", extension: "jpg" },
+  png: { type: "photo", extension: "png" },
+  gif: { type: "photo", extension: "gif" },
+  webp: { type: "photo", extension: "webp" },
+  // sendPhoto rejects HEIC, it is posted as a file
+  heic: { type: "document", extension: "heic" },
+  heif: { type: "document", extension: "heic" },
+  mp4: { type: "video", extension: "mp4" },
+  m4v: { type: "video", extension: "mp4" },
+  mov: { type: "video", extension: "mov" },
+};
+
+// "ftyp" brands of HEIF still images; any other ftyp file is MP4/MOV video
+const HEIF_BRANDS = ["heic", "heix", "heim", "heis", "mif1", "msf1"];
+
+// QuickTime files without "ftyp" start with one of these atoms
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip"];
+
+/**
+ * Detect format from the file signature
+ * @param {Buffer} buffer
+ * @returns {string|null} key of FORMATS
+ */
+function detectFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpg";
+  }
+  if (buffer.readUInt32BE(0) === 0x89504e47) return "png";
+  if (ascii(0, 4) === "GIF8") return "gif";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "webp";
+
+  const box = ascii(4, 8);
+  if (box === "ftyp") {
+    const brand = ascii(8, 12);
+    if (HEIF_BRANDS.includes(brand)) return "heic";
+    return brand === "qt  " ? "mov" : "mp4";
+  }
+  if (QUICKTIME_ATOMS.includes(box)) return "mov";
+
+  return null;
+}
+
+/**
+ * Detect media type of a downloaded file
+ * The signature wins over the extension reported by the downloader; files
+ * recognized by neither are treated as video, the default Instagram content.
+ * @param {Buffer} buffer
+ * @param {string} [extension] - reported by the downloader, without dot
+ * @returns {{type: "photo"|"video"|"document", extension: string}}
+ */
+function detectMediaType(buffer, extension) {
+  const format = detectFormat(buffer) || String(extension || "").toLowerCase();
+
+  return FORMATS[format] || FORMATS.mp4;
+}
+
+module.exports = {
+  detectMediaType,
+};
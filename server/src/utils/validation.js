@@ -1,4 +1,5 @@
 const config = require("../config");
+const { AppError } = require("./errors");
 
 /**
  * Validate Instagram URL
@@ -20,6 +21,39 @@ function validateInstagramUrl(url) {
   }
 }
 
+/**
+ * Extract Instagram shortcode (or story media id) from URL
+ * @param {string} url
+ * @returns {string|null}
+ */
+function extractShortcode(url) {
+  try {
+    const { pathname } = new URL(url);
+    const match =
+      pathname.match(/\/(?:p|reels?|tv)\/([A-Za-z0-9_-]+)/) ||
+      pathname.match(/\/stories\/[^/]+\/(\d+)/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get content type of an Instagram URL
+ * @param {string} url
+ * @returns {string} reel | story | post
+ */
+function getContentType(url) {
+  try {
+    const { pathname } = new URL(url);
+    if (pathname.includes("/stories/")) return "story";
+    if (/\/(?:reels?|tv)\//.test(pathname)) return "reel";
+  } catch {
+    // Fall through to the generic type
+  }
+  return "post";
+}
+
 /**
  * Clean text for Telegram caption
  * @param {string} text
@@ -37,26 +71,91 @@ function cleanText(text) {
 /**
  * Validate page data structure
  * @param {object} pageData
- * @throws {Error}
+ * @throws {AppError} INVALID_REQUEST
  */
 function validatePageData(pageData) {
   if (!pageData) {
-    throw new Error("Page data is required");
+    throw new AppError("INVALID_REQUEST", "Page data is required");
   }
 
   if (!pageData.pageUrl) {
-    throw new Error("pageUrl is required");
+    throw new AppError("INVALID_REQUEST", "pageUrl is required");
   }
 
   if (!validateInstagramUrl(pageData.pageUrl)) {
-    throw new Error(
+    throw new AppError(
+      "INVALID_REQUEST",
       "Invalid Instagram URL. Must be instagram.com with /reels/, /stories/, or /p/ path"
     );
   }
 }
 
+/**
+ * Parse scheduled publish time
+ * @param {string|number|undefined} publishAt - ISO date string or epoch ms
+ * @returns {Date|null} null when not scheduled
+ * @throws {AppError} INVALID_REQUEST
+ */
+function parsePublishAt(publishAt) {
+  if (publishAt === undefined || publishAt === null || publishAt === "") {
+    return null;
+  }
+
+  const date = new Date(publishAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(
+      "INVALID_REQUEST",
+      "publishAt must be an ISO 8601 date or epoch milliseconds"
+    );
+  }
+
+  if (date.getTime() <= Date.now()) {
+    throw new AppError("INVALID_REQUEST", "publishAt must be in the future");
+  }
+
+  if (date.getTime() > Date.now() + config.SCHEDULE_MAX_AHEAD) {
+    throw new AppError(
+      "INVALID_REQUEST",
+      `publishAt must be within ${Math.round(
+        config.SCHEDULE_MAX_AHEAD / (24 * 60 * 60 * 1000)
+      )} days`
+    );
+  }
+
+  return date;
+}
+
+// Job priorities, lowest first (index is the rank used by the queue)
+const PRIORITIES = ["low", "normal", "high"];
+
+/**
+ * Parse job priority
+ * @param {string|undefined} priority
+ * @returns {string} "normal" when not given
+ * @throws {AppError} INVALID_REQUEST
+ */
+function parsePriority(priority) {
+  if (priority === undefined || priority === null || priority === "") {
+    return "normal";
+  }
+
+  if (!PRIORITIES.includes(priority)) {
+    throw new AppError(
+      "INVALID_REQUEST",
+      `priority must be one of: ${PRIORITIES.join(", ")}`
+    );
+  }
+
+  return priority;
+}
+
 module.exports = {
+  PRIORITIES,
   validateInstagramUrl,
+  extractShortcode,
+  getContentType,
   cleanText,
   validatePageData,
+  parsePublishAt,
+  parsePriority,
 };
@@ -0,0 +1,98 @@
+const SocketController = require("../../src/controllers/SocketController");
+
+describe("SocketController", () => {
+  let videoQueue;
+  let webSocketService;
+  let controller;
+  const socket = {
+    id: "socket-1",
+    handshake: { address: "10.0.0.1", headers: { "user-agent": "jest" } },
+  };
+
+  beforeEach(() => {
+    videoQueue = {
+      addJob: jest.fn(() => "job-1"),
+      cancelJob: jest.fn(() => false),
+      retryFailedJob: jest.fn(() => null),
+      getJobEstimate: jest.fn(() => null),
+    };
+    webSocketService = { subscribeToJob: jest.fn() };
+    controller = new SocketController(videoQueue, webSocketService);
+  });
+
+  describe("submitJob", () => {
+    it("queues the job and subscribes the socket", async () => {
+      const result = await controller.submitJob(socket, {
+        pageUrl: "https://www.instagram.com/reel/ABC/",
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        jobId: "job-1",
+        status: "queued",
+      });
+      expect(videoQueue.addJob.mock.calls[0][1]).toMatchObject({
+        ip: "10.0.0.1",
+        via: "websocket",
+      });
+      expect(webSocketService.subscribeToJob).toHaveBeenCalledWith(
+        socket,
+        "job-1"
+      );
+    });
+
+    it("rejects invalid page data as INVALID_REQUEST", async () => {
+      await expect(
+        controller.submitJob(socket, { pageUrl: "not a url" })
+      ).rejects.toMatchObject({ code: "INVALID_REQUEST" });
+      expect(videoQueue.addJob).not.toHaveBeenCalled();
+    });
+
+    it("throws RATE_LIMITED with retryAfter once the limit is hit", async () => {
+      const resetAt = Date.now() + 30_500;
+      controller.downloadLimiter = {
+        name: "download",
+        message: "Too many download requests",
+        getSocketKey: jest.fn(() => "ip:10.0.0.1"),
+        hit: jest.fn(() => ({ limited: true, resetAt })),
+      };
+
+      await expect(
+        controller.submitJob(socket, {
+          pageUrl: "https://www.instagram.com/reel/ABC/",
+        })
+      ).rejects.toMatchObject({ code: "RATE_LIMITED", retryAfter: 31 });
+      expect(videoQueue.addJob).not.toHaveBeenCalled();
+    });
+  });
+
+  it("requires a jobId", async () => {
+    await expect(controller.cancelJob(socket, {})).rejects.toMatchObject({
+      code: "INVALID_REQUEST",
+    });
+  });
+
+  it("throws NOT_FOUND for jobs that cannot be cancelled", async () => {
+    await expect(
+      controller.cancelJob(socket, { jobId: "job-1" })
+    ).rejects.toMatchObject({ code: "NOT_FOUND" });
+  });
+
+  it("re-subscribes the socket to a retried job", async () => {
+    videoQueue.retryFailedJob.mockReturnValue({
+      status: "queued",
+      manualRetries: 1,
+    });
+
+    await expect(
+      controller.retryJob(socket, { jobId: "job-1", force: "yes" })
+    ).resolves.toMatchObject({ success: true, manualRetries: 1 });
+    expect(videoQueue.retryFailedJob).toHaveBeenCalledWith("job-1", {
+      force: false,
+    });
+    expect(webSocketService.subscribeToJob).toHaveBeenCalledWith(
+      socket,
+      "job-1"
+    );
+  });
+});
@@ -0,0 +1,68 @@
+const VideoController = require("../../src/controllers/VideoController");
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const request = (body) => ({
+  body,
+  ip: "203.0.113.7",
+  get: () => "jest",
+});
+
+describe("VideoController", () => {
+  let videoQueue;
+  let controller;
+
+  beforeEach(() => {
+    videoQueue = { addJob: jest.fn() };
+    controller = new VideoController(videoQueue);
+  });
+
+  describe("downloadMedia", () => {
+    const pageUrl = "https://www.instagram.com/reel/ABC1/";
+
+    it("answers 409 with the existing post for duplicates", async () => {
+      const duplicate = { jobId: "j1", status: "published" };
+      videoQueue.addJob.mockImplementation(() => {
+        throw Object.assign(new Error("Duplicate content"), {
+          statusCode: 409,
+          duplicate,
+        });
+      });
+      const res = response();
+
+      await controller.downloadMedia(request({ pageUrl }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          duplicate,
+          hint: expect.stringContaining("force"),
+        })
+      );
+    });
+
+    it("passes force only when it is literally true", async () => {
+      videoQueue.addJob.mockImplementation(() => {
+        throw Object.assign(new Error("Queue is full"), { statusCode: 503 });
+      });
+
+      await controller.downloadMedia(
+        request({ pageUrl, force: "true" }),
+        response()
+      );
+      await controller.downloadMedia(
+        request({ pageUrl, force: true }),
+        response()
+      );
+
+      expect(videoQueue.addJob.mock.calls[0][2].force).toBe(false);
+      expect(videoQueue.addJob.mock.calls[1][2].force).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { requestLogger, errorLogger } = require("../../src/middleware/logging");
+
+describe("logging", () => {
+  const request = (originalUrl) => ({
+    method: "GET",
+    originalUrl,
+    ip: "203.0.113.7",
+  });
+
+  const response = () => {
+    const res = { statusCode: 200, end: jest.fn() };
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    console.log.mockClear();
+    console.error.mockClear();
+  });
+
+  it("logs method, URL and status once the response ends", () => {
+    const res = response();
+    const end = res.end;
+    const next = jest.fn();
+
+    requestLogger(request("/api/queue/stats"), res, next);
+    res.end("done");
+
+    expect(next).toHaveBeenCalled();
+    expect(end).toHaveBeenCalledWith("done");
+    expect(console.log).toHaveBeenCalledWith(
+      expect.stringMatching(
+        / - GET \/api\/queue\/stats - 200 - \d+ms - 203\.0\.113\.7$/
+      )
+    );
+  });
+
+  it("leaves the access token out of the logged URL", () => {
+    const res = response();
+
+    requestLogger(
+      request("/api/events?access_token=eyJ.secret.sig&jobId=a"),
+      res,
+      jest.fn()
+    );
+    res.end();
+
+    const [line] = console.log.mock.calls[0];
+    expect(line).toContain("GET /api/events?jobId=a - 200");
+    expect(line).not.toContain("secret");
+  });
+
+  it("leaves the access token out of logged errors", () => {
+    errorLogger(
+      new Error("boom"),
+      request("/api/events?access_token=eyJ.secret.sig"),
+      response()
+    );
+
+    expect(console.error.mock.calls[0][0]).toMatch(
+      / - ERROR GET \/api\/events:$/
+    );
+  });
+});
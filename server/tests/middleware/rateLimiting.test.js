@@ -0,0 +1,141 @@
+const config = require("../../src/config");
+const { RateLimiter } = require("../../src/middleware/rateLimiting");
+const AuthService = require("../../src/services/AuthService");
+
+describe("RateLimiter", () => {
+  const authService = new AuthService();
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    limiter = new RateLimiter({
+      name: "api",
+      windowMs: 60 * 1000,
+      max: 2,
+      message: "API rate limit exceeded",
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const request = (headers = {}, auth) => ({
+    ip: "203.0.113.7",
+    headers,
+    auth,
+  });
+
+  describe("getClientKey", () => {
+    it("counts unauthenticated requests per IP whatever they claim", () => {
+      const first = request({ "x-api-key": "guess-1" });
+      const second = request({ authorization: "Bearer forged" });
+
+      expect(limiter.getClientKey(first)).toBe("ip:203.0.113.7");
+      expect(limiter.getClientKey(second)).toBe("ip:203.0.113.7");
+    });
+
+    it("uses the identity of the API key after authentication", () => {
+      const auth = authService.authenticate({ apiKey: config.API_KEY });
+      const key = limiter.getClientKey(request({}, auth));
+
+      expect(key).toMatch(/^key:[0-9a-f]{12}$/);
+      expect(key).not.toContain(config.API_KEY);
+    });
+
+    it("shares the bucket of the API key across issued and refreshed tokens", () => {
+      const apiKeyAuth = authService.authenticate({ apiKey: config.API_KEY });
+      const sub = authService.getKeyId(config.API_KEY);
+      const { token } = authService.generateToken({ sub });
+      const refreshed = authService.refreshToken(token).token;
+
+      const keys = [token, refreshed].map((issued) =>
+        limiter.getClientKey(
+          request({}, authService.authenticate({ token: issued }))
+        )
+      );
+
+      expect(keys).toEqual([
+        limiter.getClientKey(request({}, apiKeyAuth)),
+        limiter.getClientKey(request({}, apiKeyAuth)),
+      ]);
+    });
+
+    it("falls back to the IP for tokens without a subject", () => {
+      const { token } = authService.generateToken();
+
+      expect(
+        limiter.getClientKey(request({}, authService.authenticate({ token })))
+      ).toBe("ip:203.0.113.7");
+    });
+  });
+
+  describe("getSocketKey", () => {
+    const socket = (handshakeAuth, auth) => ({
+      handshake: { auth: handshakeAuth, headers: {}, address: "198.51.100.1" },
+      data: { auth },
+    });
+
+    it("counts sockets per address until they authenticate", () => {
+      expect(limiter.getSocketKey(socket({ apiKey: "guess" }))).toBe(
+        "ip:198.51.100.1"
+      );
+    });
+
+    it("shares the bucket of the same identity over HTTP", () => {
+      const auth = authService.authenticate({ apiKey: config.API_KEY });
+
+      expect(
+        limiter.getSocketKey(socket({ apiKey: config.API_KEY }, auth))
+      ).toBe(limiter.getClientKey(request({}, auth)));
+    });
+  });
+
+  describe("middleware", () => {
+    const response = () => {
+      const res = { headers: {} };
+      res.set = jest.fn((name, value) => {
+        const headers = typeof name === "object" ? name : { [name]: value };
+        Object.assign(res.headers, headers);
+        return res;
+      });
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it("rejects requests over the limit with 429 and Retry-After", () => {
+      const next = jest.fn();
+      const middleware = limiter.middleware();
+
+      middleware(request(), response(), next);
+      middleware(request({ "x-api-key": "another" }), response(), next);
+      const res = response();
+      jest.advanceTimersByTime(20 * 1000);
+      middleware(request(), res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.headers["X-RateLimit-Remaining"]).toBe("0");
+      expect(res.headers["Retry-After"]).toBe("40");
+      expect(limiter.getStats()).toMatchObject({
+        totalRequests: 3,
+        totalRejected: 1,
+        activeClients: 1,
+      });
+    });
+
+    it("opens a new window after windowMs", () => {
+      limiter.hit("ip:203.0.113.7");
+      limiter.hit("ip:203.0.113.7");
+      expect(limiter.hit("ip:203.0.113.7").limited).toBe(true);
+
+      jest.advanceTimersByTime(60 * 1000);
+      expect(limiter.hit("ip:203.0.113.7")).toMatchObject({
+        count: 1,
+        remaining: 1,
+        limited: false,
+      });
+    });
+  });
+});
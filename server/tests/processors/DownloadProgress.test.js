@@ -0,0 +1,111 @@
+const DownloadProgress = require("../../src/processors/DownloadProgress");
+
+const MB = 1000 * 1000;
+
+describe("DownloadProgress", () => {
+  let progressCallback;
+  let progress;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    progressCallback = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const lastReport = () => progressCallback.mock.calls.at(-1);
+
+  it("maps a single file onto the 20-60% range", () => {
+    progress = new DownloadProgress(progressCallback, 1);
+
+    progress.update({ downloadedBytes: 5 * MB, totalBytes: 10 * MB });
+
+    const [value, message, transfer] = lastReport();
+    expect(value).toBe(40);
+    expect(message).toMatch(/^Downloading file 1\/1: /);
+    expect(transfer).toMatchObject({
+      fileIndex: 0,
+      fileCount: 1,
+      downloadedBytes: 5 * MB,
+      totalBytes: 10 * MB,
+    });
+  });
+
+  it("gives each file of a carousel its share", () => {
+    progress = new DownloadProgress(progressCallback);
+
+    progress.update({
+      downloadedBytes: 1 * MB,
+      totalBytes: 2 * MB,
+      fileIndex: 1,
+      fileCount: 4,
+    });
+
+    // (1 + 0.5) / 4 of the range
+    expect(lastReport()[0]).toBe(35);
+    expect(lastReport()[1]).toMatch(/^Downloading file 2\/4: /);
+  });
+
+  it("starts the next file when the byte count goes down", () => {
+    progress = new DownloadProgress(progressCallback, 2);
+
+    progress.update({ downloadedBytes: 2 * MB, totalBytes: 2 * MB });
+    progress.update({ downloadedBytes: 1 * MB, totalBytes: 4 * MB });
+
+    expect(lastReport()[0]).toBe(45);
+    expect(lastReport()[2].fileIndex).toBe(1);
+  });
+
+  it("never reports lower progress", () => {
+    // Unknown file count: every file spans the whole range
+    progress = new DownloadProgress(progressCallback);
+
+    progress.update({ downloadedBytes: 9 * MB, totalBytes: 10 * MB });
+    jest.advanceTimersByTime(1000);
+    progress.update({ downloadedBytes: 1 * MB, totalBytes: 10 * MB });
+
+    expect(progressCallback.mock.calls.map(([value]) => value)).toEqual([
+      56, 56,
+    ]);
+    expect(lastReport()[1]).toMatch(/^Downloading file 2: /);
+  });
+
+  it("holds back samples without a new percentage", () => {
+    progress = new DownloadProgress(progressCallback, 1);
+
+    progress.update({ downloadedBytes: 5 * MB, totalBytes: 10 * MB });
+    progress.update({ downloadedBytes: 5.01 * MB, totalBytes: 10 * MB });
+    expect(progressCallback).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(500);
+    progress.update({ downloadedBytes: 5.02 * MB, totalBytes: 10 * MB });
+    expect(progressCallback).toHaveBeenCalledTimes(2);
+  });
+
+  it("averages the rate over the file when the tool does not report it", () => {
+    progress = new DownloadProgress(progressCallback, 1);
+
+    jest.advanceTimersByTime(4000);
+    progress.update({ downloadedBytes: 8 * MB, totalBytes: 16 * MB });
+    expect(lastReport()[2].bytesPerSecond).toBe(2 * MB);
+
+    progress.update({
+      downloadedBytes: 12 * MB,
+      totalBytes: 16 * MB,
+      bytesPerSecond: 123456.7,
+    });
+    expect(lastReport()[2].bytesPerSecond).toBe(123457);
+  });
+
+  it("reports without a percentage when the size is unknown", () => {
+    progress = new DownloadProgress(progressCallback);
+    jest.advanceTimersByTime(1000);
+
+    progress.update({ downloadedBytes: 3 * MB });
+
+    expect(lastReport()[0]).toBe(20);
+    expect(lastReport()[2].totalBytes).toBeNull();
+  });
+});
@@ -0,0 +1,248 @@
+jest.mock("child_process", () => ({ spawn: jest.fn() }));
+
+const { spawn } = require("child_process");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const GalleryDlDownloader = require("../../src/processors/GalleryDlDownloader");
+const { AppError } = require("../../src/utils/errors");
+
+const MAX_SIZE = 1000;
+
+// Child process double; kill() makes it exit like SIGKILL would
+const createProcess = () => {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = jest.fn(() => {
+    setImmediate(() => {
+      child.emit("exit", null, "SIGKILL");
+      child.emit("close", null);
+    });
+  });
+  return child;
+};
+
+// Response streaming the given chunks
+const streamResponse = (chunks, headers = {}) => {
+  const body = new ReadableStream(
+    {
+      pull(controller) {
+        if (chunks.length === 0) return controller.close();
+        controller.enqueue(new Uint8Array(chunks.shift()));
+      },
+    },
+    { highWaterMark: 0 }
+  );
+  return new Response(body, { headers });
+};
+
+describe("Downloader", () => {
+  let memoryManager;
+  let downloader;
+
+  beforeEach(() => {
+    memoryManager = {
+      validateAllocation: jest.fn((bytes) => {
+        if (bytes > MAX_SIZE) {
+          throw new AppError("MEDIA_TOO_LARGE", `Video too large: ${bytes}`);
+        }
+      }),
+    };
+    downloader = new GalleryDlDownloader(memoryManager);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe("run", () => {
+    it("kills the tool when the job is aborted", async () => {
+      const child = createProcess();
+      spawn.mockReturnValue(child);
+      const controller = new AbortController();
+
+      const running = downloader.run(["url"], "job-1", controller.signal);
+      child.stderr.emit("data", Buffer.from("[instagram] downloading\n"));
+      const reason = new AppError("JOB_CANCELLED", "Job cancelled");
+      controller.abort(reason);
+
+      await expect(running).rejects.toBe(reason);
+      expect(child.kill).toHaveBeenCalledWith("SIGKILL");
+    });
+
+    it("classifies a failed run by its output", async () => {
+      const child = createProcess();
+      spawn.mockReturnValue(child);
+
+      const running = downloader.run(["url"], "job-1");
+      child.stderr.emit("data", Buffer.from("ERROR: 404 Not Found\n"));
+      child.emit("close", 1);
+
+      await expect(running).rejects.toMatchObject({
+        code: "NOT_FOUND",
+        exitCode: 1,
+      });
+    });
+  });
+
+  describe("downloadToWorkspace", () => {
+    const originalTempDir = config.TEMP_DIR;
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "downloader-"));
+      config.TEMP_DIR = tempDir;
+    });
+
+    afterEach(() => {
+      config.TEMP_DIR = originalTempDir;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("pairs every media file with its own metadata", async () => {
+      const child = createProcess();
+      const spawned = new Promise((resolve) => {
+        spawn.mockImplementation((command, args) => {
+          resolve(args);
+          return child;
+        });
+      });
+
+      const running = downloader.downloadToWorkspace(
+        "https://www.instagram.com/p/ABC/",
+        "a",
+        jest.fn()
+      );
+      const args = await spawned;
+      const workspace = args[args.indexOf("-D") + 1];
+      expect(workspace).toBe(path.join(tempDir, "job-a"));
+
+      fs.writeFileSync(path.join(workspace, "1.jpg"), "photo");
+      fs.writeFileSync(path.join(workspace, "10.mp4"), "video");
+      fs.writeFileSync(path.join(workspace, "2.mp4"), "clip");
+      fs.writeFileSync(
+        path.join(workspace, "2.mp4.json"),
+        JSON.stringify({ num: 2 })
+      );
+      fs.writeFileSync(
+        path.join(workspace, "1.jpg.json"),
+        JSON.stringify({ num: 1, description: "post" })
+      );
+      child.emit("close", 0);
+
+      const result = await running;
+      expect(result.items.map(({ fileName }) => fileName)).toEqual([
+        "1.jpg",
+        "2.mp4",
+        "10.mp4",
+      ]);
+      expect(result.items.map(({ metadata }) => metadata?.num)).toEqual([
+        1,
+        2,
+        undefined,
+      ]);
+      expect(result.jsonData.description).toBe("post");
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+
+  describe("fetchMedia", () => {
+    it("loads the body into a buffer and reports progress", async () => {
+      global.fetch = jest.fn(async () =>
+        streamResponse([[1, 2], [3]], { "content-length": "3" })
+      );
+      const onProgress = jest.fn();
+
+      const buffer = await downloader.fetchMedia(
+        "https://cdn/1.mp4",
+        undefined,
+        { "User-Agent": "gallery-dl" },
+        onProgress
+      );
+
+      expect(buffer).toEqual(Buffer.from([1, 2, 3]));
+      expect(onProgress).toHaveBeenLastCalledWith({
+        downloadedBytes: 3,
+        totalBytes: 3,
+      });
+      expect(global.fetch.mock.calls[0][1].headers).toEqual({
+        Referer: "https://www.instagram.com/",
+        "User-Agent": "gallery-dl",
+      });
+    });
+
+    it("rejects oversized media by the declared length", async () => {
+      global.fetch = jest.fn(async () =>
+        streamResponse([[1]], { "content-length": String(MAX_SIZE + 1) })
+      );
+
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({ code: "MEDIA_TOO_LARGE" });
+    });
+
+    it("stops reading once the body outgrows the limit", async () => {
+      const chunks = [new Array(600).fill(0), new Array(600).fill(0), [0]];
+      global.fetch = jest.fn(async () => streamResponse(chunks));
+
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({ code: "MEDIA_TOO_LARGE" });
+      // The last chunk is never pulled
+      expect(chunks).toHaveLength(1);
+    });
+
+    it("fails on HTTP errors, retryable for 5xx and 429 only", async () => {
+      global.fetch = jest.fn(async () => new Response("", { status: 503 }));
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({ code: "DOWNLOAD_FAILED", retryable: true });
+
+      global.fetch = jest.fn(async () => new Response("", { status: 403 }));
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({ code: "DOWNLOAD_FAILED", retryable: false });
+    });
+
+    it("rejects with the abort reason of the job", async () => {
+      const controller = new AbortController();
+      const reason = new AppError("JOB_CANCELLED", "Job cancelled");
+      global.fetch = jest.fn(
+        (url, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          })
+      );
+
+      const fetching = downloader.fetchMedia(
+        "https://cdn/1.mp4",
+        controller.signal
+      );
+      controller.abort(reason);
+
+      await expect(fetching).rejects.toBe(reason);
+    });
+
+    it("maps timeouts and network failures", async () => {
+      global.fetch = jest.fn(async () => {
+        throw new DOMException("The operation timed out", "TimeoutError");
+      });
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({ code: "DOWNLOAD_TIMEOUT" });
+
+      global.fetch = jest.fn(async () => {
+        throw new TypeError("fetch failed", { cause: new Error("ECONNRESET") });
+      });
+      await expect(
+        downloader.fetchMedia("https://cdn/1.mp4")
+      ).rejects.toMatchObject({
+        code: "DOWNLOAD_FAILED",
+        message: "Media download failed: ECONNRESET",
+      });
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const GalleryDlDownloader = require("../../src/processors/GalleryDlDownloader");
+
+describe("GalleryDlDownloader", () => {
+  const downloader = new GalleryDlDownloader();
+
+  const parse = (line) => {
+    const match = line.match(downloader.progressPattern);
+    return match && downloader.parseProgress(match);
+  };
+
+  describe("progress parsing", () => {
+    it("parses the terminal progress bar", () => {
+      expect(parse("45%   1.35MB   2.10MB/s")).toEqual({
+        downloadedBytes: 1350000,
+        totalBytes: 3000000,
+        bytesPerSecond: 2100000,
+      });
+    });
+
+    it("leaves the total unknown without a percentage", () => {
+      expect(parse("512kB 64.5kB/s")).toEqual({
+        downloadedBytes: 512000,
+        totalBytes: null,
+        bytesPerSecond: 64500,
+      });
+    });
+
+    it("reports the rest of the line after the progress bar", () => {
+      const line = "100% 3.00MB 1.50MB/s ./workspace/1.mp4";
+      const match = line.match(downloader.progressPattern);
+
+      expect(line.slice(match[0].length).trim()).toBe("./workspace/1.mp4");
+      expect(downloader.parseProgress(match).totalBytes).toBe(3000000);
+    });
+
+    it("ignores log lines", () => {
+      expect(parse("[instagram][info] Downloading 1.mp4")).toBeNull();
+    });
+  });
+});
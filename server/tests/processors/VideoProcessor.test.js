@@ -0,0 +1,171 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const VideoProcessor = require("../../src/processors/VideoProcessor");
+const { AppError } = require("../../src/utils/errors");
+
+describe("VideoProcessor.download", () => {
+  const originalTempDir = config.TEMP_DIR;
+  const originalChains = config.DOWNLOADER_CHAINS;
+  let tempDir;
+  let processor;
+  let downloaders;
+  const progress = jest.fn();
+
+  // Downloader stub resolving with its own name, or failing with error
+  const stub = (name, error) => ({
+    name,
+    download: jest.fn(async () => {
+      if (error) throw error;
+      return { buffers: [Buffer.from(name)], items: [], totalSize: 1 };
+    }),
+  });
+
+  const useDownloaders = (...list) => {
+    downloaders = Object.fromEntries(list.map((d) => [d.name, d]));
+    processor.downloaders = new Map(Object.entries(downloaders));
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "processor-"));
+    config.TEMP_DIR = tempDir;
+    config.DOWNLOADER_CHAINS = {
+      default: ["gallery-dl", "yt-dlp"],
+      story: ["yt-dlp"],
+    };
+    processor = new VideoProcessor({});
+    progress.mockClear();
+  });
+
+  afterEach(() => {
+    config.TEMP_DIR = originalTempDir;
+    config.DOWNLOADER_CHAINS = originalChains;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const download = (contentType = "reel", signal) =>
+    processor.download(
+      "https://www.instagram.com/reel/ABC/",
+      "job-1",
+      contentType,
+      progress,
+      signal
+    );
+
+  it("uses the first downloader of the chain", async () => {
+    useDownloaders(stub("gallery-dl"), stub("yt-dlp"));
+
+    await expect(download()).resolves.toMatchObject({
+      downloader: "gallery-dl",
+    });
+    expect(downloaders["yt-dlp"].download).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the next downloader when one fails", async () => {
+    useDownloaders(
+      stub("gallery-dl", new AppError("NOT_FOUND", "No media")),
+      stub("yt-dlp")
+    );
+
+    await expect(download()).resolves.toMatchObject({ downloader: "yt-dlp" });
+    expect(progress).toHaveBeenCalledWith(
+      10,
+      "gallery-dl failed, retrying with yt-dlp..."
+    );
+  });
+
+  it("uses the chain of the content type", async () => {
+    useDownloaders(stub("gallery-dl"), stub("yt-dlp"));
+
+    await expect(download("story")).resolves.toMatchObject({
+      downloader: "yt-dlp",
+    });
+    expect(downloaders["gallery-dl"].download).not.toHaveBeenCalled();
+  });
+
+  it("skips downloaders that are not installed", async () => {
+    useDownloaders(stub("gallery-dl"), stub("yt-dlp"));
+    processor.setUnavailable(["gallery-dl"]);
+
+    await expect(download()).resolves.toMatchObject({ downloader: "yt-dlp" });
+  });
+
+  it("throws the first error with every attempt listed", async () => {
+    const first = new AppError("NOT_FOUND", "No media");
+    useDownloaders(
+      stub("gallery-dl", first),
+      stub("yt-dlp", new Error("yt-dlp exited with code 1"))
+    );
+
+    await expect(download()).rejects.toBe(first);
+    expect(first.downloaderErrors).toEqual([
+      { downloader: "gallery-dl", code: "NOT_FOUND", message: "No media" },
+      {
+        downloader: "yt-dlp",
+        code: "INTERNAL_ERROR",
+        message: "yt-dlp exited with code 1",
+      },
+    ]);
+  });
+
+  it("does not fall back when the media is too large", async () => {
+    useDownloaders(
+      stub("gallery-dl", new AppError("MEDIA_TOO_LARGE", "Too large")),
+      stub("yt-dlp")
+    );
+
+    await expect(download()).rejects.toMatchObject({
+      code: "MEDIA_TOO_LARGE",
+    });
+    expect(downloaders["yt-dlp"].download).not.toHaveBeenCalled();
+  });
+
+  it("does not fall back once the job is cancelled", async () => {
+    const controller = new AbortController();
+    const reason = new AppError("JOB_CANCELLED", "Job cancelled");
+    const gallery = stub("gallery-dl");
+    gallery.download.mockImplementation(async () => {
+      controller.abort(reason);
+      throw reason;
+    });
+    useDownloaders(gallery, stub("yt-dlp"));
+
+    await expect(download("reel", controller.signal)).rejects.toBe(reason);
+    expect(downloaders["yt-dlp"].download).not.toHaveBeenCalled();
+  });
+
+  it("fails when no downloader is available", async () => {
+    useDownloaders(stub("gallery-dl"), stub("yt-dlp"));
+    processor.setUnavailable(["gallery-dl", "yt-dlp"]);
+
+    await expect(download()).rejects.toThrow(
+      "No downloader available for reel content"
+    );
+  });
+});
+
+describe("VideoProcessor.describeChains", () => {
+  const originalChains = config.DOWNLOADER_CHAINS;
+
+  afterEach(() => {
+    config.DOWNLOADER_CHAINS = originalChains;
+  });
+
+  it("names the default chain and the per-type overrides", () => {
+    config.DOWNLOADER_CHAINS = {
+      default: ["gallery-dl", "yt-dlp"],
+      story: ["yt-dlp"],
+    };
+
+    expect(new VideoProcessor({}).describeChains()).toBe(
+      "gallery-dl → yt-dlp (story: yt-dlp)"
+    );
+  });
+
+  it("leaves out overrides when there are none", () => {
+    config.DOWNLOADER_CHAINS = { default: ["yt-dlp"] };
+
+    expect(new VideoProcessor({}).describeChains()).toBe("yt-dlp");
+  });
+});
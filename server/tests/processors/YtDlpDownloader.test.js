@@ -0,0 +1,42 @@
+const YtDlpDownloader = require("../../src/processors/YtDlpDownloader");
+
+describe("YtDlpDownloader", () => {
+  const downloader = new YtDlpDownloader();
+
+  const parse = (line) => {
+    const match = line.match(downloader.progressPattern);
+    return match && downloader.parseProgress(match);
+  };
+
+  describe("progress parsing", () => {
+    it("parses the progress template of a playlist entry", () => {
+      expect(parse("[progress] 2/3 1048576/4194304/NA 524288.5")).toEqual({
+        downloadedBytes: 1048576,
+        totalBytes: 4194304,
+        bytesPerSecond: 524289,
+        fileIndex: 1,
+        fileCount: 3,
+      });
+    });
+
+    it("falls back to the estimated total", () => {
+      expect(parse("[progress] NA/NA 1000/NA/4000.6 NA")).toEqual({
+        downloadedBytes: 1000,
+        totalBytes: 4001,
+        bytesPerSecond: null,
+      });
+    });
+
+    it("leaves unknown fields empty", () => {
+      expect(parse("[progress] NA/NA NA/NA/NA NA")).toEqual({
+        downloadedBytes: 0,
+        totalBytes: null,
+        bytesPerSecond: null,
+      });
+    });
+
+    it("ignores other output", () => {
+      expect(parse("[download] Destination: 00001.mp4")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const {
+  getWorkspacePath,
+  createWorkspace,
+  removeWorkspace,
+  sweepWorkspaces,
+} = require("../../src/processors/workspace");
+
+describe("workspace", () => {
+  const originalTempDir = config.TEMP_DIR;
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "workspace-"));
+    config.TEMP_DIR = tempDir;
+  });
+
+  afterEach(() => {
+    config.TEMP_DIR = originalTempDir;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it("creates an empty workspace per job", async () => {
+    const workspace = await createWorkspace("a");
+    fs.writeFileSync(path.join(workspace, "old.mp4"), "x");
+
+    expect(await createWorkspace("a")).toBe(workspace);
+    expect(fs.readdirSync(workspace)).toEqual([]);
+    expect(getWorkspacePath("b")).toBe(path.join(tempDir, "job-b"));
+  });
+
+  it("removes the workspace without leaving trash behind", async () => {
+    const workspace = await createWorkspace("a");
+    fs.writeFileSync(path.join(workspace, "video.mp4"), "x");
+
+    await removeWorkspace("a");
+    await removeWorkspace("missing");
+
+    expect(fs.readdirSync(tempDir)).toEqual([]);
+  });
+
+  it("sweeps orphaned workspaces and half-deleted trash at startup", () => {
+    fs.mkdirSync(path.join(tempDir, "job-a"));
+    fs.writeFileSync(path.join(tempDir, "job-a", "video.mp4"), "x");
+    fs.mkdirSync(path.join(tempDir, "job-b.1700000000000.trash"));
+    fs.writeFileSync(path.join(tempDir, "keep.txt"), "x");
+
+    sweepWorkspaces();
+
+    expect(fs.readdirSync(tempDir)).toEqual(["keep.txt"]);
+  });
+
+  it("ignores a missing temp directory", () => {
+    config.TEMP_DIR = path.join(tempDir, "missing");
+    console.warn.mockClear();
+
+    expect(() => sweepWorkspaces()).not.toThrow();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
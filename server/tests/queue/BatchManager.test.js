@@ -0,0 +1,102 @@
+const config = require("../../src/config");
+const BatchManager = require("../../src/queue/BatchManager");
+
+describe("BatchManager", () => {
+  let batchManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    batchManager = new BatchManager();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const createBatch = () =>
+    batchManager.createBatch([
+      { index: 0, accepted: true, jobId: "a", status: "queued" },
+      { index: 1, accepted: true, jobId: "b", status: "queued" },
+      { index: 2, accepted: false, error: "Duplicate", code: "DUPLICATE" },
+    ]);
+
+  it("summarizes accepted and rejected items", () => {
+    const summary = createBatch();
+
+    expect(summary).toMatchObject({
+      total: 3,
+      accepted: 2,
+      rejected: 1,
+      progress: 0,
+      done: false,
+      finishedAt: null,
+      counts: { queued: 2, completed: 0, failed: 0, cancelled: 0 },
+    });
+    expect(batchManager.getBatch(summary.batchId).items).toHaveLength(3);
+  });
+
+  it("averages progress over accepted jobs", () => {
+    const { batchId } = createBatch();
+    const onProgress = jest.fn();
+    batchManager.on("batchProgress", onProgress);
+
+    batchManager.updateJob("a", { status: "processing", progress: 50 });
+    batchManager.updateJob("b", { status: "processing", progress: 20 });
+
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.objectContaining({ batchId, progress: 35 })
+    );
+  });
+
+  it("finishes once every accepted job reached a final state", () => {
+    const { batchId } = createBatch();
+    const onFinished = jest.fn();
+    batchManager.on("batchFinished", onFinished);
+
+    batchManager.updateJob("a", { status: "completed" });
+    expect(onFinished).not.toHaveBeenCalled();
+
+    batchManager.updateJob("b", { status: "failed" });
+    expect(onFinished).toHaveBeenCalledWith(
+      expect.objectContaining({
+        batchId,
+        done: true,
+        progress: 100,
+        counts: expect.objectContaining({ completed: 1, failed: 1 }),
+      })
+    );
+    expect(batchManager.getBatch(batchId).finishedAt).toBeInstanceOf(Date);
+  });
+
+  it("ignores updates after a job reached a final state", () => {
+    const { batchId } = createBatch();
+    batchManager.updateJob("a", { status: "cancelled" });
+    batchManager.updateJob("a", { status: "processing", progress: 10 });
+
+    const items = batchManager.getBatch(batchId).items;
+    expect(items[0]).toMatchObject({ status: "cancelled", progress: 100 });
+  });
+
+  it("ignores jobs outside of batches", () => {
+    const onProgress = jest.fn();
+    batchManager.on("batchProgress", onProgress);
+
+    batchManager.updateJob("other", { status: "completed" });
+
+    expect(onProgress).not.toHaveBeenCalled();
+  });
+
+  it("drops finished batches after the history retention", () => {
+    const { batchId } = createBatch();
+    batchManager.updateJob("a", { status: "completed" });
+    batchManager.updateJob("b", { status: "completed" });
+    expect(batchManager.getStats()).toEqual({ total: 1, active: 0 });
+
+    jest.advanceTimersByTime(config.JOB_HISTORY_RETENTION + 1);
+    batchManager.cleanupOldBatches();
+
+    expect(batchManager.getBatch(batchId)).toBeNull();
+    expect(batchManager.jobIndex.size).toBe(0);
+  });
+});
@@ -0,0 +1,50 @@
+const DurationStats = require("../../src/queue/DurationStats");
+
+const MB = 1024 * 1024;
+
+describe("DurationStats", () => {
+  let stats;
+
+  beforeEach(() => {
+    stats = new DurationStats();
+  });
+
+  it("uses defaults until a stage has samples", () => {
+    expect(stats.estimate("download", "reel")).toBe(30 * 1000);
+    expect(stats.estimate("upload", "reel")).toBe(15 * 1000);
+  });
+
+  it("averages durations of the content type", () => {
+    stats.record("download", "reel", 10000, 10 * MB);
+    stats.record("download", "reel", 20000, 10 * MB);
+    stats.record("download", "post", 2000, 1 * MB);
+
+    expect(stats.estimate("download", "reel")).toBe(15000);
+    expect(stats.estimate("download", "post")).toBe(2000);
+  });
+
+  it("falls back to the whole stage for content types without samples", () => {
+    stats.record("upload", "reel", 4000);
+    stats.record("upload", "post", 2000);
+
+    expect(stats.estimate("upload", "story")).toBe(3000);
+  });
+
+  it("scales by throughput when the size is known", () => {
+    stats.record("upload", "reel", 10000, 10 * MB);
+    stats.record("upload", "reel", 30000, 10 * MB);
+
+    // 40s for 20MB
+    expect(stats.estimate("upload", "reel", 5 * MB)).toBe(10000);
+    expect(stats.estimate("upload", "reel", 40 * MB)).toBe(80000);
+  });
+
+  it("keeps the last samples only", () => {
+    stats = new DurationStats(2);
+    stats.record("download", "reel", 90000);
+    stats.record("download", "reel", 10000);
+    stats.record("download", "reel", 20000);
+
+    expect(stats.estimate("download", "reel")).toBe(15000);
+  });
+});
@@ -0,0 +1,368 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const JobManager = require("../../src/queue/JobManager");
+const JobStore = require("../../src/queue/JobStore");
+const { AppError } = require("../../src/utils/errors");
+
+const MINUTE = 60 * 1000;
+
+const reel = (n) => ({ pageUrl: `https://www.instagram.com/reel/ABC${n}/` });
+
+describe("JobManager", () => {
+  let jobManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    jobManager = new JobManager();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe("restoreJobs", () => {
+    const storeConfig = {
+      enabled: config.JOB_STORE_ENABLED,
+      path: config.JOB_STORE_PATH,
+    };
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobmanager-"));
+      config.JOB_STORE_ENABLED = true;
+      config.JOB_STORE_PATH = path.join(dir, "jobs.jsonl");
+    });
+
+    afterEach(() => {
+      config.JOB_STORE_ENABLED = storeConfig.enabled;
+      config.JOB_STORE_PATH = storeConfig.path;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const job = (id, status, minutesAgo) => ({
+      id,
+      status,
+      pageData: reel(id),
+      addedAt: new Date(Date.now() - minutesAgo * MINUTE),
+      progress: 50,
+    });
+
+    it("re-queues interrupted jobs in submission order", () => {
+      const store = new JobStore(config.JOB_STORE_PATH);
+      store.save(job("queued", "queued", 5));
+      store.save(job("interrupted", "processing", 10));
+      store.save({ ...job("done", "completed", 20), completedAt: new Date() });
+
+      const restored = new JobManager();
+
+      expect(Array.from(restored.queue.keys())).toEqual([
+        "interrupted",
+        "queued",
+      ]);
+      expect(restored.queue.get("interrupted")).toMatchObject({
+        status: "queued",
+        progress: 0,
+        restarts: 1,
+      });
+      expect(restored.completed.has("done")).toBe(true);
+    });
+
+    it("restores the journaled state after a restart", () => {
+      const before = new JobManager();
+      const jobId = before.addJob(reel(1));
+      before.getNextJob();
+      before.completeJob(jobId, { success: true });
+
+      const after = new JobManager();
+      expect(after.completed.get(jobId).status).toBe("completed");
+      expect(after.completed.get(jobId).completedAt).toBeInstanceOf(Date);
+      expect(after.queue.size).toBe(0);
+    });
+  });
+
+  describe("scheduled jobs", () => {
+    const inMinutes = (minutes) => new Date(Date.now() + minutes * MINUTE);
+
+    it("holds jobs with publishAt out of the queue", () => {
+      const jobId = jobManager.addJob(
+        reel(1),
+        {},
+        { publishAt: inMinutes(60) }
+      );
+
+      expect(jobManager.scheduled.get(jobId).status).toBe("scheduled");
+      expect(jobManager.queue.size).toBe(0);
+      expect(jobManager.getNextJob()).toBeNull();
+    });
+
+    it("releases jobs due within the lead time", () => {
+      const soon = jobManager.addJob(reel(1), {}, { publishAt: inMinutes(5) });
+      const later = jobManager.addJob(
+        reel(2),
+        {},
+        { publishAt: inMinutes(60) }
+      );
+
+      expect(
+        jobManager.releaseDueJobs(10 * MINUTE).map((job) => job.id)
+      ).toEqual([soon]);
+      expect(jobManager.queue.get(soon).status).toBe("queued");
+      expect(jobManager.scheduled.has(later)).toBe(true);
+
+      jest.advanceTimersByTime(60 * MINUTE);
+      expect(jobManager.releaseDueJobs().map((job) => job.id)).toEqual([later]);
+    });
+
+    it("lists scheduled jobs by publish time", () => {
+      const later = jobManager.addJob(
+        reel(1),
+        {},
+        { publishAt: inMinutes(60) }
+      );
+      const sooner = jobManager.addJob(
+        reel(2),
+        {},
+        { publishAt: inMinutes(5) }
+      );
+
+      expect(jobManager.getScheduledJobs().map((job) => job.id)).toEqual([
+        sooner,
+        later,
+      ]);
+    });
+
+    it("reschedules scheduled and released jobs", () => {
+      const jobId = jobManager.addJob(reel(1), {}, { publishAt: inMinutes(5) });
+      const onRescheduled = jest.fn();
+      jobManager.on("jobRescheduled", onRescheduled);
+
+      jobManager.rescheduleJob(jobId, inMinutes(30));
+      expect(jobManager.scheduled.get(jobId).publishAt).toEqual(inMinutes(30));
+
+      jobManager.releaseDueJobs(60 * MINUTE);
+      const job = jobManager.rescheduleJob(jobId, inMinutes(120));
+
+      expect(job.status).toBe("scheduled");
+      expect(jobManager.queue.has(jobId)).toBe(false);
+      expect(jobManager.scheduled.has(jobId)).toBe(true);
+      expect(onRescheduled).toHaveBeenCalledTimes(2);
+    });
+
+    it("lists released jobs until they are published", () => {
+      const jobId = jobManager.addJob(reel(1), {}, { publishAt: inMinutes(2) });
+      jobManager.releaseDueJobs(5 * MINUTE);
+      expect(jobManager.getScheduledJobs()).toEqual([
+        expect.objectContaining({ id: jobId, status: "queued" }),
+      ]);
+
+      jobManager.getNextJob();
+      jobManager.markWaiting(jobId, "Waiting to publish", inMinutes(2));
+      expect(jobManager.getScheduledJobs()).toEqual([
+        expect.objectContaining({ id: jobId, status: "waiting" }),
+      ]);
+
+      jest.advanceTimersByTime(2 * MINUTE);
+      expect(jobManager.getScheduledJobs()).toEqual([]);
+      expect(jobManager.rescheduleJob(jobId, inMinutes(30))).toBeNull();
+    });
+
+    it("takes started jobs back to scheduled without using an attempt", () => {
+      const jobId = jobManager.addJob(reel(1), {}, { publishAt: inMinutes(2) });
+      jobManager.releaseDueJobs(5 * MINUTE);
+      jobManager.getNextJob();
+      jobManager.updateJobProgress(jobId, 60, "Downloaded");
+
+      const job = jobManager.rescheduleJob(jobId, inMinutes(60));
+
+      expect(job).toMatchObject({
+        status: "scheduled",
+        publishAt: inMinutes(60),
+        attempts: 0,
+        progress: 0,
+      });
+      expect(jobManager.processing.has(jobId)).toBe(false);
+      expect(jobManager.scheduled.get(jobId)).toBe(job);
+    });
+
+    it("does not reschedule jobs without a publish time", () => {
+      const jobId = jobManager.addJob(reel(1));
+
+      expect(jobManager.rescheduleJob(jobId, inMinutes(30))).toBeNull();
+      expect(jobManager.rescheduleJob("missing", inMinutes(30))).toBeNull();
+      expect(jobManager.queue.has(jobId)).toBe(true);
+    });
+  });
+
+  describe("dead-letter retry", () => {
+    const maxQueueSize = config.MAX_QUEUE_SIZE;
+
+    afterEach(() => {
+      config.MAX_QUEUE_SIZE = maxQueueSize;
+    });
+
+    const fail = (n, code) => {
+      const jobId = jobManager.addJob(reel(n));
+      jobManager.getNextJob();
+      jobManager.failJob(jobId, new AppError(code, `${code} error`));
+      jest.advanceTimersByTime(1000);
+      return jobId;
+    };
+
+    it("lists failed jobs newest first, optionally by error code", () => {
+      const first = fail(1, "NOT_FOUND");
+      const second = fail(2, "COOKIES_EXPIRED");
+      const third = fail(3, "NOT_FOUND");
+
+      const ids = (jobs) => jobs.map((job) => job.id);
+      expect(ids(jobManager.getFailedJobs())).toEqual([third, second, first]);
+      expect(ids(jobManager.getFailedJobs("NOT_FOUND"))).toEqual([
+        third,
+        first,
+      ]);
+    });
+
+    it("re-queues with a fresh attempt budget and keeps the history", () => {
+      const jobId = fail(1, "COOKIES_EXPIRED");
+
+      const job = jobManager.requeueFailedJob(jobId);
+
+      expect(job).toMatchObject({
+        status: "queued",
+        progress: 0,
+        attempts: 0,
+        error: null,
+        errorCode: null,
+        failedAt: null,
+        manualRetries: 1,
+      });
+      expect(job.retryHistory).toHaveLength(1);
+      expect(job.retryHistory[0].errorCode).toBe("COOKIES_EXPIRED");
+      expect(jobManager.failed.has(jobId)).toBe(false);
+      expect(jobManager.getNextJob().attempts).toBe(1);
+    });
+
+    it("leaves jobs that are not failed alone", () => {
+      const jobId = jobManager.addJob(reel(1));
+
+      expect(jobManager.requeueFailedJob(jobId)).toBeNull();
+      expect(jobManager.requeueFailedJob("missing")).toBeNull();
+    });
+
+    it("refuses to re-queue into a full queue", () => {
+      const jobId = fail(1, "NOT_FOUND");
+      config.MAX_QUEUE_SIZE = 1;
+      jobManager.addJob(reel(2));
+
+      expect(() => jobManager.requeueFailedJob(jobId)).toThrow(
+        expect.objectContaining({ code: "QUEUE_FULL" })
+      );
+      expect(jobManager.failed.has(jobId)).toBe(true);
+    });
+  });
+
+  describe("getNextJob", () => {
+    const add = (n, priority) => {
+      const jobId = jobManager.addJob(reel(n), {}, { priority });
+      jest.advanceTimersByTime(1000);
+      return jobId;
+    };
+
+    const drain = () => {
+      const order = [];
+      let job;
+      while ((job = jobManager.getNextJob())) order.push(job.id);
+      return order;
+    };
+
+    it("takes higher priority first, then the oldest job", () => {
+      const low = add(1, "low");
+      const normal1 = add(2);
+      const high = add(3, "high");
+      const normal2 = add(4, "normal");
+
+      expect(drain()).toEqual([high, normal1, normal2, low]);
+    });
+
+    it("uses the changed priority of a queued job", () => {
+      const first = add(1);
+      const second = add(2);
+      jobManager.setJobPriority(second, "high");
+
+      expect(drain()).toEqual([second, first]);
+    });
+
+    it("skips jobs waiting for a retry backoff", () => {
+      const retried = add(1, "high");
+      jobManager.getNextJob();
+      jobManager.retryJob(retried, new Error("boom"), MINUTE);
+      const other = add(2, "low");
+
+      expect(jobManager.getNextJob().id).toBe(other);
+      expect(jobManager.getNextJob()).toBeNull();
+
+      jest.advanceTimersByTime(MINUTE);
+      const job = jobManager.getNextJob();
+      expect(job.id).toBe(retried);
+      expect(job.attempts).toBe(2);
+    });
+  });
+
+  describe("expireQueuedJobs", () => {
+    it("fails jobs queued longer than maxAge with JOB_EXPIRED", () => {
+      const oldId = jobManager.addJob(reel(1));
+      jest.advanceTimersByTime(50 * MINUTE);
+      const newId = jobManager.addJob(reel(2));
+      jest.advanceTimersByTime(15 * MINUTE);
+
+      expect(jobManager.expireQueuedJobs(60 * MINUTE)).toEqual([oldId]);
+      expect(jobManager.failed.get(oldId).errorCode).toBe("JOB_EXPIRED");
+      expect(jobManager.queue.has(newId)).toBe(true);
+    });
+
+    it("counts the age from the end of the retry backoff", () => {
+      const jobId = jobManager.addJob(reel(1));
+      jobManager.getNextJob();
+      jobManager.retryJob(jobId, new Error("boom"), 30 * MINUTE);
+      jest.advanceTimersByTime(80 * MINUTE);
+
+      expect(jobManager.expireQueuedJobs(60 * MINUTE)).toEqual([]);
+    });
+
+    it("does not count time the queue spent paused", () => {
+      const jobId = jobManager.addJob(reel(1));
+      jest.advanceTimersByTime(10 * MINUTE);
+
+      // Paused for two hours, resumed five minutes ago
+      const from = Date.now();
+      jest.advanceTimersByTime(120 * MINUTE);
+      const pausedPeriods = [{ from, to: Date.now() }];
+      jest.advanceTimersByTime(5 * MINUTE);
+
+      const job = jobManager.queue.get(jobId);
+      expect(jobManager.getQueuedAge(job, Date.now(), pausedPeriods)).toBe(
+        15 * MINUTE
+      );
+      expect(jobManager.expireQueuedJobs(60 * MINUTE, pausedPeriods)).toEqual(
+        []
+      );
+
+      jest.advanceTimersByTime(50 * MINUTE);
+      expect(jobManager.expireQueuedJobs(60 * MINUTE, pausedPeriods)).toEqual([
+        jobId,
+      ]);
+    });
+
+    it("ignores the part of a pause before the job was queued", () => {
+      const from = Date.now();
+      jest.advanceTimersByTime(30 * MINUTE);
+      const jobId = jobManager.addJob(reel(1));
+      jest.advanceTimersByTime(10 * MINUTE);
+      const pausedPeriods = [{ from, to: Date.now() }];
+
+      const job = jobManager.queue.get(jobId);
+      expect(jobManager.getQueuedAge(job, Date.now(), pausedPeriods)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JobStore = require("../../src/queue/JobStore");
+
+describe("JobStore", () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobstore-"));
+    filePath = path.join(dir, "data", "jobs.jsonl");
+    store = new JobStore(filePath, { compactThreshold: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const journal = () =>
+    fs
+      .readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+
+  it("starts empty without a journal", () => {
+    expect(store.load()).toEqual([]);
+  });
+
+  it("replays the journal to the latest state of every job", () => {
+    store.save({ id: "a", status: "queued" });
+    store.save({ id: "b", status: "queued" });
+    store.save({ id: "a", status: "completed" });
+    store.remove("b");
+
+    expect(new JobStore(filePath).load()).toEqual([
+      { id: "a", status: "completed" },
+    ]);
+  });
+
+  it("revives date fields", () => {
+    const addedAt = new Date("2024-01-01T12:00:00Z");
+    store.save({ id: "a", addedAt, completedAt: addedAt, note: "2024-01-01" });
+
+    const [job] = store.load();
+    expect(job.addedAt).toBeInstanceOf(Date);
+    expect(job.addedAt.getTime()).toBe(addedAt.getTime());
+    expect(job.completedAt).toBeInstanceOf(Date);
+    expect(job.note).toBe("2024-01-01");
+  });
+
+  it("skips a truncated line left by a crash", () => {
+    store.save({ id: "a", status: "queued" });
+    fs.appendFileSync(filePath, '{"op":"put","job":{"id":"b"');
+
+    expect(store.load()).toEqual([{ id: "a", status: "queued" }]);
+  });
+
+  it("compacts the journal on load", () => {
+    store.save({ id: "a", status: "queued" });
+    store.save({ id: "a", status: "processing" });
+    store.save({ id: "b", status: "queued" });
+    store.remove("b");
+
+    store.load();
+
+    expect(journal()).toEqual([
+      { op: "put", job: { id: "a", status: "processing" } },
+    ]);
+    expect(store.needsCompaction()).toBe(false);
+  });
+
+  it("asks for compaction after compactThreshold entries", () => {
+    store.save({ id: "a" });
+    store.save({ id: "a" });
+    expect(store.needsCompaction()).toBe(false);
+
+    store.remove("a");
+    expect(store.needsCompaction()).toBe(true);
+
+    store.compact([{ id: "c" }]);
+    expect(store.needsCompaction()).toBe(false);
+    expect(journal()).toEqual([{ op: "put", job: { id: "c" } }]);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+});
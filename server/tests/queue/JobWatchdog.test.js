@@ -0,0 +1,84 @@
+const JobWatchdog = require("../../src/queue/JobWatchdog");
+
+const MINUTE = 60 * 1000;
+
+describe("JobWatchdog", () => {
+  let abortController;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    abortController = new AbortController();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("aborts the job with JOB_TIMEOUT once the budget is used up", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, 10 * MINUTE);
+    watchdog.start();
+
+    jest.advanceTimersByTime(10 * MINUTE - 1);
+    expect(abortController.signal.aborted).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(abortController.signal.reason).toMatchObject({
+      code: "JOB_TIMEOUT",
+      timeout: 10 * MINUTE,
+      retryable: false,
+    });
+  });
+
+  it("does not count suspended time", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, 10 * MINUTE);
+    watchdog.start();
+    jest.advanceTimersByTime(6 * MINUTE);
+
+    // Waiting for publishAt or a publish slot
+    watchdog.suspend();
+    jest.advanceTimersByTime(60 * MINUTE);
+    expect(abortController.signal.aborted).toBe(false);
+
+    watchdog.start();
+    jest.advanceTimersByTime(4 * MINUTE - 1);
+    expect(abortController.signal.aborted).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(abortController.signal.aborted).toBe(true);
+  });
+
+  it("ignores repeated start calls", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, 10 * MINUTE);
+    watchdog.start();
+    jest.advanceTimersByTime(5 * MINUTE);
+    watchdog.start();
+
+    jest.advanceTimersByTime(5 * MINUTE);
+    expect(abortController.signal.aborted).toBe(true);
+  });
+
+  it("never fires after stop", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, 10 * MINUTE);
+    watchdog.start();
+    watchdog.stop();
+
+    jest.advanceTimersByTime(20 * MINUTE);
+    expect(abortController.signal.aborted).toBe(false);
+  });
+
+  it("keeps an earlier abort reason", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, MINUTE);
+    watchdog.start();
+    const cancelled = new Error("Job cancelled");
+    abortController.abort(cancelled);
+
+    jest.advanceTimersByTime(MINUTE);
+    expect(abortController.signal.reason).toBe(cancelled);
+  });
+
+  it("is disabled by a zero timeout", () => {
+    const watchdog = new JobWatchdog("job-1", abortController, 0);
+    watchdog.start();
+
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+const PublishThrottle = require("../../src/queue/PublishThrottle");
+
+const MINUTE = 60 * 1000;
+
+// Local time, quiet hours are configured in server time
+const at = (hours, minutes = 0) =>
+  new Date(2024, 0, 1, hours, minutes).getTime();
+
+describe("PublishThrottle", () => {
+  describe("getNextSlot", () => {
+    it("is free when no limits are set", () => {
+      const throttle = new PublishThrottle({ maxPerHour: 0, minInterval: 0 });
+      throttle.history = [at(11, 59), at(12, 0)];
+
+      expect(throttle.getNextSlot(at(12, 0))).toBe(at(12, 0));
+    });
+
+    it("keeps the minimum spacing after the last post", () => {
+      const throttle = new PublishThrottle({ minInterval: 10 * MINUTE });
+      throttle.history = [at(12, 0)];
+
+      expect(throttle.getNextSlot(at(12, 3))).toBe(at(12, 10));
+      expect(throttle.getNextSlot(at(12, 20))).toBe(at(12, 20));
+    });
+
+    it("waits for the oldest post of the hour to age out", () => {
+      const throttle = new PublishThrottle({ maxPerHour: 2, minInterval: 0 });
+      throttle.history = [at(11, 30), at(11, 50)];
+
+      expect(throttle.getNextSlot(at(12, 0))).toBe(at(12, 30));
+      // 11:30 has aged out by 12:40
+      expect(throttle.getNextSlot(at(12, 40))).toBe(at(12, 40));
+      expect(throttle.history).toEqual([at(11, 50)]);
+    });
+
+    it("moves slots inside quiet hours to their end", () => {
+      const throttle = new PublishThrottle({
+        minInterval: 0,
+        quietHours: "23-7",
+      });
+
+      expect(throttle.getNextSlot(at(23, 30))).toBe(
+        new Date(2024, 0, 2, 7).getTime()
+      );
+      expect(throttle.getNextSlot(at(3, 0))).toBe(at(7, 0));
+      expect(throttle.getNextSlot(at(12, 0))).toBe(at(12, 0));
+    });
+
+    it("applies quiet hours after the spacing", () => {
+      const throttle = new PublishThrottle({
+        minInterval: 30 * MINUTE,
+        quietHours: "13-14",
+      });
+      throttle.history = [at(12, 45)];
+
+      expect(throttle.getNextSlot(at(12, 50))).toBe(at(14, 0));
+    });
+  });
+
+  describe("parseQuietHours", () => {
+    it.each([
+      ["23-7", { start: 23, end: 7 }],
+      [" 1-5 ", { start: 1, end: 5 }],
+      ["", null],
+      ["7-7", null],
+      ["22-24", null],
+      ["night", null],
+    ])("parses %j", (value, expected) => {
+      const throttle = new PublishThrottle({ minInterval: 0 });
+
+      expect(throttle.parseQuietHours(value)).toEqual(expected);
+    });
+  });
+
+  describe("acquire", () => {
+    it("grants slots in request order with the spacing", async () => {
+      const throttle = new PublishThrottle({ maxPerHour: 0, minInterval: 50 });
+      const granted = [];
+      const onWait = jest.fn();
+
+      await Promise.all(
+        [1, 2, 3].map((n) =>
+          throttle.acquire(onWait).then(() => granted.push([n, Date.now()]))
+        )
+      );
+
+      expect(granted.map(([n]) => n)).toEqual([1, 2, 3]);
+      expect(granted[1][1] - granted[0][1]).toBeGreaterThanOrEqual(45);
+      expect(granted[2][1] - granted[1][1]).toBeGreaterThanOrEqual(45);
+      // Only the callers behind the first one had to wait
+      expect(onWait).toHaveBeenCalledTimes(2);
+      expect(throttle.waiting).toBe(0);
+    });
+
+    it("lets an aborted caller leave without taking a slot", async () => {
+      const throttle = new PublishThrottle({ maxPerHour: 0, minInterval: 50 });
+      const controller = new AbortController();
+
+      await throttle.acquire();
+      const aborted = throttle.acquire(undefined, controller.signal);
+      const next = throttle.acquire();
+      controller.abort(new Error("cancelled"));
+
+      await expect(aborted).rejects.toThrow("cancelled");
+      await next;
+      expect(throttle.history).toHaveLength(2);
+      expect(throttle.waiting).toBe(0);
+    });
+
+    it("throws right away when already aborted", () => {
+      const throttle = new PublishThrottle({ minInterval: 0 });
+
+      expect(() =>
+        throttle.acquire(undefined, AbortSignal.abort(new Error("gone")))
+      ).toThrow("gone");
+      expect(throttle.waiting).toBe(0);
+    });
+  });
+});
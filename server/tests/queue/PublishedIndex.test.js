@@ -0,0 +1,86 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PublishedIndex = require("../../src/queue/PublishedIndex");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("PublishedIndex", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "published-"));
+    filePath = path.join(dir, "data", "published.json");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("builds keys from every known identity", () => {
+    expect(
+      PublishedIndex.keysFor({
+        normalizedUrl: "https://www.instagram.com/reel/ABC/",
+        shortcode: "ABC",
+        postId: 123,
+      })
+    ).toEqual([
+      "url:https://www.instagram.com/reel/ABC/",
+      "shortcode:ABC",
+      "post:123",
+    ]);
+    expect(PublishedIndex.keysFor({ shortcode: "ABC" })).toEqual([
+      "shortcode:ABC",
+    ]);
+  });
+
+  it("finds a post by any of its keys", () => {
+    const index = new PublishedIndex(filePath, 30 * DAY);
+    index.add(["url:https://x/reel/ABC/", "shortcode:ABC"], {
+      jobId: "j1",
+      telegramMessageId: 42,
+    });
+
+    expect(index.find(["shortcode:ABC"])).toMatchObject({
+      jobId: "j1",
+      telegramMessageId: 42,
+      publishedAt: "2024-01-01T12:00:00.000Z",
+    });
+    expect(index.find(["post:1", "url:https://x/reel/ABC/"]).jobId).toBe("j1");
+    expect(index.find(["shortcode:XYZ"])).toBeNull();
+  });
+
+  it("keeps records across restarts", () => {
+    new PublishedIndex(filePath, 30 * DAY).add(["shortcode:ABC"], {
+      jobId: "j1",
+    });
+
+    const reloaded = new PublishedIndex(filePath, 30 * DAY);
+    expect(reloaded.find(["shortcode:ABC"]).jobId).toBe("j1");
+    expect(reloaded.getStats()).toEqual({
+      keys: 1,
+      publishedPosts: 1,
+      retentionDays: 30,
+    });
+  });
+
+  it("forgets records older than the retention", () => {
+    const index = new PublishedIndex(filePath, 30 * DAY);
+    index.add(["shortcode:OLD"], { jobId: "j1" });
+    jest.advanceTimersByTime(31 * DAY);
+    index.add(["shortcode:NEW"], { jobId: "j2" });
+
+    expect(index.find(["shortcode:OLD"])).toBeNull();
+    expect(new PublishedIndex(filePath, 30 * DAY).entries.size).toBe(1);
+  });
+
+  it("starts empty when the file is unreadable", () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, "{not json");
+
+    expect(new PublishedIndex(filePath, 30 * DAY).entries.size).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+const RetryPolicy = require("../../src/queue/RetryPolicy");
+const { AppError } = require("../../src/utils/errors");
+
+describe("RetryPolicy", () => {
+  let policy;
+
+  beforeEach(() => {
+    policy = new RetryPolicy({
+      maxAttempts: 3,
+      baseDelay: 1000,
+      maxDelay: 5000,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("isRetryable", () => {
+    it("honors an explicit decision on the error", () => {
+      expect(policy.isRetryable(new AppError("NETWORK_ERROR", "x"))).toBe(true);
+      expect(policy.isRetryable(new AppError("PRIVATE_CONTENT", "x"))).toBe(
+        false
+      );
+
+      const error = new Error("socket hang up");
+      error.retryable = false;
+      expect(policy.isRetryable(error)).toBe(false);
+    });
+
+    it("never retries client errors", () => {
+      const error = new Error("timeout");
+      error.statusCode = 409;
+
+      expect(policy.isRetryable(error)).toBe(false);
+    });
+
+    it("retries only Telegram rate limits and server errors", () => {
+      const withCode = (telegramCode) =>
+        Object.assign(new Error("Telegram"), { telegramCode });
+
+      expect(policy.isRetryable(withCode(429))).toBe(true);
+      expect(policy.isRetryable(withCode(502))).toBe(true);
+      expect(policy.isRetryable(withCode(400))).toBe(false);
+    });
+
+    it("retries transient network codes", () => {
+      const error = Object.assign(new Error("boom"), { code: "ECONNRESET" });
+
+      expect(policy.isRetryable(error)).toBe(true);
+    });
+
+    it.each([
+      ["Read timed out", true],
+      ["socket hang up", true],
+      ["HTTP 503 error response", true],
+      ["Too Many Requests", true],
+      ["Invalid URL", false],
+      ["", false],
+    ])("classifies %j by message", (message, expected) => {
+      expect(policy.isRetryable(new Error(message))).toBe(expected);
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    const transient = () => new AppError("NETWORK_ERROR", "reset");
+
+    it("backs off exponentially with equal jitter", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0);
+
+      expect(policy.getRetryDelay({ attempts: 1 }, transient())).toBe(500);
+      expect(policy.getRetryDelay({ attempts: 2 }, transient())).toBe(1000);
+
+      Math.random.mockReturnValue(1);
+      expect(policy.getRetryDelay({ attempts: 2 }, transient())).toBe(2000);
+    });
+
+    it("caps the backoff at maxDelay", () => {
+      jest.spyOn(Math, "random").mockReturnValue(1);
+
+      const job = { attempts: 9, maxAttempts: 10 };
+      expect(policy.getRetryDelay(job, transient())).toBe(5000);
+    });
+
+    it("gives up when attempts are exhausted", () => {
+      expect(policy.getRetryDelay({ attempts: 3 }, transient())).toBeNull();
+      expect(
+        policy.getRetryDelay({ attempts: 3, maxAttempts: 5 }, transient())
+      ).not.toBeNull();
+    });
+
+    it("gives up on permanent errors", () => {
+      const error = new AppError("COOKIES_EXPIRED", "login required");
+
+      expect(policy.getRetryDelay({ attempts: 1 }, error)).toBeNull();
+    });
+
+    it("waits at least as long as Telegram asks", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0);
+      const error = new AppError("TELEGRAM_RATE_LIMITED", "slow down", {
+        retryAfter: 30,
+      });
+
+      expect(policy.getRetryDelay({ attempts: 1 }, error)).toBe(30000);
+    });
+  });
+});
@@ -0,0 +1,397 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const VideoQueue = require("../../src/queue/VideoQueue");
+const PublishedIndex = require("../../src/queue/PublishedIndex");
+const { AppError } = require("../../src/utils/errors");
+
+const MINUTE = 60 * 1000;
+
+const reel = (n) => ({ pageUrl: `https://www.instagram.com/reel/ABC${n}/` });
+
+describe("VideoQueue", () => {
+  const maxAge = config.QUEUE_MAX_AGE;
+  let queue;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    config.QUEUE_MAX_AGE = 60 * MINUTE;
+
+    queue = new VideoQueue();
+    // Jobs stay queued, nothing is downloaded
+    queue.processNext = jest.fn();
+  });
+
+  afterEach(() => {
+    config.QUEUE_MAX_AGE = maxAge;
+    jest.useRealTimers();
+  });
+
+  describe("duplicate detection", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "videoqueue-"));
+      queue.publishedIndex = new PublishedIndex(
+        path.join(dir, "published.json"),
+        0
+      );
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("rejects a post that is already queued under another URL", () => {
+      const jobId = queue.addJob(reel(1));
+
+      expect(() =>
+        queue.addJob({
+          pageUrl: "https://www.instagram.com/p/ABC1/?igsh=share",
+        })
+      ).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          duplicate: expect.objectContaining({ jobId, status: "queued" }),
+        })
+      );
+    });
+
+    it("rejects a post that was already published", () => {
+      const job = { id: "j1", pageData: reel(1) };
+      queue.recordPublished(job, { post_id: "123" }, { message_id: 42 });
+
+      expect(() => queue.addJob(reel(1))).toThrow(
+        expect.objectContaining({
+          statusCode: 409,
+          message: expect.stringContaining("message 42"),
+          duplicate: expect.objectContaining({ status: "published" }),
+        })
+      );
+    });
+
+    it("accepts duplicates with force", () => {
+      queue.addJob(reel(1));
+
+      expect(queue.addJob(reel(1), {}, { force: true })).toEqual(
+        expect.any(String)
+      );
+      expect(queue.jobManager.queue.size).toBe(2);
+    });
+  });
+
+  describe("pause and resume", () => {
+    beforeEach(() => {
+      // Workers run, jobs never finish
+      delete queue.processNext;
+      queue.processJob = jest.fn(() => new Promise(() => {}));
+    });
+
+    it("keeps jobs queued while paused", () => {
+      expect(queue.pause("maintenance", "admin")).toBe(true);
+      expect(queue.pause("again")).toBe(false);
+
+      const jobId = queue.addJob(reel(1));
+      jest.advanceTimersByTime(10);
+
+      expect(queue.processJob).not.toHaveBeenCalled();
+      expect(queue.jobManager.queue.has(jobId)).toBe(true);
+      expect(queue.paused).toMatchObject({
+        reason: "maintenance",
+        by: "admin",
+      });
+    });
+
+    it("fills free workers on resume", () => {
+      queue.pause();
+      const jobIds = [1, 2, 3, 4].map((n) => queue.addJob(reel(n)));
+      jest.advanceTimersByTime(10);
+
+      expect(queue.resume()).toBe(true);
+      expect(queue.resume()).toBe(false);
+
+      const started = Math.min(jobIds.length, config.MAX_CONCURRENT_DOWNLOADS);
+      expect(queue.processJob).toHaveBeenCalledTimes(started);
+      expect(queue.jobManager.processing.has(jobIds[0])).toBe(true);
+    });
+
+    it("lets running jobs continue", () => {
+      const jobId = queue.addJob(reel(1));
+      jest.advanceTimersByTime(10);
+      queue.pause();
+
+      expect(queue.jobManager.processing.has(jobId)).toBe(true);
+      expect(queue.abortControllers.get(jobId).signal.aborted).toBe(false);
+    });
+  });
+
+  describe("publish slots", () => {
+    const maxWaiting = config.PUBLISH_MAX_WAITING;
+    let grants;
+
+    beforeEach(() => {
+      config.PUBLISH_MAX_WAITING = 1;
+      // Channel cadence that keeps every caller waiting until granted
+      grants = [];
+      queue.publishThrottle.acquire = jest.fn(
+        (onWait) =>
+          new Promise((resolve) => {
+            onWait(new Date(Date.now() + MINUTE));
+            grants.push(resolve);
+          })
+      );
+    });
+
+    afterEach(() => {
+      config.PUBLISH_MAX_WAITING = maxWaiting;
+    });
+
+    const downloaded = (n) => {
+      const jobId = queue.addJob(reel(n));
+      queue.jobManager.getNextJob();
+      return queue.jobManager.processing.get(jobId);
+    };
+
+    it("gives the worker back to at most PUBLISH_MAX_WAITING jobs", async () => {
+      const [first, second, third] = [1, 2, 3].map(downloaded);
+      const releases = [jest.fn(), jest.fn(), jest.fn()];
+
+      const waits = [first, second].map((job, i) =>
+        queue.waitForPublishSlot(job, releases[i])
+      );
+
+      expect(releases[0]).toHaveBeenCalled();
+      expect(releases[1]).not.toHaveBeenCalled();
+      expect(second.status).toBe("waiting");
+
+      grants[0]();
+      await waits[0];
+      expect(first.status).toBe("processing");
+
+      queue.waitForPublishSlot(third, releases[2]);
+      expect(releases[2]).toHaveBeenCalled();
+    });
+
+    it("does not count waits that were cancelled", async () => {
+      queue.publishThrottle.acquire.mockImplementationOnce((onWait) => {
+        onWait(new Date());
+        return Promise.reject(new Error("Job cancelled"));
+      });
+
+      await expect(
+        queue.waitForPublishSlot(downloaded(1), jest.fn())
+      ).rejects.toThrow("Job cancelled");
+
+      const release = jest.fn();
+      queue.waitForPublishSlot(downloaded(2), release);
+      expect(release).toHaveBeenCalled();
+    });
+  });
+
+  describe("rescheduling", () => {
+    beforeEach(() => {
+      // Downloaded jobs hold for their publish time and never finish
+      delete queue.processNext;
+      queue.processJob = jest.fn(async (job, releaseWorker, signal) => {
+        await queue.waitForPublishTime(job, releaseWorker, signal);
+        return new Promise(() => {});
+      });
+    });
+
+    it("takes back a job held for its publish time", async () => {
+      const jobId = queue.addJob(
+        reel(1),
+        {},
+        { publishAt: new Date(Date.now() + MINUTE) }
+      );
+      queue.releaseScheduledJobs();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(queue.jobManager.processing.get(jobId).status).toBe("waiting");
+      expect(queue.getScheduledJobs().map(({ id }) => id)).toEqual([jobId]);
+
+      const publishAt = new Date(Date.now() + 60 * MINUTE);
+      expect(queue.rescheduleJob(jobId, publishAt)).toMatchObject({
+        status: "scheduled",
+        publishAt,
+      });
+      await jest.advanceTimersByTimeAsync(2 * MINUTE);
+
+      expect(queue.jobManager.scheduled.get(jobId).status).toBe("scheduled");
+      expect(queue.jobManager.processing.has(jobId)).toBe(false);
+      expect(queue.abortControllers.has(jobId)).toBe(false);
+      expect(queue.activeWorkers).toBe(0);
+    });
+  });
+
+  describe("bulk retry", () => {
+    const fail = (n, code) => {
+      const jobId = queue.addJob(reel(n));
+      queue.jobManager.getNextJob();
+      queue.jobManager.failJob(jobId, new AppError(code, `${code} error`));
+      jest.advanceTimersByTime(1000);
+      return jobId;
+    };
+
+    it("re-queues failed jobs with the given error code, oldest first", () => {
+      const first = fail(1, "NOT_FOUND");
+      const other = fail(2, "COOKIES_EXPIRED");
+      const second = fail(3, "NOT_FOUND");
+
+      expect(queue.retryFailedJobs({ errorCode: "NOT_FOUND" })).toEqual({
+        retried: [first, second],
+        skipped: [],
+      });
+      expect(Array.from(queue.jobManager.queue.keys())).toEqual([
+        first,
+        second,
+      ]);
+      expect(queue.jobManager.failed.has(other)).toBe(true);
+    });
+
+    it("skips posts that were submitted again in the meantime", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "videoqueue-"));
+      queue.publishedIndex = new PublishedIndex(
+        path.join(dir, "published.json"),
+        0
+      );
+
+      try {
+        const failed = fail(1, "NOT_FOUND");
+        const resubmitted = queue.addJob(reel(1), {}, { force: true });
+
+        expect(queue.retryFailedJobs()).toEqual({
+          retried: [],
+          skipped: [
+            {
+              jobId: failed,
+              error: expect.stringContaining(resubmitted),
+              code: "DUPLICATE_CONTENT",
+            },
+          ],
+        });
+        expect(queue.retryFailedJobs({ force: true }).retried).toEqual([
+          failed,
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("job timeout", () => {
+    const queueTimeout = config.QUEUE_TIMEOUT;
+
+    afterEach(() => {
+      config.QUEUE_TIMEOUT = queueTimeout;
+    });
+
+    it("fails a job stuck in processing with JOB_TIMEOUT", async () => {
+      config.QUEUE_TIMEOUT = MINUTE;
+      delete queue.processNext;
+      queue.processJob = jest.fn(() => new Promise(() => {}));
+
+      const jobId = queue.addJob(reel(1));
+      await jest.advanceTimersByTimeAsync(MINUTE + 10);
+
+      expect(queue.jobManager.failed.get(jobId)).toMatchObject({
+        errorCode: "JOB_TIMEOUT",
+      });
+      expect(queue.activeWorkers).toBe(0);
+    });
+  });
+
+  describe("queued job expiry", () => {
+    it("fails jobs queued longer than QUEUE_MAX_AGE", () => {
+      const oldId = queue.addJob(reel(1));
+      jest.advanceTimersByTime(50 * MINUTE);
+      const newId = queue.addJob(reel(2));
+      jest.advanceTimersByTime(15 * MINUTE);
+
+      queue.expireQueuedJobs();
+      expect(queue.jobManager.failed.get(oldId).errorCode).toBe("JOB_EXPIRED");
+      expect(queue.jobManager.queue.has(newId)).toBe(true);
+    });
+
+    it("does not expire jobs while paused", () => {
+      const jobId = queue.addJob(reel(1));
+      queue.pause("maintenance");
+      jest.advanceTimersByTime(120 * MINUTE);
+
+      queue.expireQueuedJobs();
+      expect(queue.jobManager.queue.has(jobId)).toBe(true);
+    });
+
+    it("does not count a pause longer than QUEUE_MAX_AGE after resume", () => {
+      const jobId = queue.addJob(reel(1));
+      jest.advanceTimersByTime(10 * MINUTE);
+      queue.pause("maintenance");
+      jest.advanceTimersByTime(180 * MINUTE);
+      queue.resume();
+
+      queue.expireQueuedJobs();
+      expect(queue.jobManager.queue.has(jobId)).toBe(true);
+
+      jest.advanceTimersByTime(45 * MINUTE);
+      queue.expireQueuedJobs();
+      expect(queue.jobManager.queue.has(jobId)).toBe(true);
+
+      jest.advanceTimersByTime(10 * MINUTE);
+      queue.expireQueuedJobs();
+      expect(queue.jobManager.failed.get(jobId).errorCode).toBe("JOB_EXPIRED");
+    });
+  });
+
+  describe("queue estimates", () => {
+    const MB = 1024 * 1024;
+    const maxConcurrent = config.MAX_CONCURRENT_DOWNLOADS;
+
+    afterEach(() => {
+      config.MAX_CONCURRENT_DOWNLOADS = maxConcurrent;
+    });
+
+    it("lines queued jobs up on the free workers", () => {
+      config.MAX_CONCURRENT_DOWNLOADS = 1;
+      const jobIds = [1, 2, 3].map((n) => queue.addJob(reel(n)));
+
+      // Default estimate: 30s download plus 15s upload
+      expect(jobIds.map((jobId) => queue.getJobEstimate(jobId))).toEqual([
+        expect.objectContaining({ queuePosition: 1, estimatedWaitTime: 0 }),
+        expect.objectContaining({ queuePosition: 2, estimatedWaitTime: 45 }),
+        expect.objectContaining({ queuePosition: 3, estimatedWaitTime: 90 }),
+      ]);
+      expect(queue.getJobEstimate(jobIds[2]).estimatedCompletionAt).toEqual(
+        new Date(Date.now() + 135 * 1000)
+      );
+    });
+
+    it("leaves times unknown while paused", () => {
+      const jobId = queue.addJob(reel(1));
+      queue.pause();
+
+      expect(queue.getJobEstimate(jobId)).toMatchObject({
+        queuePosition: 1,
+        estimatedStartAt: null,
+        estimatedWaitTime: null,
+      });
+    });
+
+    it("estimates jobs with a known media size by throughput", () => {
+      queue.durationStats.record("download", "reel", 10000, 10 * MB);
+      queue.durationStats.record("upload", "reel", 5000, 10 * MB);
+
+      // Two queued jobs, one downloaded by an earlier attempt
+      const big = queue.addJob(reel(1));
+      queue.jobManager.queue.get(big).mediaSize = 40 * MB;
+      const unknown = queue.addJob(reel(2));
+
+      const estimates = queue.getQueueEstimates();
+      const duration = (jobId) =>
+        estimates.get(jobId).estimatedCompletionAt -
+        estimates.get(jobId).estimatedStartAt;
+
+      expect(duration(big)).toBe(60000);
+      expect(duration(unknown)).toBe(15000);
+    });
+  });
+});
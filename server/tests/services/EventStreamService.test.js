@@ -0,0 +1,142 @@
+const { EventEmitter } = require("events");
+const EventStreamService = require("../../src/services/EventStreamService");
+
+// WebSocketService double numbering its broadcasts like the real one
+const createWebSocketService = () => {
+  const webSocketService = new EventEmitter();
+  const history = [];
+
+  webSocketService.broadcast = (event, payload) => {
+    const entry = {
+      event,
+      payload: { ...payload, eventId: history.length + 1 },
+    };
+    history.push(entry);
+    webSocketService.emit("broadcast", entry.event, entry.payload);
+  };
+  webSocketService.getEventsSince = (eventId) =>
+    history.filter((entry) => entry.payload.eventId > eventId);
+
+  return webSocketService;
+};
+
+const connect = (service, { query = {}, headers = {} } = {}) => {
+  const req = new EventEmitter();
+  req.query = query;
+  req.get = (name) => headers[name];
+
+  const res = {
+    chunks: [],
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn((chunk) => res.chunks.push(chunk)),
+    end: jest.fn(),
+  };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+
+  service.handleRequest(req, res);
+  return { req, res };
+};
+
+// Parsed "id/event/data" frames written to the stream
+const frames = (res) =>
+  res.chunks
+    .filter((chunk) => chunk.startsWith("id:"))
+    .map((chunk) => {
+      const [, id, event, data] = chunk.match(
+        /^id: (\d+)\nevent: (.+)\ndata: (.+)\n\n$/
+      );
+      return { id: Number(id), event, jobId: JSON.parse(data).jobId };
+    });
+
+describe("EventStreamService", () => {
+  let webSocketService;
+  let service;
+
+  beforeEach(() => {
+    webSocketService = createWebSocketService();
+    service = new EventStreamService(webSocketService);
+  });
+
+  afterEach(() => {
+    service.shutdown();
+  });
+
+  it("relays broadcasts in SSE format", () => {
+    const { res } = connect(service);
+
+    webSocketService.broadcast("job:progress", { jobId: "a", progress: 50 });
+    webSocketService.broadcast("queue:stats", { queued: 1 });
+    webSocketService.broadcast("job:other", { jobId: "a" });
+
+    expect(res.set).toHaveBeenCalledWith(
+      expect.objectContaining({ "Content-Type": "text/event-stream" })
+    );
+    expect(res.chunks[0]).toMatch(/^retry: \d+\n\n$/);
+    expect(frames(res)).toEqual([
+      { id: 1, event: "job:progress", jobId: "a" },
+      { id: 2, event: "queue:stats", jobId: undefined },
+    ]);
+  });
+
+  it("filters job events by jobId and events by name", () => {
+    const { res: jobs } = connect(service, { query: { jobId: "a,b" } });
+    const { res: finished } = connect(service, {
+      query: { events: "job:finished" },
+    });
+
+    webSocketService.broadcast("job:progress", { jobId: "a" });
+    webSocketService.broadcast("job:progress", { jobId: "c" });
+    webSocketService.broadcast("job:finished", { jobId: "b" });
+    webSocketService.broadcast("memory:stats", {});
+
+    expect(frames(jobs).map(({ id }) => id)).toEqual([1, 3, 4]);
+    expect(frames(finished).map(({ id }) => id)).toEqual([3]);
+  });
+
+  it("rejects unknown event names", () => {
+    const { res } = connect(service, {
+      query: { events: "job:progress,nope" },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith(
+      expect.objectContaining({ code: "INVALID_REQUEST" })
+    );
+    expect(service.clients.size).toBe(0);
+  });
+
+  it("replays events after Last-Event-ID through the filters", () => {
+    webSocketService.broadcast("job:progress", { jobId: "a" });
+    webSocketService.broadcast("job:progress", { jobId: "b" });
+    webSocketService.broadcast("job:finished", { jobId: "a" });
+
+    const { res } = connect(service, {
+      query: { jobId: "a" },
+      headers: { "Last-Event-ID": "1" },
+    });
+    webSocketService.broadcast("job:progress", { jobId: "a" });
+
+    expect(frames(res).map(({ id }) => id)).toEqual([3, 4]);
+  });
+
+  it("takes lastEventId from the query when the header is missing", () => {
+    webSocketService.broadcast("queue:stats", {});
+    webSocketService.broadcast("queue:stats", {});
+
+    const { res } = connect(service, { query: { lastEventId: "1" } });
+
+    expect(frames(res).map(({ id }) => id)).toEqual([2]);
+  });
+
+  it("forgets clients once they disconnect", () => {
+    const { req, res } = connect(service);
+    req.emit("close");
+
+    webSocketService.broadcast("queue:stats", {});
+
+    expect(frames(res)).toEqual([]);
+    expect(service.getStats()).toEqual({ clients: 0 });
+  });
+});
@@ -0,0 +1,129 @@
+const TelegramService = require("../../src/services/TelegramService");
+
+const ftyp = (brand) =>
+  Buffer.concat([
+    Buffer.from([0, 0, 0, 0x18]),
+    Buffer.from(`ftyp${brand}`, "latin1"),
+    Buffer.alloc(16),
+  ]);
+const VIDEO = ftyp("isom");
+const HEIC = ftyp("heic");
+
+describe("TelegramService", () => {
+  let service;
+  let callApi;
+
+  beforeEach(() => {
+    service = new TelegramService();
+    callApi = jest.fn(async () => ({ message_id: 1 }));
+    service.bot.telegram.callApi = callApi;
+  });
+
+  describe("upload abort", () => {
+    it("hands the job signal to the upload", async () => {
+      const controller = new AbortController();
+
+      await service.sendMedia(
+        VIDEO,
+        {},
+        "https://www.instagram.com/reel/ABC/",
+        "job-1",
+        "video",
+        [],
+        controller.signal
+      );
+
+      expect(callApi).toHaveBeenCalledWith(
+        "sendVideo",
+        expect.objectContaining({ caption: expect.any(String) }),
+        { signal: controller.signal }
+      );
+    });
+
+    it("stops the upload when the job is cancelled", async () => {
+      const controller = new AbortController();
+      callApi.mockImplementation(
+        (method, payload, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => reject(signal.reason));
+          })
+      );
+
+      const sending = service.sendMedia(
+        [VIDEO, VIDEO],
+        {},
+        "https://www.instagram.com/p/ABC/",
+        "job-1",
+        "auto",
+        [],
+        controller.signal
+      );
+      controller.abort(new Error("Job cancelled"));
+
+      await expect(sending).rejects.toThrow("Job cancelled");
+      expect(callApi).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("sendMediaGroup", () => {
+    const carousel = [VIDEO, VIDEO, HEIC, HEIC];
+    const send = () =>
+      service.sendMedia(
+        carousel,
+        {},
+        "https://www.instagram.com/p/ABC/",
+        "job-1",
+        "auto",
+        []
+      );
+
+    it("posts HEIC files as a separate album of documents", async () => {
+      callApi.mockImplementation(async (method, { media }) =>
+        media.map((item, index) => ({ message_id: index + 1 }))
+      );
+
+      const result = await send();
+
+      expect(callApi.mock.calls.map(([, { media }]) => media)).toEqual([
+        [
+          expect.objectContaining({
+            type: "video",
+            caption: expect.any(String),
+          }),
+          expect.objectContaining({ type: "video" }),
+        ],
+        [
+          expect.objectContaining({ type: "document" }),
+          expect.objectContaining({ type: "document" }),
+        ],
+      ]);
+      expect(result).toMatchObject({ videos_count: 2, documents_count: 2 });
+    });
+
+    it("does not retry a carousel that was partially posted", async () => {
+      const networkError = Object.assign(new Error("socket hang up"), {
+        code: "ECONNRESET",
+      });
+      callApi
+        .mockResolvedValueOnce([{ message_id: 1 }, { message_id: 2 }])
+        .mockRejectedValueOnce(networkError);
+
+      await expect(send()).rejects.toMatchObject({
+        code: "NETWORK_ERROR",
+        retryable: false,
+        message: expect.stringContaining("partially posted"),
+      });
+    });
+
+    it("leaves failures before the first album retryable", async () => {
+      callApi.mockRejectedValueOnce(
+        Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })
+      );
+
+      await expect(send()).rejects.toMatchObject({
+        code: "NETWORK_ERROR",
+        retryable: true,
+      });
+    });
+  });
+});
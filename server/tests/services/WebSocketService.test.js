@@ -0,0 +1,109 @@
+const http = require("http");
+const { EventEmitter } = require("events");
+const WebSocketService = require("../../src/services/WebSocketService");
+const { AppError } = require("../../src/utils/errors");
+
+describe("WebSocketService", () => {
+  let service;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+    service = new WebSocketService(http.createServer());
+  });
+
+  afterEach(() => {
+    service.io.close();
+    jest.useRealTimers();
+  });
+
+  describe("commands", () => {
+    let controller;
+    let socket;
+
+    beforeEach(() => {
+      controller = {
+        submitJob: jest.fn(async () => ({ success: true, jobId: "job-1" })),
+        cancelJob: jest.fn(),
+        retryJob: jest.fn(),
+        pauseQueue: jest.fn(),
+        resumeQueue: jest.fn(async () => ({ success: true, paused: false })),
+      };
+      service.setCommandController(controller);
+
+      socket = new EventEmitter();
+      service.setupCommandHandlers(socket);
+    });
+
+    // Emit command the way socket.io delivers it and wait for the ack
+    const send = (command, ...args) =>
+      new Promise((resolve) => {
+        socket.emit(command, ...args, resolve);
+      });
+
+    it("acks with the handler result", async () => {
+      const payload = { pageUrl: "https://www.instagram.com/reel/ABC/" };
+
+      await expect(send("job:submit", payload)).resolves.toEqual({
+        success: true,
+        jobId: "job-1",
+      });
+      expect(controller.submitJob).toHaveBeenCalledWith(socket, payload);
+    });
+
+    it("accepts commands sent without a payload", async () => {
+      await expect(send("queue:resume")).resolves.toMatchObject({
+        success: true,
+      });
+      expect(controller.resumeQueue).toHaveBeenCalledWith(socket, {});
+    });
+
+    it("acks typed errors with their code", async () => {
+      controller.cancelJob.mockRejectedValue(
+        new AppError("NOT_FOUND", "Job cannot be cancelled")
+      );
+
+      await expect(send("job:cancel", { jobId: "x" })).resolves.toEqual({
+        success: false,
+        error: "Job cannot be cancelled",
+        code: "NOT_FOUND",
+      });
+    });
+
+    it("passes duplicate details and retryAfter along", async () => {
+      const duplicate = { jobId: "job-0", status: "queued" };
+      controller.submitJob.mockRejectedValueOnce(
+        new AppError("DUPLICATE_CONTENT", "Duplicate content", { duplicate })
+      );
+      controller.submitJob.mockRejectedValueOnce(
+        new AppError("RATE_LIMITED", "Slow down", { retryAfter: 30 })
+      );
+
+      await expect(send("job:submit", {})).resolves.toMatchObject({
+        code: "DUPLICATE_CONTENT",
+        duplicate,
+      });
+      await expect(send("job:submit", {})).resolves.toMatchObject({
+        code: "RATE_LIMITED",
+        retryAfter: 30,
+      });
+    });
+
+    it("reports unexpected failures as INTERNAL_ERROR", async () => {
+      controller.pauseQueue.mockRejectedValue(new TypeError("boom"));
+
+      await expect(send("queue:pause", "not an object")).resolves.toEqual({
+        success: false,
+        error: "boom",
+        code: "INTERNAL_ERROR",
+      });
+      expect(controller.pauseQueue).toHaveBeenCalledWith(socket, {});
+    });
+
+    it("runs commands without an ack callback", async () => {
+      socket.emit("job:retry", { jobId: "job-1" });
+      await Promise.resolve();
+
+      expect(controller.retryJob).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const WebhookService = require("../../src/services/WebhookService");
+
+describe("WebhookService", () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+    service = new WebhookService(path.join(dir, "webhooks.json"));
+  });
+
+  afterEach(() => {
+    service.shutdown();
+    config.WEBHOOK_ALLOW_PRIVATE_URLS = false;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("createSubscription", () => {
+    it.each([
+      "http://127.0.0.1:3000/hook",
+      "http://localhost/hook",
+      "http://10.1.2.3/hook",
+      "http://172.20.0.5/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://100.64.0.1/hook",
+      "http://0.0.0.0/hook",
+      "http://0x7f.1/hook",
+      "http://[::1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[fe80::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+    ])("rejects non-public endpoint %s", async (url) => {
+      await expect(service.createSubscription({ url })).rejects.toMatchObject({
+        code: "INVALID_REQUEST",
+      });
+      expect(service.subscriptions.size).toBe(0);
+    });
+
+    it("accepts public addresses", async () => {
+      const subscription = await service.createSubscription({
+        url: "https://93.184.216.34/hook",
+      });
+
+      expect(subscription.url).toBe("https://93.184.216.34/hook");
+      expect(subscription.secret).toHaveLength(48);
+    });
+
+    it("accepts private endpoints when WEBHOOK_ALLOW_PRIVATE_URLS is set", async () => {
+      config.WEBHOOK_ALLOW_PRIVATE_URLS = true;
+
+      await expect(
+        service.createSubscription({ url: "http://127.0.0.1:3000/hook" })
+      ).resolves.toHaveProperty("id");
+    });
+
+    it("rejects non-http protocols", async () => {
+      await expect(
+        service.createSubscription({ url: "file:///etc/passwd" })
+      ).rejects.toThrow("url must use http or https");
+    });
+  });
+
+  it("stores secrets readable by the owner only", async () => {
+    await service.createSubscription({ url: "https://93.184.216.34/hook" });
+
+    const { mode } = fs.statSync(service.filePath);
+    expect(mode & 0o777).toBe(0o600);
+  });
+
+  it("fails deliveries to hosts that turned private without retrying", async () => {
+    config.WEBHOOK_ALLOW_PRIVATE_URLS = true;
+    const subscription = await service.createSubscription({
+      url: "http://127.0.0.1:1/hook",
+    });
+    config.WEBHOOK_ALLOW_PRIVATE_URLS = false;
+
+    service.dispatch("jobAdded", { jobId: "job-1" });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const [delivery] = service.getDeliveries({
+      subscriptionId: subscription.id,
+    });
+    expect(delivery.status).toBe("failed");
+    expect(delivery.attempts).toHaveLength(1);
+    expect(delivery.attempts[0].error).toMatch(/non-public address/);
+  });
+
+  describe("delivery", () => {
+    const retryConfig = {
+      maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+      baseDelay: config.WEBHOOK_RETRY_BASE_DELAY,
+      maxDelay: config.WEBHOOK_RETRY_MAX_DELAY,
+    };
+    let subscription;
+
+    beforeEach(async () => {
+      jest.useFakeTimers({ now: new Date("2024-01-01T12:00:00Z") });
+      jest.spyOn(Math, "random").mockReturnValue(0);
+      config.WEBHOOK_MAX_ATTEMPTS = 3;
+      config.WEBHOOK_RETRY_BASE_DELAY = 1000;
+      config.WEBHOOK_RETRY_MAX_DELAY = 60000;
+
+      global.fetch = jest.fn(async () => new Response(null, { status: 200 }));
+      subscription = await service.createSubscription({
+        url: "https://93.184.216.34/hook",
+        secret: "0123456789abcdef",
+      });
+    });
+
+    afterEach(() => {
+      config.WEBHOOK_MAX_ATTEMPTS = retryConfig.maxAttempts;
+      config.WEBHOOK_RETRY_BASE_DELAY = retryConfig.baseDelay;
+      config.WEBHOOK_RETRY_MAX_DELAY = retryConfig.maxDelay;
+      delete global.fetch;
+      Math.random.mockRestore();
+      jest.useRealTimers();
+    });
+
+    const deliver = async () => {
+      service.dispatch("jobCompleted", { jobId: "job-1", status: "completed" });
+      await jest.advanceTimersByTimeAsync(0);
+      return service.getDeliveries()[0];
+    };
+
+    const respondWith = (status) => {
+      global.fetch.mockImplementation(
+        async () => new Response(null, { status })
+      );
+    };
+
+    it("signs sha256=HMAC of <timestamp>.<body> with the secret", async () => {
+      const delivery = await deliver();
+
+      const [url, { headers, body }] = global.fetch.mock.calls[0];
+      const expected = crypto
+        .createHmac("sha256", subscription.secret)
+        .update(`${headers["X-Webhook-Timestamp"]}.${body}`)
+        .digest("hex");
+
+      expect(url).toBe("https://93.184.216.34/hook");
+      expect(headers["X-Webhook-Timestamp"]).toBe(String(Date.now() / 1000));
+      expect(headers["X-Webhook-Signature"]).toBe(`sha256=${expected}`);
+      expect(headers["X-Webhook-Event"]).toBe("jobCompleted");
+      expect(JSON.parse(body)).toMatchObject({
+        id: delivery.id,
+        event: "jobCompleted",
+        data: { jobId: "job-1", status: "completed" },
+      });
+      expect(delivery.status).toBe("delivered");
+    });
+
+    it("delivers only subscribed events", async () => {
+      await service.createSubscription({
+        url: "https://93.184.216.34/other",
+        events: ["jobFailed"],
+      });
+
+      await deliver();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it.each([500, 503, 408, 429])("retries after HTTP %i", async (status) => {
+      respondWith(status);
+
+      const delivery = await deliver();
+      expect(delivery).toMatchObject({
+        status: "retrying",
+        nextAttemptAt: new Date(Date.now() + 1000).toISOString(),
+      });
+      expect(delivery.attempts[0]).toMatchObject({
+        statusCode: status,
+        error: `HTTP ${status}`,
+      });
+
+      respondWith(204);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(delivery.status).toBe("delivered");
+    });
+
+    it.each([400, 401, 404, 410])("gives up after HTTP %i", async (status) => {
+      respondWith(status);
+
+      const delivery = await deliver();
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.attempts).toHaveLength(1);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("does not follow redirects", async () => {
+      global.fetch.mockImplementation(
+        async () =>
+          new Response(null, {
+            status: 302,
+            headers: { Location: "http://169.254.169.254/latest/meta-data" },
+          })
+      );
+
+      const delivery = await deliver();
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(global.fetch.mock.calls[0][1].redirect).toBe("manual");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(delivery.status).toBe("failed");
+      expect(delivery.attempts[0]).toMatchObject({
+        statusCode: 302,
+        error:
+          "HTTP 302 redirect to http://169.254.169.254/latest/meta-data not followed",
+      });
+    });
+
+    it("retries network errors", async () => {
+      global.fetch.mockRejectedValueOnce(
+        new TypeError("fetch failed", { cause: new Error("ECONNREFUSED") })
+      );
+
+      const delivery = await deliver();
+      expect(delivery.status).toBe("retrying");
+      expect(delivery.attempts[0].error).toBe("ECONNREFUSED");
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(delivery.status).toBe("delivered");
+    });
+
+    it("stops after WEBHOOK_MAX_ATTEMPTS", async () => {
+      respondWith(502);
+
+      const delivery = await deliver();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(delivery.status).toBe("retrying");
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(delivery.status).toBe("failed");
+      expect(delivery.nextAttemptAt).toBeNull();
+      expect(delivery.attempts).toHaveLength(3);
+      expect(service.retryTimers.size).toBe(0);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it("drops retries of deleted subscriptions", async () => {
+      respondWith(500);
+
+      const delivery = await deliver();
+      service.deleteSubscription(subscription.id);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(delivery.status).toBe("failed");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("getRetryDelay", () => {
+    const retryConfig = {
+      baseDelay: config.WEBHOOK_RETRY_BASE_DELAY,
+      maxDelay: config.WEBHOOK_RETRY_MAX_DELAY,
+    };
+
+    beforeEach(() => {
+      config.WEBHOOK_RETRY_BASE_DELAY = 1000;
+      config.WEBHOOK_RETRY_MAX_DELAY = 5000;
+    });
+
+    afterEach(() => {
+      config.WEBHOOK_RETRY_BASE_DELAY = retryConfig.baseDelay;
+      config.WEBHOOK_RETRY_MAX_DELAY = retryConfig.maxDelay;
+      Math.random.mockRestore();
+    });
+
+    it("doubles the delay after every failed attempt", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0);
+
+      expect([1, 2, 3].map((n) => service.getRetryDelay(n))).toEqual([
+        1000, 2000, 4000,
+      ]);
+    });
+
+    it("adds up to 20% jitter", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0.999);
+
+      expect(service.getRetryDelay(2)).toBe(2400);
+    });
+
+    it("caps the delay at WEBHOOK_RETRY_MAX_DELAY", () => {
+      jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+      expect(service.getRetryDelay(3)).toBe(4400);
+      expect(service.getRetryDelay(4)).toBe(5000);
+      expect(service.getRetryDelay(10)).toBe(5000);
+    });
+  });
+});
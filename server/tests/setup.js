@@ -0,0 +1,12 @@
+// Minimal valid configuration; nothing is persisted or sent during tests
+process.env.BOT_TOKEN = process.env.BOT_TOKEN || "123456:test-token";
+process.env.CHANNEL_ID = process.env.CHANNEL_ID || "@test_channel";
+process.env.API_KEY =
+  process.env.API_KEY || "test-api-key-0123456789abcdef0123456789";
+process.env.JOB_STORE_ENABLED = "false";
+process.env.DUPLICATE_CHECK_ENABLED = "false";
+
+// Components log every state change
+jest.spyOn(console, "log").mockImplementation(() => {});
+jest.spyOn(console, "warn").mockImplementation(() => {});
+jest.spyOn(console, "error").mockImplementation(() => {});
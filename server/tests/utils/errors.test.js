@@ -0,0 +1,124 @@
+const {
+  AppError,
+  getErrorCode,
+  classifyDownloaderError,
+  classifyTelegramError,
+} = require("../../src/utils/errors");
+
+describe("AppError", () => {
+  it("takes status and retryability from the code", () => {
+    const error = new AppError("DUPLICATE_CONTENT", "posted", { jobId: "j1" });
+
+    expect(error.code).toBe("DUPLICATE_CONTENT");
+    expect(error.statusCode).toBe(409);
+    expect(error.retryable).toBe(false);
+    expect(error.jobId).toBe("j1");
+  });
+
+  it("leaves retryability undecided for generic codes", () => {
+    expect(new AppError("DOWNLOAD_FAILED", "x")).not.toHaveProperty(
+      "retryable"
+    );
+  });
+
+  it("maps unknown codes to INTERNAL_ERROR", () => {
+    const error = new AppError("NOPE", "x");
+
+    expect(error.code).toBe("INTERNAL_ERROR");
+    expect(error.statusCode).toBe(500);
+  });
+});
+
+describe("getErrorCode", () => {
+  it("returns known codes and INTERNAL_ERROR otherwise", () => {
+    expect(getErrorCode(new AppError("NOT_FOUND", "x"))).toBe("NOT_FOUND");
+    expect(getErrorCode(Object.assign(new Error(), { code: "ENOENT" }))).toBe(
+      "INTERNAL_ERROR"
+    );
+    expect(getErrorCode(null)).toBe("INTERNAL_ERROR");
+  });
+});
+
+describe("classifyDownloaderError", () => {
+  it.each([
+    [
+      "[instagram][error] AuthorizationError: Login required",
+      "COOKIES_EXPIRED",
+    ],
+    ["ERROR: This account is private", "PRIVATE_CONTENT"],
+    ["HttpError: '429 Too Many Requests'", "IG_RATE_LIMITED"],
+    ["[instagram][error] NotFoundError: Requested post", "NOT_FOUND"],
+    ["ConnectionError: Read timed out.", "NETWORK_ERROR"],
+    ["something unexpected", "DOWNLOAD_FAILED"],
+  ])("classifies %j as %s", (stderr, code) => {
+    expect(classifyDownloaderError(stderr, 1).code).toBe(code);
+  });
+
+  it("prefers the first matching pattern", () => {
+    const stderr = "401 Unauthorized\n404 Not Found";
+
+    expect(classifyDownloaderError(stderr, 1).code).toBe("COOKIES_EXPIRED");
+  });
+
+  it("reports the last stderr line and the downloader", () => {
+    const error = classifyDownloaderError("first\nlast line\n\n", 2, "yt-dlp");
+
+    expect(error.message).toBe("yt-dlp failed with code 2: last line");
+    expect(error.exitCode).toBe(2);
+    expect(error.downloader).toBe("yt-dlp");
+  });
+});
+
+describe("classifyTelegramError", () => {
+  const apiError = (error_code, description, parameters) =>
+    Object.assign(new Error(description), {
+      response: { error_code, description, parameters },
+    });
+
+  it("classifies forbidden chats", () => {
+    expect(classifyTelegramError("Send", apiError(403, "Forbidden")).code).toBe(
+      "TELEGRAM_FORBIDDEN"
+    );
+    expect(
+      classifyTelegramError(
+        "Send",
+        apiError(400, "Bad Request: chat not found")
+      ).code
+    ).toBe("TELEGRAM_FORBIDDEN");
+  });
+
+  it("keeps retry_after of rate limits", () => {
+    const error = classifyTelegramError(
+      "Send",
+      apiError(429, "Too Many Requests", { retry_after: 12 })
+    );
+
+    expect(error.code).toBe("TELEGRAM_RATE_LIMITED");
+    expect(error.retryAfter).toBe(12);
+    expect(error.telegramCode).toBe(429);
+  });
+
+  it("classifies oversized media", () => {
+    expect(
+      classifyTelegramError(
+        "Send",
+        apiError(400, "Bad Request: file is too big")
+      ).code
+    ).toBe("MEDIA_TOO_LARGE");
+  });
+
+  it("treats errors without an API response as network errors", () => {
+    const error = Object.assign(new Error("socket hang up"), {
+      code: "ECONNRESET",
+    });
+
+    expect(classifyTelegramError("Send", error).code).toBe("NETWORK_ERROR");
+  });
+
+  it("falls back to TELEGRAM_ERROR", () => {
+    const error = classifyTelegramError("Send video", apiError(400, "Bad"));
+
+    expect(error.code).toBe("TELEGRAM_ERROR");
+    expect(error.message).toBe("Send video: Bad");
+  });
+});
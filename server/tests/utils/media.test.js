@@ -0,0 +1,59 @@
+const { detectMediaType } = require("../../src/utils/media");
+
+// File header padded to the 12 bytes detection needs
+const header = (...parts) => {
+  const buffer = Buffer.concat(
+    parts.map((part) =>
+      Buffer.isBuffer(part) ? part : Buffer.from(part, "latin1")
+    )
+  );
+  const padding = Buffer.alloc(Math.max(0, 16 - buffer.length));
+  return Buffer.concat([buffer, padding]);
+};
+
+const ftyp = (brand) => header(Buffer.from([0, 0, 0, 0x18]), "ftyp", brand);
+
+describe("detectMediaType", () => {
+  it.each([
+    ["JPEG", header(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), "photo", "jpg"],
+    ["PNG", header(Buffer.from([0x89, 0x50, 0x4e, 0x47])), "photo", "png"],
+    ["GIF", header("GIF89a"), "photo", "gif"],
+    ["WebP", header("RIFF", Buffer.alloc(4), "WEBP"), "photo", "webp"],
+    ["HEIC", ftyp("heic"), "document", "heic"],
+    ["HEIF", ftyp("mif1"), "document", "heic"],
+    ["MP4", ftyp("isom"), "video", "mp4"],
+    ["MOV", ftyp("qt  "), "video", "mov"],
+    ["QuickTime", header(Buffer.from([0, 0, 0, 8]), "moov"), "video", "mov"],
+  ])("detects %s by its signature", (name, buffer, type, extension) => {
+    expect(detectMediaType(buffer)).toEqual({ type, extension });
+  });
+
+  it("trusts the signature over the reported extension", () => {
+    expect(detectMediaType(ftyp("isom"), "jpg")).toEqual({
+      type: "video",
+      extension: "mp4",
+    });
+  });
+
+  it("falls back to the reported extension", () => {
+    const unknown = header("not a known format");
+
+    expect(detectMediaType(unknown, "JPEG")).toEqual({
+      type: "photo",
+      extension: "jpg",
+    });
+    expect(detectMediaType(Buffer.alloc(4), "png").type).toBe("photo");
+    expect(detectMediaType(null, "heif").type).toBe("document");
+  });
+
+  it("treats unrecognized files as video", () => {
+    expect(detectMediaType(header("plain text"), "txt")).toEqual({
+      type: "video",
+      extension: "mp4",
+    });
+    expect(detectMediaType(Buffer.alloc(0))).toEqual({
+      type: "video",
+      extension: "mp4",
+    });
+  });
+});